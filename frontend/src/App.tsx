@@ -1,15 +1,15 @@
 import React from 'react';
 import { ClaudeProvider, useClaudeContext } from './contexts/ClaudeContext';
 import ChatInterface from './components/ChatInterface';
-import ConnectionSetup from './components/ConnectionSetup';
+import LoginScreen from './components/LoginScreen';
 import './App.css';
 
 function AppContent() {
-  const { isConnected } = useClaudeContext();
+  const { isConnected, user } = useClaudeContext();
 
   return (
     <div className="App">
-      {isConnected ? <ChatInterface /> : <ConnectionSetup />}
+      {isConnected && user ? <ChatInterface /> : <LoginScreen />}
     </div>
   );
 }
@@ -8,18 +8,69 @@ import React, { useState, useRef, useEffect } from 'react';
 import { useClaudeContext } from '../contexts/ClaudeContext';
 import FormattedMessage from './FormattedMessage';
 import PermissionModal from './PermissionModal';
+import PermissionDisplay from './PermissionDisplay';
+import SessionSidebar from './SessionSidebar';
+import FileBrowser from './FileBrowser';
+import CheckpointPanel from './CheckpointPanel';
+import InstructionsPanel from './InstructionsPanel';
+import SettingsPanel from './SettingsPanel';
+import {
+  ProjectTemplate,
+  SessionSettings,
+  readFileAsBase64
+} from '../services/claudeService';
+import {
+  getPermissionSocketUrl,
+  switchPermissionSession
+} from '../services/permissionSocket';
 import './ChatInterface.css';
 
+// Attachments are sent base64 encoded in the request body, which the server limits to 50 MB
+const MAX_ATTACHMENT_BYTES = 35 * 1024 * 1024;
+
 const ChatInterface: React.FC = () => {
-  const { messages, isLoading, sendMessage, clearMessages } =
-    useClaudeContext();
+  const {
+    messages,
+    isLoading,
+    sendMessage,
+    cancelMessage,
+    startNewSession,
+    currentSession,
+    lastTurnUsage,
+    sessionId,
+    user,
+    logout,
+    claudeService,
+    refreshSessions,
+    openSession
+  } = useClaudeContext();
   const [inputValue, setInputValue] = useState('');
   const [isPermissionModalOpen, setIsPermissionModalOpen] = useState(false);
   const [pendingPermissionCount, setPendingPermissionCount] = useState(0);
   const [permissionWebSocket, setPermissionWebSocket] =
     useState<WebSocket | null>(null);
   const [modalAutoOpened, setModalAutoOpened] = useState(false);
+  const [sidePanel, setSidePanel] = useState<
+    'files' | 'checkpoints' | 'instructions' | 'settings' | null
+  >(null);
+  const [attachedFiles, setAttachedFiles] = useState<File[]>([]);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const [templates, setTemplates] = useState<ProjectTemplate[]>([]);
+  const [templateId, setTemplateId] = useState('');
+  const [newChatSettings, setNewChatSettings] = useState<SessionSettings>({});
+  const attachInputRef = useRef<HTMLInputElement>(null);
   const messagesEndRef = useRef<HTMLDivElement>(null);
+  const permissionSocketRef = useRef<WebSocket | null>(null);
+  const sessionIdRef = useRef<string | null>(sessionId);
+  const subscribedSessionRef = useRef<string | null>(null);
+
+  useEffect(() => {
+    if (!claudeService) return;
+    claudeService
+      .listTemplates()
+      .then(setTemplates)
+      .catch((error) => console.error('Failed to load templates:', error));
+  }, [claudeService]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -29,6 +80,16 @@ const ChatInterface: React.FC = () => {
     scrollToBottom();
   }, [messages]);
 
+  // Only count permission requests of the session shown in this tab
+  useEffect(() => {
+    sessionIdRef.current = sessionId;
+    const ws = permissionSocketRef.current;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      switchPermissionSession(ws, subscribedSessionRef.current, sessionId);
+      subscribedSessionRef.current = sessionId;
+    }
+  }, [sessionId]);
+
   // Connect to permission events to track pending count
   useEffect(() => {
     // Request notification permission on first load
@@ -68,12 +129,18 @@ const ChatInterface: React.FC = () => {
     };
 
     const connectToPermissionEvents = () => {
-      const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-      const wsUrl = `${protocol}//${window.location.host}/api/permissions/ws`;
-      const ws = new WebSocket(wsUrl);
+      subscribedSessionRef.current = sessionIdRef.current;
+      const ws = new WebSocket(getPermissionSocketUrl(sessionIdRef.current));
+      permissionSocketRef.current = ws;
 
       ws.onopen = () => {
         console.log('Permission WebSocket connected for notifications');
+        switchPermissionSession(
+          ws,
+          subscribedSessionRef.current,
+          sessionIdRef.current
+        );
+        subscribedSessionRef.current = sessionIdRef.current;
         requestNotificationPermission();
       };
 
@@ -135,10 +202,71 @@ const ChatInterface: React.FC = () => {
     };
   }, []);
 
+  const attachFiles = (files: File[]) => {
+    const combined = [...attachedFiles, ...files];
+    const totalBytes = combined.reduce((total, file) => total + file.size, 0);
+    if (totalBytes > MAX_ATTACHMENT_BYTES) {
+      alert(
+        `Attachments can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB per message. Upload larger files through the file browser.`
+      );
+      return;
+    }
+    setAttachedFiles(combined);
+  };
+
+  const handleDragOver = (e: React.DragEvent) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setIsDraggingFiles(true);
+  };
+
+  const handleDragLeave = (e: React.DragEvent) => {
+    // Moving over child elements fires dragleave too, only react when leaving the chat
+    if (!e.currentTarget.contains(e.relatedTarget as Node | null)) {
+      setIsDraggingFiles(false);
+    }
+  };
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    setIsDraggingFiles(false);
+    if (!isLoading) {
+      attachFiles(Array.from(e.dataTransfer.files));
+    }
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
-    if (inputValue.trim() && !isLoading) {
-      await sendMessage(inputValue.trim());
+    if ((inputValue.trim() || attachedFiles.length > 0) && !isLoading) {
+      let attachments;
+      try {
+        attachments = await Promise.all(
+          attachedFiles.map(async (file) => ({
+            name: file.name,
+            type: file.type,
+            content: await readFileAsBase64(file)
+          }))
+        );
+      } catch (error) {
+        console.error('Failed to read attachments:', error);
+        alert(
+          `Error: ${error instanceof Error ? error.message : 'Unknown error'}`
+        );
+        return;
+      }
+      setAttachedFiles([]);
+      // The template only applies to the first message, which creates the workspace
+      const template = sessionId ? undefined : templateId || undefined;
+      setTemplateId('');
+      // So are settings chosen before it, later ones are saved to the session
+      const settings =
+        !sessionId && Object.keys(newChatSettings).length > 0
+          ? newChatSettings
+          : undefined;
+      if (settings) {
+        setNewChatSettings({});
+      }
+      await sendMessage(inputValue.trim(), attachments, template, settings);
       setInputValue('');
     }
   };
@@ -150,102 +278,309 @@ const ChatInterface: React.FC = () => {
     }
   };
 
-  const handleClearMessages = async () => {
-    try {
-      clearMessages();
-    } catch (error) {
-      console.error('Failed to clear messages:', error);
-    }
-  };
-
   return (
-    <div className="chat-interface">
-      <div className="chat-header">
-        <div className="chat-header-left">
-          <h2>Open Builder</h2>
-        </div>
-        <div className="chat-header-controls">
-          <button
-            className="session-button clear"
-            onClick={handleClearMessages}
-            disabled={isLoading}
-            title="Clear Messages"
-          >
-            🗑️ Clear
-          </button>
-          <button
-            className={`permission-button-header ${pendingPermissionCount > 0 ? 'has-pending' : ''}`}
-            onClick={() => {
-              setIsPermissionModalOpen(true);
-              setModalAutoOpened(false);
-            }}
-            title={`View Permission Requests${pendingPermissionCount > 0 ? ` (${pendingPermissionCount} pending)` : ''}`}
-          >
-            🔐 Permissions
-            {pendingPermissionCount > 0 && (
-              <span className="permission-badge">{pendingPermissionCount}</span>
-            )}
-          </button>
-        </div>
-      </div>
-
-      <div className="messages-container">
-        {messages.length === 0 && (
-          <div className="welcome-message">
-            <h3>Welcome to Open Builder!</h3>
-            <p>
-              Ask me anything about coding, get help with your projects, or
-              request code generation.
-            </p>
+    <div className="chat-layout">
+      <SessionSidebar />
+      <div
+        className="chat-interface"
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
+        {isDraggingFiles && (
+          <div className="drop-overlay">
+            Drop files to attach them to your message. Zip and tar archives are
+            extracted into the workspace.
           </div>
         )}
+        <div className="chat-header">
+          <div className="chat-header-left">
+            <h2>Open Builder</h2>
+            {currentSession && (
+              <div
+                className="session-cost"
+                title={`${currentSession.usage.inputTokens.toLocaleString()} input / ${currentSession.usage.outputTokens.toLocaleString()} output tokens${lastTurnUsage ? ` · last turn $${lastTurnUsage.costUsd.toFixed(4)}` : ''}`}
+              >
+                💰 ${currentSession.usage.costUsd.toFixed(4)}
+                <span className="session-cost-turns">
+                  {currentSession.usage.queries} turns
+                </span>
+              </div>
+            )}
+          </div>
+          <div className="chat-header-controls">
+            <button
+              className="session-button"
+              onClick={startNewSession}
+              disabled={isLoading}
+              title="Start a new session"
+            >
+              ➕ New Session
+            </button>
+            <button
+              className="session-button"
+              onClick={() =>
+                setSidePanel(sidePanel === 'files' ? null : 'files')
+              }
+              disabled={!sessionId}
+              title={
+                sessionId
+                  ? 'Browse and edit the files in this session workspace'
+                  : 'Send a message to create a workspace first'
+              }
+            >
+              📁 Files
+            </button>
+            <button
+              className="session-button"
+              onClick={() =>
+                setSidePanel(sidePanel === 'checkpoints' ? null : 'checkpoints')
+              }
+              disabled={!sessionId}
+              title={
+                sessionId
+                  ? 'Compare, restore or fork the checkpoints saved after every turn'
+                  : 'Send a message to create a workspace first'
+              }
+            >
+              🕘 Checkpoints
+            </button>
+            <button
+              className="session-button"
+              onClick={() =>
+                setSidePanel(
+                  sidePanel === 'instructions' ? null : 'instructions'
+                )
+              }
+              title="Instructions the agent follows in this session and in all sessions"
+            >
+              📝 Instructions
+            </button>
+            <button
+              className="session-button"
+              onClick={() =>
+                setSidePanel(sidePanel === 'settings' ? null : 'settings')
+              }
+              title={
+                sessionId
+                  ? 'Model, limits, permission mode and tools of this session'
+                  : 'Model, limits, permission mode and tools of the new chat'
+              }
+            >
+              ⚙️ Settings
+            </button>
+            <button
+              className="session-button"
+              onClick={() => {
+                if (sessionId && claudeService) {
+                  window.location.href = claudeService.getArchiveUrl(sessionId);
+                }
+              }}
+              disabled={!sessionId}
+              title="Download the session workspace as a zip archive, without node_modules, .git and files in .gitignore"
+            >
+              ⬇️ Download project
+            </button>
+            <button
+              className={`permission-button-header ${pendingPermissionCount > 0 ? 'has-pending' : ''}`}
+              onClick={() => {
+                setIsPermissionModalOpen(true);
+                setModalAutoOpened(false);
+              }}
+              title={`View Permission Requests${pendingPermissionCount > 0 ? ` (${pendingPermissionCount} pending)` : ''}`}
+            >
+              🔐 Permissions
+              {pendingPermissionCount > 0 && (
+                <span className="permission-badge">
+                  {pendingPermissionCount}
+                </span>
+              )}
+            </button>
+            {user && (
+              <button
+                className="session-button"
+                onClick={logout}
+                disabled={isLoading}
+                title={`Signed in as ${user.username} (${user.role})`}
+              >
+                👤 {user.username} · Sign out
+              </button>
+            )}
+          </div>
+        </div>
 
-        {messages.map((message) => (
-          <div key={message.id}>
-            <FormattedMessage
-              content={message.content}
-              isUser={message.role === 'user'}
-            />
-            <div className="message-timestamp">
-              {message.timestamp.toLocaleTimeString()}
+        <div className="messages-container">
+          <PermissionDisplay />
+          {messages.length === 0 && (
+            <div className="welcome-message">
+              <h3>Welcome to Open Builder!</h3>
+              <p>
+                Ask me anything about coding, get help with your projects, or
+                request code generation.
+              </p>
+              {!sessionId && templates.length > 0 && (
+                <div className="template-picker">
+                  <p>Start from a template:</p>
+                  <div className="template-options">
+                    {[
+                      {
+                        id: '',
+                        name: 'Blank',
+                        description: 'An empty workspace with a README'
+                      },
+                      ...templates
+                    ].map((template) => (
+                      <button
+                        key={template.id}
+                        className={`template-option ${templateId === template.id ? 'selected' : ''}`}
+                        onClick={() => setTemplateId(template.id)}
+                        disabled={isLoading}
+                      >
+                        <span className="template-name">{template.name}</span>
+                        <span className="template-description">
+                          {template.description}
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
-          </div>
-        ))}
-
-        {isLoading && (
-          <div className="message assistant loading">
-            <div className="message-content">
-              <div className="typing-indicator">
-                <span></span>
-                <span></span>
-                <span></span>
+          )}
+
+          {messages.map((message) => (
+            <div key={message.id}>
+              <FormattedMessage
+                content={message.content}
+                isUser={message.role === 'user'}
+                tool={message.tool}
+              />
+              <div className="message-timestamp">
+                {message.timestamp.toLocaleTimeString()}
               </div>
             </div>
+          ))}
+
+          {isLoading && (
+            <div className="message assistant loading">
+              <div className="message-content">
+                <div className="typing-indicator">
+                  <span></span>
+                  <span></span>
+                  <span></span>
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div ref={messagesEndRef} />
+        </div>
+
+        {attachedFiles.length > 0 && (
+          <div className="attachment-list">
+            {attachedFiles.map((file, index) => (
+              <span
+                key={`${file.name}-${index}`}
+                className="attachment-chip"
+                title={`${(file.size / 1024).toFixed(1)} KB`}
+              >
+                📎 {file.name}
+                <button
+                  type="button"
+                  onClick={() =>
+                    setAttachedFiles(
+                      attachedFiles.filter((_, i) => i !== index)
+                    )
+                  }
+                  title="Remove attachment"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
           </div>
         )}
 
-        <div ref={messagesEndRef} />
+        <form onSubmit={handleSubmit} className="input-form">
+          <button
+            type="button"
+            className="attach-button"
+            onClick={() => attachInputRef.current?.click()}
+            disabled={isLoading}
+            title="Attach files, images or zip/tar archives"
+          >
+            📎
+          </button>
+          <input
+            ref={attachInputRef}
+            type="file"
+            multiple
+            hidden
+            onChange={(e) => {
+              attachFiles(Array.from(e.target.files || []));
+              e.target.value = '';
+            }}
+          />
+          <textarea
+            value={inputValue}
+            onChange={(e) => setInputValue(e.target.value)}
+            onKeyPress={handleKeyPress}
+            placeholder="Ask your Open Builder assistant anything..."
+            disabled={isLoading}
+            rows={3}
+          />
+          {isLoading ? (
+            <button
+              type="button"
+              className="stop-button"
+              onClick={cancelMessage}
+              title="Stop the running turn"
+            >
+              ⏹ Stop
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={!inputValue.trim() && attachedFiles.length === 0}
+            >
+              Send
+            </button>
+          )}
+        </form>
+
+        <PermissionModal
+          isOpen={isPermissionModalOpen}
+          onClose={() => setIsPermissionModalOpen(false)}
+          autoOpened={modalAutoOpened}
+        />
       </div>
-
-      <form onSubmit={handleSubmit} className="input-form">
-        <textarea
-          value={inputValue}
-          onChange={(e) => setInputValue(e.target.value)}
-          onKeyPress={handleKeyPress}
-          placeholder="Ask your Open Builder assistant anything..."
-          disabled={isLoading}
-          rows={3}
+      {sidePanel === 'files' && sessionId && (
+        <FileBrowser sessionId={sessionId} onClose={() => setSidePanel(null)} />
+      )}
+      {sidePanel === 'settings' && (
+        <SettingsPanel
+          sessionId={sessionId}
+          newChatSettings={newChatSettings}
+          onNewChatSettingsChange={setNewChatSettings}
+          onClose={() => setSidePanel(null)}
+        />
+      )}
+      {sidePanel === 'instructions' && (
+        <InstructionsPanel
+          sessionId={sessionId}
+          onClose={() => setSidePanel(null)}
+        />
+      )}
+      {sidePanel === 'checkpoints' && sessionId && (
+        <CheckpointPanel
+          sessionId={sessionId}
+          onClose={() => setSidePanel(null)}
+          onForked={async (fork) => {
+            await refreshSessions();
+            await openSession(fork.sessionId);
+          }}
         />
-        <button type="submit" disabled={isLoading || !inputValue.trim()}>
-          Send
-        </button>
-      </form>
-
-      <PermissionModal
-        isOpen={isPermissionModalOpen}
-        onClose={() => setIsPermissionModalOpen(false)}
-        autoOpened={modalAutoOpened}
-      />
+      )}
     </div>
   );
 };
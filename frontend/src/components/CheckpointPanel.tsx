@@ -0,0 +1,255 @@
+/**
+ * CheckpointPanel Component - Lists the checkpoints of a session workspace to compare, restore or fork them
+ * Copyright (c) 2024 Eyevinn Technology AB
+ * Licensed under the MIT License
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { useClaudeContext } from '../contexts/ClaudeContext';
+import {
+  Checkpoint,
+  CheckpointDiff,
+  SessionSummary
+} from '../services/claudeService';
+import DiffView from './DiffView';
+import './CheckpointPanel.css';
+
+interface CheckpointPanelProps {
+  sessionId: string;
+  onClose: () => void;
+  onForked: (session: SessionSummary) => void;
+}
+
+const KIND_LABELS: Record<Checkpoint['kind'], string> = {
+  created: 'created',
+  turn: 'turn',
+  'before-restore': 'before restore',
+  restore: 'restore',
+  fork: 'fork'
+};
+
+const shortId = (id: string) => id.substring(0, 7);
+
+const formatTime = (timestamp: string) =>
+  new Date(timestamp).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+const showError = (action: string, error: unknown) => {
+  console.error(`Failed to ${action}:`, error);
+  alert(`Error: ${error instanceof Error ? error.message : 'Unknown error'}`);
+};
+
+const CheckpointPanel: React.FC<CheckpointPanelProps> = ({
+  sessionId,
+  onClose,
+  onForked
+}) => {
+  const { claudeService, isLoading } = useClaudeContext();
+  const [checkpoints, setCheckpoints] = useState<Checkpoint[]>([]);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [diff, setDiff] = useState<CheckpointDiff | null>(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadCheckpoints = useCallback(async () => {
+    if (!claudeService) return;
+    try {
+      setCheckpoints(await claudeService.listCheckpoints(sessionId));
+      setLoadError(null);
+    } catch (error) {
+      console.error('Failed to load checkpoints:', error);
+      setLoadError(error instanceof Error ? error.message : 'Unknown error');
+    }
+  }, [claudeService, sessionId]);
+
+  // Every finished turn adds a checkpoint
+  useEffect(() => {
+    if (!isLoading) {
+      loadCheckpoints();
+    }
+  }, [loadCheckpoints, isLoading]);
+
+  useEffect(() => {
+    setFromId('');
+    setToId('');
+    setDiff(null);
+  }, [sessionId]);
+
+  const compare = async (from: string, to: string) => {
+    if (!claudeService || !from || !to) return;
+    setFromId(from);
+    setToId(to);
+    setIsBusy(true);
+    try {
+      setDiff(await claudeService.diffCheckpoints(sessionId, from, to));
+    } catch (error) {
+      showError('compare checkpoints', error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRestore = async (checkpoint: Checkpoint) => {
+    if (!claudeService) return;
+    if (
+      !window.confirm(
+        `Restore the workspace files to checkpoint ${shortId(checkpoint.id)}? The current files are saved as a checkpoint first.`
+      )
+    ) {
+      return;
+    }
+    setIsBusy(true);
+    try {
+      await claudeService.restoreCheckpoint(sessionId, checkpoint.id);
+      setDiff(null);
+      await loadCheckpoints();
+    } catch (error) {
+      showError(`restore checkpoint ${shortId(checkpoint.id)}`, error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleFork = async (checkpoint: Checkpoint) => {
+    if (!claudeService) return;
+    setIsBusy(true);
+    try {
+      onForked(await claudeService.forkCheckpoint(sessionId, checkpoint.id));
+    } catch (error) {
+      showError(`fork checkpoint ${shortId(checkpoint.id)}`, error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const renderOptions = () =>
+    checkpoints.map((checkpoint) => (
+      <option key={checkpoint.id} value={checkpoint.id}>
+        {shortId(checkpoint.id)} · {checkpoint.message}
+      </option>
+    ));
+
+  return (
+    <div className="checkpoint-panel">
+      <div className="checkpoint-panel-header">
+        <h3>Checkpoints</h3>
+        <div className="checkpoint-panel-toolbar">
+          <button onClick={loadCheckpoints} title="Refresh">
+            🔄
+          </button>
+          <button onClick={onClose} title="Close the checkpoints">
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="checkpoint-list">
+        {loadError && <div className="checkpoint-message">{loadError}</div>}
+        {!loadError && checkpoints.length === 0 && (
+          <div className="checkpoint-message">
+            A checkpoint is saved after every turn
+          </div>
+        )}
+        {checkpoints.map((checkpoint, index) => {
+          // Checkpoints are listed newest first, the one below is the previous one
+          const previous = checkpoints[index + 1];
+          return (
+            <div
+              key={checkpoint.id}
+              className={`checkpoint-item ${toId === checkpoint.id ? 'selected' : ''}`}
+            >
+              <div className="checkpoint-item-title" title={checkpoint.message}>
+                {checkpoint.message}
+              </div>
+              <div className="checkpoint-item-meta">
+                <span className="checkpoint-id">{shortId(checkpoint.id)}</span>
+                <span className={`checkpoint-kind ${checkpoint.kind}`}>
+                  {KIND_LABELS[checkpoint.kind] || checkpoint.kind}
+                </span>
+                <span>{formatTime(checkpoint.createdAt)}</span>
+                {checkpoint.filesChanged > 0 && (
+                  <span className="checkpoint-stats">
+                    {checkpoint.filesChanged} files
+                    <span className="diff-additions">
+                      +{checkpoint.additions}
+                    </span>
+                    <span className="diff-deletions">
+                      −{checkpoint.deletions}
+                    </span>
+                  </span>
+                )}
+              </div>
+              <div className="checkpoint-item-actions">
+                {previous && (
+                  <button
+                    onClick={() => compare(previous.id, checkpoint.id)}
+                    disabled={isBusy}
+                    title="Show the changes of this checkpoint"
+                  >
+                    Changes
+                  </button>
+                )}
+                <button
+                  onClick={() => handleRestore(checkpoint)}
+                  disabled={isBusy || isLoading}
+                  title={
+                    isLoading
+                      ? 'Wait for the running turn to finish'
+                      : 'Put the workspace files back to this checkpoint'
+                  }
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => handleFork(checkpoint)}
+                  disabled={isBusy}
+                  title="Start a new session from the files of this checkpoint"
+                >
+                  Fork
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="checkpoint-compare">
+        <select value={fromId} onChange={(e) => setFromId(e.target.value)}>
+          <option value="">From...</option>
+          {renderOptions()}
+        </select>
+        <select value={toId} onChange={(e) => setToId(e.target.value)}>
+          <option value="">To...</option>
+          {renderOptions()}
+        </select>
+        <button
+          onClick={() => compare(fromId, toId)}
+          disabled={!fromId || !toId || isBusy}
+        >
+          Compare
+        </button>
+      </div>
+
+      <div className="checkpoint-diff">
+        {diff === null ? (
+          <div className="checkpoint-message">
+            Pick two checkpoints to see what changed between them
+          </div>
+        ) : diff.files.length === 0 ? (
+          <div className="checkpoint-message">
+            No file changes between {shortId(diff.from)} and {shortId(diff.to)}
+          </div>
+        ) : (
+          diff.files.map((file) => <DiffView key={file.path} diff={file} />)
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CheckpointPanel;
@@ -0,0 +1,116 @@
+/**
+ * DiffView Component - Renders a unified diff with line numbers and highlighted changes
+ * Copyright (c) 2024 Eyevinn Technology AB
+ * Licensed under the MIT License
+ */
+
+import React from 'react';
+import './DiffView.css';
+
+export interface FileDiff {
+  path: string;
+  isNewFile?: boolean;
+  isDeleted?: boolean;
+  unified?: string;
+  additions?: number;
+  deletions?: number;
+  error?: string;
+}
+
+interface DiffLine {
+  type: 'hunk' | 'add' | 'remove' | 'context';
+  text: string;
+  oldNumber?: number;
+  newNumber?: number;
+}
+
+const parseUnifiedDiff = (unified: string): DiffLine[] => {
+  const lines: DiffLine[] = [];
+  let oldNumber = 0;
+  let newNumber = 0;
+
+  unified.split('\n').forEach((line) => {
+    if (line.startsWith('--- ') || line.startsWith('+++ ') || line === '') {
+      return;
+    }
+
+    const hunk = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      oldNumber = parseInt(hunk[1], 10);
+      newNumber = parseInt(hunk[2], 10);
+      lines.push({ type: 'hunk', text: line });
+      return;
+    }
+
+    const text = line.slice(1);
+    if (line.startsWith('+')) {
+      lines.push({ type: 'add', text, newNumber: newNumber++ });
+    } else if (line.startsWith('-')) {
+      lines.push({ type: 'remove', text, oldNumber: oldNumber++ });
+    } else {
+      lines.push({
+        type: 'context',
+        text,
+        oldNumber: oldNumber++,
+        newNumber: newNumber++
+      });
+    }
+  });
+
+  return lines;
+};
+
+const DiffView: React.FC<{ diff: FileDiff }> = ({ diff }) => {
+  const lines = diff.unified ? parseUnifiedDiff(diff.unified) : [];
+
+  return (
+    <div className="diff-view">
+      <div className="diff-header">
+        <span className="diff-path">{diff.path}</span>
+        {diff.isNewFile && <span className="diff-badge">new file</span>}
+        {diff.isDeleted && <span className="diff-badge deleted">deleted</span>}
+        {!diff.error && (
+          <span className="diff-stats">
+            <span className="diff-additions">+{diff.additions || 0}</span>
+            <span className="diff-deletions">−{diff.deletions || 0}</span>
+          </span>
+        )}
+      </div>
+
+      {diff.error ? (
+        <div className="diff-message">{diff.error}</div>
+      ) : lines.length === 0 ? (
+        <div className="diff-message">No changes to the file content</div>
+      ) : (
+        <div className="diff-body">
+          <table className="diff-table">
+            <tbody>
+              {lines.map((line, index) =>
+                line.type === 'hunk' ? (
+                  <tr key={index} className="diff-line hunk">
+                    <td colSpan={4}>{line.text}</td>
+                  </tr>
+                ) : (
+                  <tr key={index} className={`diff-line ${line.type}`}>
+                    <td className="diff-line-number">{line.oldNumber ?? ''}</td>
+                    <td className="diff-line-number">{line.newNumber ?? ''}</td>
+                    <td className="diff-marker">
+                      {line.type === 'add'
+                        ? '+'
+                        : line.type === 'remove'
+                          ? '-'
+                          : ''}
+                    </td>
+                    <td className="diff-text">{line.text}</td>
+                  </tr>
+                )
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiffView;
@@ -0,0 +1,374 @@
+/**
+ * FileBrowser Component - Browse, edit, upload and download files in the session workspace
+ * Copyright (c) 2024 Eyevinn Technology AB
+ * Licensed under the MIT License
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useClaudeContext } from '../contexts/ClaudeContext';
+import {
+  readFileAsBase64,
+  WorkspaceFileContent,
+  WorkspaceFileNode
+} from '../services/claudeService';
+import './FileBrowser.css';
+
+interface FileBrowserProps {
+  sessionId: string;
+  onClose: () => void;
+}
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'ico'];
+
+const isImage = (filePath: string) =>
+  IMAGE_EXTENSIONS.includes(filePath.split('.').pop()?.toLowerCase() || '');
+
+const formatSize = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const parentDir = (filePath: string) =>
+  filePath.includes('/')
+    ? filePath.substring(0, filePath.lastIndexOf('/'))
+    : '';
+
+const showError = (action: string, error: unknown) => {
+  console.error(`Failed to ${action}:`, error);
+  alert(`Error: ${error instanceof Error ? error.message : 'Unknown error'}`);
+};
+
+const FileBrowser: React.FC<FileBrowserProps> = ({ sessionId, onClose }) => {
+  const { claudeService, isLoading } = useClaudeContext();
+  const [tree, setTree] = useState<WorkspaceFileNode[]>([]);
+  const [truncated, setTruncated] = useState(false);
+  const [expanded, setExpanded] = useState<Set<string>>(new Set());
+  const [selected, setSelected] = useState<WorkspaceFileNode | null>(null);
+  const [openFile, setOpenFile] = useState<WorkspaceFileContent | null>(null);
+  const [draft, setDraft] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const uploadInputRef = useRef<HTMLInputElement>(null);
+  const gutterRef = useRef<HTMLDivElement>(null);
+
+  const isDirty = openFile !== null && openFile.content !== draft;
+
+  const loadTree = useCallback(async () => {
+    if (!claudeService) return;
+    try {
+      const result = await claudeService.listFiles(sessionId);
+      setTree(result.tree);
+      setTruncated(result.truncated);
+      setLoadError(null);
+    } catch (error) {
+      console.error('Failed to load workspace files:', error);
+      setLoadError(error instanceof Error ? error.message : 'Unknown error');
+    }
+  }, [claudeService, sessionId]);
+
+  // Reload when the session changes and after every turn, Claude may have changed files
+  useEffect(() => {
+    if (!isLoading) {
+      loadTree();
+    }
+  }, [loadTree, isLoading]);
+
+  useEffect(() => {
+    setSelected(null);
+    setOpenFile(null);
+    setExpanded(new Set());
+  }, [sessionId]);
+
+  // Whether the open file is the given entry or inside it
+  const isOpenWithin = (entryPath: string) =>
+    openFile !== null &&
+    (openFile.path === entryPath || openFile.path.startsWith(`${entryPath}/`));
+
+  const confirmDiscard = () =>
+    !isDirty || window.confirm(`Discard unsaved changes to ${openFile?.path}?`);
+
+  const openNode = async (node: WorkspaceFileNode) => {
+    if (node.type === 'directory') {
+      setSelected(node);
+      if (node.collapsed) return;
+      setExpanded((current) => {
+        const next = new Set(current);
+        if (next.has(node.path)) {
+          next.delete(node.path);
+        } else {
+          next.add(node.path);
+        }
+        return next;
+      });
+      return;
+    }
+
+    if (!claudeService || !confirmDiscard()) return;
+    setSelected(node);
+    try {
+      const content = await claudeService.readFile(sessionId, node.path);
+      setOpenFile(content);
+      setDraft(content.content ?? '');
+    } catch (error) {
+      showError(`open ${node.path}`, error);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!claudeService || !openFile || !isDirty) return;
+    setIsSaving(true);
+    try {
+      await claudeService.saveFile(sessionId, openFile.path, draft);
+      setOpenFile({ ...openFile, content: draft });
+      await loadTree();
+    } catch (error) {
+      showError(`save ${openFile.path}`, error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleEditorKeyDown = (e: React.KeyboardEvent<HTMLTextAreaElement>) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+      e.preventDefault();
+      handleSave();
+    }
+  };
+
+  // Uploads go into the selected directory, or next to the selected file
+  const uploadDir = selected
+    ? selected.type === 'directory'
+      ? selected.path
+      : parentDir(selected.path)
+    : '';
+
+  const handleUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (!claudeService || files.length === 0) return;
+    try {
+      const uploads = await Promise.all(
+        files.map(async (file) => ({
+          path: uploadDir ? `${uploadDir}/${file.name}` : file.name,
+          content: await readFileAsBase64(file)
+        }))
+      );
+      await claudeService.uploadFiles(sessionId, uploads);
+      if (uploadDir) {
+        setExpanded((current) => new Set(current).add(uploadDir));
+      }
+      await loadTree();
+    } catch (error) {
+      showError('upload files', error);
+    }
+  };
+
+  const handleRename = async () => {
+    if (!claudeService || !selected) return;
+    const target = window.prompt(`Rename ${selected.path} to:`, selected.path);
+    if (!target || target.trim() === selected.path) return;
+    try {
+      await claudeService.renameFile(sessionId, selected.path, target.trim());
+      if (isOpenWithin(selected.path)) {
+        setOpenFile(null);
+      }
+      setSelected(null);
+      await loadTree();
+    } catch (error) {
+      showError(`rename ${selected.path}`, error);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!claudeService || !selected) return;
+    const what = selected.type === 'directory' ? 'folder' : 'file';
+    if (!window.confirm(`Delete the ${what} ${selected.path}?`)) return;
+    try {
+      await claudeService.deleteFile(sessionId, selected.path);
+      if (isOpenWithin(selected.path)) {
+        setOpenFile(null);
+      }
+      setSelected(null);
+      await loadTree();
+    } catch (error) {
+      showError(`delete ${selected.path}`, error);
+    }
+  };
+
+  const renderNodes = (nodes: WorkspaceFileNode[], depth: number) =>
+    nodes.map((node) => {
+      const isExpanded = expanded.has(node.path);
+      const icon =
+        node.type === 'directory'
+          ? node.collapsed
+            ? '📦'
+            : isExpanded
+              ? '📂'
+              : '📁'
+          : node.type === 'symlink'
+            ? '🔗'
+            : '📄';
+      return (
+        <React.Fragment key={node.path}>
+          <div
+            className={`file-node ${selected?.path === node.path ? 'selected' : ''}`}
+            style={{ paddingLeft: `${0.5 + depth * 0.9}rem` }}
+            onClick={() => openNode(node)}
+            title={
+              node.collapsed
+                ? `${node.path} (contents not listed)`
+                : `${node.path}${node.type === 'file' ? ` · ${formatSize(node.size)}` : ''}`
+            }
+          >
+            <span className="file-node-icon">{icon}</span>
+            <span className="file-node-name">{node.name}</span>
+          </div>
+          {isExpanded && node.children && renderNodes(node.children, depth + 1)}
+        </React.Fragment>
+      );
+    });
+
+  const renderViewer = () => {
+    if (!openFile) {
+      return (
+        <div className="file-viewer-empty">Select a file to view or edit</div>
+      );
+    }
+
+    const downloadUrl = claudeService?.getFileUrl(
+      sessionId,
+      openFile.path,
+      true
+    );
+    if (isImage(openFile.path) && (openFile.binary || openFile.tooLarge)) {
+      return (
+        <div className="file-viewer-image">
+          <img
+            src={claudeService?.getFileUrl(sessionId, openFile.path)}
+            alt={openFile.path}
+          />
+        </div>
+      );
+    }
+    if (openFile.binary || openFile.tooLarge) {
+      return (
+        <div className="file-viewer-empty">
+          {openFile.binary ? 'Binary file' : 'File is too large to edit'} (
+          {formatSize(openFile.size)}).{' '}
+          <a href={downloadUrl} download>
+            Download
+          </a>
+        </div>
+      );
+    }
+
+    const lineCount = draft.split('\n').length;
+    return (
+      <div className="file-editor">
+        <div className="file-editor-gutter" ref={gutterRef}>
+          {Array.from({ length: lineCount }, (_, index) => (
+            <div key={index}>{index + 1}</div>
+          ))}
+        </div>
+        <textarea
+          value={draft}
+          spellCheck={false}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleEditorKeyDown}
+          onScroll={(e) => {
+            if (gutterRef.current) {
+              gutterRef.current.scrollTop = e.currentTarget.scrollTop;
+            }
+          }}
+        />
+      </div>
+    );
+  };
+
+  return (
+    <div className="file-browser">
+      <div className="file-browser-header">
+        <h3>Files</h3>
+        <div className="file-browser-toolbar">
+          <button onClick={loadTree} title="Refresh">
+            🔄
+          </button>
+          <button
+            onClick={() => uploadInputRef.current?.click()}
+            title={`Upload files to ${uploadDir || 'the workspace root'}`}
+          >
+            ⬆️
+          </button>
+          <button
+            onClick={handleRename}
+            disabled={!selected}
+            title="Rename or move the selected entry"
+          >
+            ✏️
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={!selected}
+            title="Delete the selected entry"
+          >
+            🗑️
+          </button>
+          <button onClick={onClose} title="Close the file browser">
+            ✕
+          </button>
+        </div>
+        <input
+          ref={uploadInputRef}
+          type="file"
+          multiple
+          hidden
+          onChange={handleUpload}
+        />
+      </div>
+
+      <div className="file-tree">
+        {loadError && <div className="file-tree-message">{loadError}</div>}
+        {!loadError && tree.length === 0 && (
+          <div className="file-tree-message">The workspace is empty</div>
+        )}
+        {renderNodes(tree, 0)}
+        {truncated && (
+          <div className="file-tree-message">
+            Only the first entries are listed
+          </div>
+        )}
+      </div>
+
+      <div className="file-viewer">
+        {openFile && (
+          <div className="file-viewer-header">
+            <span className="file-viewer-path" title={openFile.path}>
+              {openFile.path}
+              {isDirty && ' •'}
+            </span>
+            <a
+              href={claudeService?.getFileUrl(sessionId, openFile.path, true)}
+              download
+              title="Download"
+            >
+              ⬇️
+            </a>
+            {!openFile.binary && !openFile.tooLarge && (
+              <button
+                onClick={handleSave}
+                disabled={!isDirty || isSaving}
+                title="Save (Ctrl+S)"
+              >
+                {isSaving ? 'Saving...' : 'Save'}
+              </button>
+            )}
+          </div>
+        )}
+        {renderViewer()}
+      </div>
+    </div>
+  );
+};
+
+export default FileBrowser;
@@ -1,17 +1,69 @@
 import React from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import { ToolCall } from '../services/claudeService';
 import './FormattedMessage.css';
 
 interface FormattedMessageProps {
   content: string;
   isUser?: boolean;
+  tool?: ToolCall;
 }
 
+const summarizeToolInput = (input: Record<string, any>) => {
+  const summary =
+    input.file_path ||
+    input.command ||
+    input.pattern ||
+    input.url ||
+    input.path ||
+    input.description;
+  return typeof summary === 'string' ? summary : '';
+};
+
+const ToolCard: React.FC<{ tool: ToolCall }> = ({ tool }) => {
+  const status =
+    tool.status === 'running' ? 'running' : tool.isError ? 'error' : 'success';
+  const statusIcon =
+    status === 'running' ? '⏳' : status === 'error' ? '❌' : '✅';
+
+  return (
+    <div className={`message tool-message ${status}`}>
+      <details className="tool-card">
+        <summary>
+          <span className="tool-status">{statusIcon}</span>
+          <span className="tool-name">{tool.name}</span>
+          <span className="tool-summary">{summarizeToolInput(tool.input)}</span>
+        </summary>
+        <div className="tool-section">
+          <div className="tool-section-label">Input</div>
+          <pre className="tool-output">
+            {JSON.stringify(tool.input, null, 2)}
+          </pre>
+        </div>
+        {tool.output !== undefined && (
+          <div className="tool-section">
+            <div className="tool-section-label">
+              {tool.isError ? 'Error' : 'Result'}
+              {tool.truncated && ' (truncated)'}
+            </div>
+            <pre className="tool-output">{tool.output || '(no output)'}</pre>
+          </div>
+        )}
+      </details>
+    </div>
+  );
+};
+
 const FormattedMessage: React.FC<FormattedMessageProps> = ({
   content,
-  isUser = false
+  isUser = false,
+  tool
 }) => {
+  if (tool) {
+    return <ToolCard tool={tool} />;
+  }
+
   if (isUser) {
     return (
       <div className="message user-message">
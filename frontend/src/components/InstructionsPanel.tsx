@@ -0,0 +1,178 @@
+/**
+ * InstructionsPanel Component - Edit the instructions appended to the agent's system prompt
+ * Copyright (c) 2024 Eyevinn Technology AB
+ * Licensed under the MIT License
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useClaudeContext } from '../contexts/ClaudeContext';
+import { InstanceInstructions } from '../services/claudeService';
+import './InstructionsPanel.css';
+
+interface InstructionsPanelProps {
+  sessionId: string | null;
+  onClose: () => void;
+}
+
+const showError = (action: string, error: unknown) => {
+  console.error(`Failed to ${action}:`, error);
+  alert(`Error: ${error instanceof Error ? error.message : 'Unknown error'}`);
+};
+
+const InstructionsPanel: React.FC<InstructionsPanelProps> = ({
+  sessionId,
+  onClose
+}) => {
+  const { claudeService, user } = useClaudeContext();
+  const [instance, setInstance] = useState<InstanceInstructions | null>(null);
+  const [instanceDraft, setInstanceDraft] = useState('');
+  const [sessionInstructions, setSessionInstructions] = useState('');
+  const [sessionDraft, setSessionDraft] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    if (!claudeService) return;
+    claudeService
+      .getInstanceInstructions()
+      .then((status) => {
+        setInstance(status);
+        setInstanceDraft(status.instructions);
+      })
+      .catch((error) =>
+        console.error('Failed to load instance instructions:', error)
+      );
+  }, [claudeService]);
+
+  useEffect(() => {
+    setSessionInstructions('');
+    setSessionDraft('');
+    if (!claudeService || !sessionId) return;
+    claudeService
+      .getSessionInstructions(sessionId)
+      .then((instructions) => {
+        setSessionInstructions(instructions);
+        setSessionDraft(instructions);
+      })
+      .catch((error) =>
+        console.error('Failed to load session instructions:', error)
+      );
+  }, [claudeService, sessionId]);
+
+  const saveInstance = async (instructions: string | null) => {
+    if (!claudeService) return;
+    setIsSaving(true);
+    try {
+      const status = await claudeService.setInstanceInstructions(instructions);
+      setInstance(status);
+      setInstanceDraft(status.instructions);
+    } catch (error) {
+      showError('save the instance instructions', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const saveSession = async () => {
+    if (!claudeService || !sessionId) return;
+    setIsSaving(true);
+    try {
+      const instructions = await claudeService.setSessionInstructions(
+        sessionId,
+        sessionDraft
+      );
+      setSessionInstructions(instructions);
+      setSessionDraft(instructions);
+    } catch (error) {
+      showError('save the session instructions', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="instructions-panel">
+      <div className="instructions-panel-header">
+        <h3>Instructions</h3>
+        <button onClick={onClose} title="Close the instructions">
+          ✕
+        </button>
+      </div>
+
+      <div className="instructions-section">
+        <div className="instructions-section-header">
+          <h4>This session</h4>
+          <button
+            onClick={saveSession}
+            disabled={
+              !sessionId || isSaving || sessionDraft === sessionInstructions
+            }
+          >
+            Save
+          </button>
+        </div>
+        <p className="instructions-hint">
+          {sessionId
+            ? 'Stored in the session workspace and given to the agent on every turn, after the instructions for all sessions.'
+            : 'Send a message to create a workspace first.'}
+        </p>
+        <textarea
+          value={sessionDraft}
+          onChange={(e) => setSessionDraft(e.target.value)}
+          disabled={!sessionId}
+          spellCheck={false}
+          placeholder="e.g. The site is the landing page of our streaming service, use our brand colors #0b1f3a and #ff5a1f"
+        />
+      </div>
+
+      <div className="instructions-section">
+        <div className="instructions-section-header">
+          <h4>All sessions</h4>
+          {isAdmin && (
+            <div className="instructions-actions">
+              {instance && !instance.isDefault && (
+                <button
+                  onClick={() => saveInstance(null)}
+                  disabled={isSaving}
+                  title="Go back to the instructions from the server configuration"
+                >
+                  Reset
+                </button>
+              )}
+              <button
+                onClick={() => saveInstance(instanceDraft)}
+                disabled={
+                  isSaving ||
+                  !instance ||
+                  instanceDraft === instance.instructions
+                }
+              >
+                Save
+              </button>
+            </div>
+          )}
+        </div>
+        <p className="instructions-hint">
+          {instance?.isDefault
+            ? 'From the server configuration (SYSTEM_PROMPT_APPEND).'
+            : 'Changed by an admin, replacing the ones from the server configuration.'}
+          {!isAdmin && ' Only admins can change them.'}
+        </p>
+        <textarea
+          value={instanceDraft}
+          onChange={(e) => setInstanceDraft(e.target.value)}
+          readOnly={!isAdmin}
+          spellCheck={false}
+          placeholder={
+            isAdmin
+              ? 'e.g. Always build static sites that can be deployed to Open Source Cloud'
+              : 'No instructions for all sessions'
+          }
+        />
+      </div>
+    </div>
+  );
+};
+
+export default InstructionsPanel;
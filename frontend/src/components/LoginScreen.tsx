@@ -0,0 +1,128 @@
+/**
+ * LoginScreen Component - Connects to the server and signs the user in
+ * Copyright (c) 2024 Eyevinn Technology AB
+ * Licensed under the MIT License
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useClaudeContext } from '../contexts/ClaudeContext';
+import './LoginScreen.css';
+
+const LoginScreen: React.FC = () => {
+  const { connectToService, isConnected, login } = useClaudeContext();
+  const [error, setError] = useState('');
+  const [isConnecting, setIsConnecting] = useState(false);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [loginError, setLoginError] = useState('');
+  const [isLoggingIn, setIsLoggingIn] = useState(false);
+
+  const handleConnect = useCallback(async () => {
+    setIsConnecting(true);
+    setError('');
+
+    try {
+      await connectToService();
+    } catch (err) {
+      setError(
+        'Failed to connect to the server. Please make sure the server is running and the API key is configured.'
+      );
+    } finally {
+      setIsConnecting(false);
+    }
+  }, [connectToService]);
+
+  useEffect(() => {
+    // Auto-connect when component mounts
+    if (!isConnected) {
+      handleConnect();
+    }
+  }, [isConnected, handleConnect]);
+
+  const handleLogin = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsLoggingIn(true);
+    setLoginError('');
+
+    try {
+      await login(username.trim(), password);
+    } catch (err) {
+      setLoginError(err instanceof Error ? err.message : 'Login failed');
+      setPassword('');
+    } finally {
+      setIsLoggingIn(false);
+    }
+  };
+
+  return (
+    <div className="login-screen">
+      <div className="setup-container">
+        <div className="setup-header">
+          <h1>Claude Code Web Interface</h1>
+          <p>
+            {isConnected
+              ? 'Sign in to continue'
+              : 'Connecting to the server...'}
+          </p>
+        </div>
+
+        <div className="connection-status">
+          {isConnecting ? (
+            <div className="loading-spinner">
+              <div className="spinner"></div>
+              <p>Connecting to server...</p>
+            </div>
+          ) : error ? (
+            <div className="error-state">
+              <div className="error-message">{error}</div>
+              <button onClick={handleConnect} className="retry-button">
+                Retry Connection
+              </button>
+            </div>
+          ) : isConnected ? (
+            <form className="login-form" onSubmit={handleLogin}>
+              <label htmlFor="login-username">Username</label>
+              <input
+                id="login-username"
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                autoComplete="username"
+                autoFocus
+                required
+              />
+              <label htmlFor="login-password">Password</label>
+              <input
+                id="login-password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                required
+              />
+              {loginError && <div className="error-message">{loginError}</div>}
+              <button
+                type="submit"
+                className="retry-button"
+                disabled={isLoggingIn || !username.trim() || !password}
+              >
+                {isLoggingIn ? 'Signing in...' : 'Sign In'}
+              </button>
+            </form>
+          ) : null}
+        </div>
+
+        <div className="setup-info">
+          <div className="info-note">
+            <strong>Accounts:</strong> Users are managed by an administrator. On
+            the first start the server creates an admin account from
+            ADMIN_USERNAME and ADMIN_PASSWORD, or prints a generated password in
+            the server log.
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LoginScreen;
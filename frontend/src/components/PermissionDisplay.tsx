@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useClaudeContext } from '../contexts/ClaudeContext';
 import './PermissionDisplay.css';
 
 interface WorkspaceInfo {
@@ -24,13 +25,48 @@ interface HealthCheckResponse {
   workspace: WorkspaceInfo;
 }
 
+interface AuditEntry {
+  timestamp: string;
+  permissionId: string;
+  sessionId: string | null;
+  tool: string;
+  description: string;
+  input: Record<string, any> | null;
+  updatedInput: Record<string, any> | null;
+  decision: 'approved' | 'denied';
+  decidedBy: 'user' | 'rule' | 'timeout' | 'sandbox' | 'quota';
+  clientId: string | null;
+  ruleId: string | null;
+  reason: string | null;
+  requestedAt: string;
+  latencyMs: number;
+}
+
+interface AuditFilters {
+  currentSessionOnly: boolean;
+  tool: string;
+  decision: '' | 'approved' | 'denied';
+  from: string;
+  to: string;
+}
+
 const PermissionDisplay: React.FC = () => {
+  const { sessionId } = useClaudeContext();
   const [healthData, setHealthData] = useState<HealthCheckResponse | null>(
     null
   );
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [isExpanded, setIsExpanded] = useState(false);
+  const [auditEntries, setAuditEntries] = useState<AuditEntry[]>([]);
+  const [auditError, setAuditError] = useState<string | null>(null);
+  const [auditFilters, setAuditFilters] = useState<AuditFilters>({
+    currentSessionOnly: true,
+    tool: '',
+    decision: '',
+    from: '',
+    to: ''
+  });
 
   const fetchHealthData = async () => {
     try {
@@ -51,6 +87,51 @@ const PermissionDisplay: React.FC = () => {
     }
   };
 
+  const fetchAuditLog = useCallback(async () => {
+    const params = new URLSearchParams({ limit: '50' });
+    if (auditFilters.currentSessionOnly && sessionId) {
+      params.set('sessionId', sessionId);
+    }
+    if (auditFilters.tool.trim()) {
+      params.set('tool', auditFilters.tool.trim());
+    }
+    if (auditFilters.decision) {
+      params.set('decision', auditFilters.decision);
+    }
+    // datetime-local values are local time, the API expects absolute timestamps
+    if (auditFilters.from) {
+      params.set('from', new Date(auditFilters.from).toISOString());
+    }
+    if (auditFilters.to) {
+      params.set('to', new Date(auditFilters.to).toISOString());
+    }
+
+    try {
+      const response = await fetch(`/api/permissions/audit?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setAuditEntries(data.entries || []);
+      setAuditError(null);
+    } catch (err) {
+      setAuditError(
+        err instanceof Error ? err.message : 'Failed to fetch audit log'
+      );
+    }
+  }, [auditFilters, sessionId]);
+
+  useEffect(() => {
+    if (isExpanded) {
+      fetchAuditLog();
+    }
+  }, [isExpanded, fetchAuditLog]);
+
+  const updateAuditFilter = <K extends keyof AuditFilters>(
+    key: K,
+    value: AuditFilters[K]
+  ) => setAuditFilters((prev) => ({ ...prev, [key]: value }));
+
   useEffect(() => {
     fetchHealthData();
     const interval = setInterval(fetchHealthData, 30000); // Update every 30 seconds
@@ -215,14 +296,113 @@ const PermissionDisplay: React.FC = () => {
             <h4>Permissions</h4>
             <p className="permission-note">
               Claude can read and write files within the configured workspace
-              directory. All file operations are sandboxed for security.
-              Permission requests are automatically logged and approved for the
-              web interface.
+              directory. Every permission request and its decision is recorded
+              in the audit log below.
             </p>
           </div>
 
+          <div className="detail-section">
+            <h4>Permission Audit Log</h4>
+            <div className="audit-filters">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={auditFilters.currentSessionOnly}
+                  disabled={!sessionId}
+                  onChange={(e) =>
+                    updateAuditFilter('currentSessionOnly', e.target.checked)
+                  }
+                />
+                Current session only
+              </label>
+              <input
+                type="text"
+                placeholder="Tool, e.g. Bash"
+                value={auditFilters.tool}
+                onChange={(e) => updateAuditFilter('tool', e.target.value)}
+              />
+              <select
+                value={auditFilters.decision}
+                onChange={(e) =>
+                  updateAuditFilter(
+                    'decision',
+                    e.target.value as AuditFilters['decision']
+                  )
+                }
+              >
+                <option value="">All decisions</option>
+                <option value="approved">Approved</option>
+                <option value="denied">Denied</option>
+              </select>
+              <input
+                type="datetime-local"
+                title="From"
+                value={auditFilters.from}
+                onChange={(e) => updateAuditFilter('from', e.target.value)}
+              />
+              <input
+                type="datetime-local"
+                title="To"
+                value={auditFilters.to}
+                onChange={(e) => updateAuditFilter('to', e.target.value)}
+              />
+            </div>
+
+            {auditError && <p className="audit-error">{auditError}</p>}
+
+            {auditEntries.length === 0 ? (
+              <p className="audit-empty">No permission decisions recorded.</p>
+            ) : (
+              <div className="audit-list">
+                {auditEntries.map((entry) => (
+                  <details
+                    key={`${entry.permissionId}-${entry.timestamp}`}
+                    className={`audit-entry ${entry.decision}`}
+                  >
+                    <summary>
+                      <span className="audit-time">
+                        {new Date(entry.timestamp).toLocaleString()}
+                      </span>
+                      <span className="audit-tool">{entry.tool}</span>
+                      <span className={`audit-decision ${entry.decision}`}>
+                        {entry.decision}
+                      </span>
+                      <span className="audit-decided-by">
+                        by {entry.decidedBy} in{' '}
+                        {(entry.latencyMs / 1000).toFixed(1)}s
+                      </span>
+                    </summary>
+                    <div className="audit-entry-details">
+                      <p>{entry.description}</p>
+                      {entry.reason && <p>Reason: {entry.reason}</p>}
+                      {entry.sessionId && <p>Session: {entry.sessionId}</p>}
+                      {entry.clientId && <p>Client: {entry.clientId}</p>}
+                      {entry.input && (
+                        <pre>{JSON.stringify(entry.input, null, 2)}</pre>
+                      )}
+                      {entry.updatedInput && (
+                        <>
+                          <p>Edited before approval:</p>
+                          <pre>
+                            {JSON.stringify(entry.updatedInput, null, 2)}
+                          </pre>
+                        </>
+                      )}
+                    </div>
+                  </details>
+                ))}
+              </div>
+            )}
+          </div>
+
           <div className="actions">
-            <button onClick={fetchHealthData} className="refresh-button">
+            <button
+              onClick={() => {
+                fetchHealthData();
+                fetchAuditLog();
+              }}
+              className="refresh-button"
+            >
               Refresh Status
             </button>
           </div>
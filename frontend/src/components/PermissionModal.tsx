@@ -4,7 +4,13 @@
  * Licensed under the MIT License
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { useClaudeContext } from '../contexts/ClaudeContext';
+import DiffView, { FileDiff } from './DiffView';
+import {
+  getPermissionSocketUrl,
+  switchPermissionSession
+} from '../services/permissionSocket';
 import './PermissionModal.css';
 
 interface Permission {
@@ -12,10 +18,20 @@ interface Permission {
   action: string;
   description: string;
   details: any;
+  sessionId?: string | null;
+  suggestedPattern?: string;
+  diff?: FileDiff | null;
   timestamp: string;
+  timeoutDecision?: 'deny' | 'allow-read-only' | 'wait';
+  expiresAt?: string | null;
   status: string;
 }
 
+interface RememberOption {
+  scope: 'session' | 'global';
+  pattern: string;
+}
+
 interface PermissionModalProps {
   isOpen: boolean;
   onClose: () => void;
@@ -27,82 +43,117 @@ const PermissionModal: React.FC<PermissionModalProps> = ({
   onClose,
   autoOpened = false
 }) => {
+  const { sessionId, user } = useClaudeContext();
+  // Global rules affect the sessions of every user, only admins may create them
+  const canAddGlobalRules = user?.role === 'admin';
   const [permissions, setPermissions] = useState<Permission[]>([]);
+  const [clientId, setClientId] = useState<string | null>(null);
+  const subscribedSessionRef = useRef<string | null>(null);
+  // The session to subscribe to when the socket opens, later changes are switched below
+  const sessionIdRef = useRef(sessionId);
+  sessionIdRef.current = sessionId;
   const [webSocket, setWebSocket] = useState<WebSocket | null>(null);
   const [isConnected, setIsConnected] = useState(false);
+  const [rulePatterns, setRulePatterns] = useState<Record<string, string>>({});
+  // Permission ID -> edited tool input fields, non-string values are edited as JSON
+  const [editedInputs, setEditedInputs] = useState<
+    Record<string, Record<string, string>>
+  >({});
+  const [now, setNow] = useState(Date.now());
 
   useEffect(() => {
-    if (isOpen && !webSocket) {
-      // Connect to permission WebSocket
-      const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-      const wsUrl = `${protocol}//${window.location.host}/api/permissions/ws`;
-      const ws = new WebSocket(wsUrl);
-
-      ws.onopen = () => {
-        console.log('Permission WebSocket connected');
-        setIsConnected(true);
-      };
-
-      ws.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-
-          switch (data.type) {
-            case 'connected':
-              console.log('Connected to permission WebSocket');
-              break;
-
-            case 'pending-permissions':
-              setPermissions(data.permissions || []);
-              break;
-
-            case 'permission-request':
-              setPermissions((prev) => [...prev, data.permission]);
-              break;
-
-            case 'permission-response':
-              setPermissions((prev) =>
-                prev.filter((p) => p.id !== data.response.id)
-              );
-              break;
-
-            default:
-              console.log('Unknown permission event type:', data.type);
-          }
-        } catch (error) {
-          console.error('Error parsing permission WebSocket message:', error);
-        }
-      };
+    if (!isOpen) {
+      return;
+    }
 
-      ws.onerror = (error) => {
-        console.error('Permission WebSocket error:', error);
-        setIsConnected(false);
-      };
+    // Connect to permission WebSocket, attached to the current session
+    subscribedSessionRef.current = sessionIdRef.current;
+    const ws = new WebSocket(getPermissionSocketUrl(sessionIdRef.current));
 
-      ws.onclose = () => {
-        console.log('Permission WebSocket closed');
-        setIsConnected(false);
-      };
+    ws.onopen = () => {
+      console.log('Permission WebSocket connected');
+      setIsConnected(true);
+    };
 
-      setWebSocket(ws);
-    }
+    ws.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
 
-    return () => {
-      if (webSocket && webSocket.readyState === WebSocket.OPEN) {
-        webSocket.close();
+        switch (data.type) {
+          case 'connected':
+            console.log('Connected to permission WebSocket');
+            setClientId(data.clientId);
+            break;
+
+          case 'subscriptions':
+            break;
+
+          case 'pending-permissions':
+            setPermissions(data.permissions || []);
+            break;
+
+          case 'permission-request':
+            setPermissions((prev) => [...prev, data.permission]);
+            break;
+
+          case 'permission-response':
+            setPermissions((prev) =>
+              prev.filter((p) => p.id !== data.response.id)
+            );
+            break;
+
+          default:
+            console.log('Unknown permission event type:', data.type);
+        }
+      } catch (error) {
+        console.error('Error parsing permission WebSocket message:', error);
       }
     };
-  }, [isOpen]);
 
-  useEffect(() => {
-    if (!isOpen && webSocket) {
-      webSocket.close();
+    ws.onerror = (error) => {
+      console.error('Permission WebSocket error:', error);
+      setIsConnected(false);
+    };
+
+    ws.onclose = () => {
+      console.log('Permission WebSocket closed');
+      setIsConnected(false);
+    };
+
+    setWebSocket(ws);
+
+    return () => {
+      // A socket being closed no longer updates the state of the next one
+      ws.onopen = ws.onmessage = ws.onerror = ws.onclose = null;
+      ws.close();
       setWebSocket(null);
       setIsConnected(false);
+      setClientId(null);
       setPermissions([]);
-    }
+    };
   }, [isOpen]);
 
+  // Follow the session shown in the chat, the server resends the pending list
+  useEffect(() => {
+    if (webSocket && isConnected) {
+      switchPermissionSession(
+        webSocket,
+        subscribedSessionRef.current,
+        sessionId
+      );
+      subscribedSessionRef.current = sessionId;
+    }
+  }, [sessionId, webSocket, isConnected]);
+
+  // Tick once a second while requests are pending so the countdowns stay live
+  useEffect(() => {
+    if (!isOpen || permissions.length === 0) {
+      return;
+    }
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isOpen, permissions.length]);
+
   // Auto-close modal when no permissions remain (only if it was auto-opened)
   useEffect(() => {
     if (isOpen && permissions.length === 0 && isConnected && autoOpened) {
@@ -115,7 +166,79 @@ const PermissionModal: React.FC<PermissionModalProps> = ({
     }
   }, [permissions.length, isOpen, isConnected, autoOpened, onClose]);
 
-  const handleResponse = async (permissionId: string, approved: boolean) => {
+  const getRulePattern = (permission: Permission) =>
+    rulePatterns[permission.id] ?? permission.suggestedPattern ?? '**';
+
+  const getTimeoutLabel = (permission: Permission) => {
+    if (!permission.expiresAt) {
+      return permission.timeoutDecision === 'wait'
+        ? '⏳ Waiting for you'
+        : null;
+    }
+    const secondsLeft = Math.max(
+      0,
+      Math.ceil((new Date(permission.expiresAt).getTime() - now) / 1000)
+    );
+    const minutes = Math.floor(secondsLeft / 60);
+    const seconds = String(secondsLeft % 60).padStart(2, '0');
+    const outcome =
+      permission.timeoutDecision === 'allow-read-only'
+        ? 'allow if read-only'
+        : 'deny';
+    return `⏱ ${minutes}:${seconds} then ${outcome}`;
+  };
+
+  const startEditing = (permission: Permission) => {
+    const fields: Record<string, string> = {};
+    Object.entries(permission.details || {}).forEach(([key, value]) => {
+      fields[key] =
+        typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    });
+    setEditedInputs((prev) => ({ ...prev, [permission.id]: fields }));
+  };
+
+  const stopEditing = (permissionId: string) => {
+    setEditedInputs((prev) => {
+      const { [permissionId]: _removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const updateEditedField = (
+    permissionId: string,
+    key: string,
+    value: string
+  ) => {
+    setEditedInputs((prev) => ({
+      ...prev,
+      [permissionId]: { ...prev[permissionId], [key]: value }
+    }));
+  };
+
+  const approveEdited = (permission: Permission) => {
+    const fields = editedInputs[permission.id] || {};
+    const updatedInput: Record<string, any> = {};
+    for (const [key, original] of Object.entries(permission.details || {})) {
+      if (typeof original === 'string') {
+        updatedInput[key] = fields[key];
+        continue;
+      }
+      try {
+        updatedInput[key] = JSON.parse(fields[key]);
+      } catch (error) {
+        alert(`Invalid JSON in ${key}`);
+        return;
+      }
+    }
+    handleResponse(permission.id, true, undefined, updatedInput);
+  };
+
+  const handleResponse = async (
+    permissionId: string,
+    approved: boolean,
+    remember?: RememberOption,
+    updatedInput?: Record<string, any>
+  ) => {
     try {
       const response = await fetch('/api/permissions/respond', {
         method: 'POST',
@@ -124,18 +247,26 @@ const PermissionModal: React.FC<PermissionModalProps> = ({
         },
         body: JSON.stringify({
           permissionId,
+          clientId,
           approved,
           reason: approved
-            ? 'Approved by user via web interface'
-            : 'Denied by user via web interface'
+            ? updatedInput
+              ? 'Approved with modified input by user via web interface'
+              : 'Approved by user via web interface'
+            : 'Denied by user via web interface',
+          ...(remember && { remember }),
+          ...(updatedInput && { updatedInput })
         })
       });
 
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.message || 'Failed to respond to permission');
+        throw new Error(
+          error.message || error.error || 'Failed to respond to permission'
+        );
       }
 
+      stopEditing(permissionId);
       // Permission will be removed from list via the event stream
     } catch (error) {
       console.error('Error responding to permission:', error);
@@ -234,11 +365,26 @@ const PermissionModal: React.FC<PermissionModalProps> = ({
                         </p>
                       </div>
                     </div>
-                    <div className="permission-timestamp">
-                      {new Date(permission.timestamp).toLocaleTimeString()}
+                    <div className="permission-timing">
+                      <div className="permission-timestamp">
+                        {new Date(permission.timestamp).toLocaleTimeString()}
+                      </div>
+                      {getTimeoutLabel(permission) && (
+                        <div
+                          className={`permission-countdown ${permission.expiresAt && new Date(permission.expiresAt).getTime() - now < 15000 ? 'expiring' : ''}`}
+                        >
+                          {getTimeoutLabel(permission)}
+                        </div>
+                      )}
                     </div>
                   </div>
 
+                  {permission.diff && (
+                    <div className="permission-diff">
+                      <DiffView diff={permission.diff} />
+                    </div>
+                  )}
+
                   {permission.details && (
                     <div className="permission-details">
                       <details>
@@ -250,6 +396,47 @@ const PermissionModal: React.FC<PermissionModalProps> = ({
                     </div>
                   )}
 
+                  {editedInputs[permission.id] && (
+                    <div className="permission-edit">
+                      {Object.entries(editedInputs[permission.id]).map(
+                        ([key, value]) => (
+                          <label key={key} className="permission-edit-field">
+                            <span className="permission-edit-key">{key}</span>
+                            {typeof permission.details[key] === 'string' &&
+                            !value.includes('\n') &&
+                            value.length < 120 ? (
+                              <input
+                                value={value}
+                                onChange={(e) =>
+                                  updateEditedField(
+                                    permission.id,
+                                    key,
+                                    e.target.value
+                                  )
+                                }
+                              />
+                            ) : (
+                              <textarea
+                                value={value}
+                                rows={Math.min(
+                                  12,
+                                  value.split('\n').length + 1
+                                )}
+                                onChange={(e) =>
+                                  updateEditedField(
+                                    permission.id,
+                                    key,
+                                    e.target.value
+                                  )
+                                }
+                              />
+                            )}
+                          </label>
+                        )
+                      )}
+                    </div>
+                  )}
+
                   <div className="permission-actions">
                     <button
                       className="permission-button deny"
@@ -257,12 +444,99 @@ const PermissionModal: React.FC<PermissionModalProps> = ({
                     >
                       ❌ Deny
                     </button>
-                    <button
-                      className="permission-button approve"
-                      onClick={() => handleResponse(permission.id, true)}
-                    >
-                      ✅ Approve
-                    </button>
+                    {editedInputs[permission.id] ? (
+                      <>
+                        <button
+                          className="permission-button edit"
+                          onClick={() => stopEditing(permission.id)}
+                        >
+                          Cancel Edit
+                        </button>
+                        <button
+                          className="permission-button approve"
+                          onClick={() => approveEdited(permission)}
+                        >
+                          ✅ Approve Edited
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        {permission.details &&
+                          typeof permission.details === 'object' && (
+                            <button
+                              className="permission-button edit"
+                              onClick={() => startEditing(permission)}
+                            >
+                              ✏️ Edit & Approve
+                            </button>
+                          )}
+                        <button
+                          className="permission-button approve"
+                          onClick={() => handleResponse(permission.id, true)}
+                        >
+                          ✅ Approve
+                        </button>
+                      </>
+                    )}
+                  </div>
+
+                  <div className="permission-remember">
+                    <label className="permission-remember-label">
+                      Always for {permission.action} matching
+                      <input
+                        className="permission-remember-pattern"
+                        value={getRulePattern(permission)}
+                        onChange={(e) =>
+                          setRulePatterns((prev) => ({
+                            ...prev,
+                            [permission.id]: e.target.value
+                          }))
+                        }
+                      />
+                    </label>
+                    <div className="permission-remember-buttons">
+                      {permission.sessionId && (
+                        <button
+                          className="permission-remember-button allow"
+                          onClick={() =>
+                            handleResponse(permission.id, true, {
+                              scope: 'session',
+                              pattern: getRulePattern(permission)
+                            })
+                          }
+                        >
+                          Always allow in this session
+                        </button>
+                      )}
+                      {canAddGlobalRules && (
+                        <button
+                          className="permission-remember-button allow"
+                          onClick={() =>
+                            handleResponse(permission.id, true, {
+                              scope: 'global',
+                              pattern: getRulePattern(permission)
+                            })
+                          }
+                        >
+                          Always allow everywhere
+                        </button>
+                      )}
+                      {(permission.sessionId || canAddGlobalRules) && (
+                        <button
+                          className="permission-remember-button deny"
+                          onClick={() =>
+                            handleResponse(permission.id, false, {
+                              scope: permission.sessionId
+                                ? 'session'
+                                : 'global',
+                              pattern: getRulePattern(permission)
+                            })
+                          }
+                        >
+                          Always deny
+                        </button>
+                      )}
+                    </div>
                   </div>
                 </div>
               ))}
@@ -273,8 +547,8 @@ const PermissionModal: React.FC<PermissionModalProps> = ({
         <div className="permission-modal-footer">
           <p className="permission-note">
             <strong>Security Note:</strong> Only approve permissions you
-            understand and trust. Claude will wait for your response before
-            proceeding with any operations.
+            understand and trust. Claude waits for your response until the
+            request times out, then applies the configured timeout decision.
           </p>
         </div>
       </div>
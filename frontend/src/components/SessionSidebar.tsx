@@ -0,0 +1,332 @@
+/**
+ * SessionSidebar Component - Lists previous sessions and switches between them
+ * Copyright (c) 2024 Eyevinn Technology AB
+ * Licensed under the MIT License
+ */
+
+import React, { useState } from 'react';
+import { useClaudeContext } from '../contexts/ClaudeContext';
+import { SessionSummary } from '../services/claudeService';
+import './SessionSidebar.css';
+
+const formatSize = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatRelativeTime = (timestamp: string) => {
+  const seconds = Math.floor(
+    (Date.now() - new Date(timestamp).getTime()) / 1000
+  );
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+// Forks are listed right below the session they were forked from, indented one level deeper
+const orderByFork = (sessions: SessionSummary[]) => {
+  const ids = new Set(sessions.map((session) => session.sessionId));
+  const forks = new Map<string, SessionSummary[]>();
+  const roots: SessionSummary[] = [];
+  sessions.forEach((session) => {
+    const parentId = session.forkedFrom?.sessionId;
+    if (parentId && ids.has(parentId)) {
+      forks.set(parentId, [...(forks.get(parentId) || []), session]);
+    } else {
+      roots.push(session);
+    }
+  });
+
+  const ordered: { session: SessionSummary; depth: number }[] = [];
+  const add = (session: SessionSummary, depth: number) => {
+    ordered.push({ session, depth });
+    (forks.get(session.sessionId) || []).forEach((fork) =>
+      add(fork, depth + 1)
+    );
+  };
+  roots.forEach((session) => add(session, 0));
+  return ordered;
+};
+
+const SessionSidebar: React.FC = () => {
+  const {
+    sessions,
+    sessionId,
+    isLoading,
+    openSession,
+    startNewSession,
+    renameSession,
+    deleteSession,
+    shareSession,
+    removeSessionMember,
+    forkSession,
+    user
+  } = useClaudeContext();
+  const [editingSessionId, setEditingSessionId] = useState<string | null>(null);
+  const [editTitle, setEditTitle] = useState('');
+  const [isCollapsed, setIsCollapsed] = useState(false);
+
+  const startEditing = (session: SessionSummary) => {
+    setEditingSessionId(session.sessionId);
+    setEditTitle(session.title);
+  };
+
+  const handleRename = async (id: string) => {
+    const title = editTitle.trim();
+    setEditingSessionId(null);
+    if (!title) return;
+    try {
+      await renameSession(id, title);
+    } catch (error) {
+      console.error('Failed to rename session:', error);
+      alert(
+        `Error: ${error instanceof Error ? error.message : 'Unknown error'}`
+      );
+    }
+  };
+
+  // Sessions without an owner predate user accounts and are managed by admins
+  const isOwner = (session: SessionSummary) =>
+    session.ownerId ? session.ownerId === user?.id : user?.role === 'admin';
+
+  const handleShare = async (session: SessionSummary) => {
+    const username = window.prompt(
+      `Share "${session.title}" with user (username):`
+    );
+    if (!username || !username.trim()) return;
+    try {
+      await shareSession(session.sessionId, username.trim());
+    } catch (error) {
+      console.error('Failed to share session:', error);
+      alert(
+        `Error: ${error instanceof Error ? error.message : 'Unknown error'}`
+      );
+    }
+  };
+
+  const handleRemoveMember = async (
+    session: SessionSummary,
+    userId: string,
+    label: string
+  ) => {
+    if (!window.confirm(label)) {
+      return;
+    }
+    try {
+      await removeSessionMember(session.sessionId, userId);
+    } catch (error) {
+      console.error('Failed to remove session member:', error);
+      alert(
+        `Error: ${error instanceof Error ? error.message : 'Unknown error'}`
+      );
+    }
+  };
+
+  const handleFork = async (session: SessionSummary) => {
+    try {
+      await forkSession(session.sessionId);
+    } catch (error) {
+      console.error('Failed to fork session:', error);
+      alert(
+        `Error: ${error instanceof Error ? error.message : 'Unknown error'}`
+      );
+    }
+  };
+
+  const handleDelete = async (session: SessionSummary) => {
+    if (
+      !window.confirm(
+        `Delete "${session.title}" and all files in its workspace? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+    try {
+      await deleteSession(session.sessionId);
+    } catch (error) {
+      console.error('Failed to delete session:', error);
+      alert(
+        `Error: ${error instanceof Error ? error.message : 'Unknown error'}`
+      );
+    }
+  };
+
+  if (isCollapsed) {
+    return (
+      <div className="session-sidebar collapsed">
+        <button
+          className="sidebar-toggle"
+          onClick={() => setIsCollapsed(false)}
+          title="Show sessions"
+        >
+          ☰
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="session-sidebar">
+      <div className="sidebar-header">
+        <h3>Sessions</h3>
+        <button
+          className="sidebar-toggle"
+          onClick={() => setIsCollapsed(true)}
+          title="Hide sessions"
+        >
+          ‹
+        </button>
+      </div>
+
+      <button
+        className="new-session-button"
+        onClick={startNewSession}
+        disabled={isLoading}
+      >
+        ➕ New Session
+      </button>
+
+      <div className="session-list">
+        {sessions.length === 0 && (
+          <p className="no-sessions">No previous sessions yet.</p>
+        )}
+
+        {orderByFork(sessions).map(({ session, depth }) => (
+          <div
+            key={session.sessionId}
+            className={`session-item ${session.sessionId === sessionId ? 'active' : ''} ${depth > 0 ? 'fork' : ''}`}
+            style={depth > 0 ? { marginLeft: `${Math.min(depth, 3)}rem` } : {}}
+            onClick={() => {
+              if (!isLoading && session.sessionId !== sessionId) {
+                openSession(session.sessionId);
+              }
+            }}
+          >
+            {editingSessionId === session.sessionId ? (
+              <input
+                className="session-title-input"
+                value={editTitle}
+                autoFocus
+                onClick={(e) => e.stopPropagation()}
+                onChange={(e) => setEditTitle(e.target.value)}
+                onBlur={() => handleRename(session.sessionId)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleRename(session.sessionId);
+                  if (e.key === 'Escape') setEditingSessionId(null);
+                }}
+              />
+            ) : (
+              <div className="session-title" title={session.prompt || ''}>
+                {session.title}
+              </div>
+            )}
+            {session.forkedFrom && (
+              <div className="session-fork">
+                🍴 Fork
+                {session.forkedFrom.checkpointId &&
+                  ` of checkpoint ${session.forkedFrom.checkpointId.substring(0, 7)}`}
+                {session.pending && ' · not started'}
+              </div>
+            )}
+            <div className="session-meta">
+              <span>{formatRelativeTime(session.lastUsedAt)}</span>
+              <span>{formatSize(session.size)}</span>
+            </div>
+            {!isOwner(session) && session.ownerName && (
+              <div className="session-sharing">
+                👥 Shared by {session.ownerName}
+              </div>
+            )}
+            {isOwner(session) && session.members.length > 0 && (
+              <div className="session-sharing">
+                👥{' '}
+                {session.members.map((member) => (
+                  <button
+                    key={member.id}
+                    className="session-member"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleRemoveMember(
+                        session,
+                        member.id,
+                        `Stop sharing "${session.title}" with ${member.username || member.id}?`
+                      );
+                    }}
+                    title="Stop sharing with this user"
+                  >
+                    {member.username || member.id} ×
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="session-actions">
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  startEditing(session);
+                }}
+                title="Rename session"
+              >
+                ✏️
+              </button>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleFork(session);
+                }}
+                disabled={isLoading && session.sessionId === sessionId}
+                title="Fork into a new session with a copy of the files and the conversation so far"
+              >
+                🍴
+              </button>
+              {isOwner(session) ? (
+                <>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleShare(session);
+                    }}
+                    title="Share session with another user"
+                  >
+                    👥
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleDelete(session);
+                    }}
+                    disabled={isLoading && session.sessionId === sessionId}
+                    title="Delete session"
+                  >
+                    🗑️
+                  </button>
+                </>
+              ) : (
+                user && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleRemoveMember(
+                        session,
+                        user.id,
+                        `Leave "${session.title}"? It will no longer be shared with you.`
+                      );
+                    }}
+                    disabled={isLoading && session.sessionId === sessionId}
+                    title="Leave shared session"
+                  >
+                    🚪
+                  </button>
+                )
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SessionSidebar;
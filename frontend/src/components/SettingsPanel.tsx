@@ -0,0 +1,357 @@
+/**
+ * SettingsPanel Component - Choose the model, limits, permission mode and tools of a session or a new chat
+ * Copyright (c) 2024 Eyevinn Technology AB
+ * Licensed under the MIT License
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useClaudeContext } from '../contexts/ClaudeContext';
+import {
+  SessionSettings,
+  SessionSettingsChanges,
+  SessionSettingsStatus
+} from '../services/claudeService';
+import './SettingsPanel.css';
+
+interface SettingsPanelProps {
+  // null for a new chat, whose settings are kept by the parent and sent with its first message
+  sessionId: string | null;
+  newChatSettings?: SessionSettings;
+  onNewChatSettingsChange?: (settings: SessionSettings) => void;
+  onClose: () => void;
+}
+
+// Form values, an empty string keeps the instance default
+interface SettingsDraft {
+  model: string;
+  maxThinkingTokens: string;
+  maxTurns: string;
+  permissionMode: string;
+  permissionTimeoutSeconds: string;
+  permissionTimeoutDecision: string;
+  // null keeps the default list
+  allowedTools: string[] | null;
+  disallowedTools: string[];
+}
+
+const PERMISSION_MODE_LABELS: Record<string, string> = {
+  default: 'Ask before using tools',
+  plan: 'Plan first, no changes until the plan is approved'
+};
+
+const toDraft = (settings: SessionSettings): SettingsDraft => ({
+  model: settings.model || '',
+  maxThinkingTokens: settings.maxThinkingTokens
+    ? String(settings.maxThinkingTokens)
+    : '',
+  maxTurns: settings.maxTurns ? String(settings.maxTurns) : '',
+  permissionMode: settings.permissionMode || '',
+  permissionTimeoutSeconds: settings.permissionTimeoutSeconds
+    ? String(settings.permissionTimeoutSeconds)
+    : '',
+  permissionTimeoutDecision: settings.permissionTimeoutDecision || '',
+  allowedTools: settings.allowedTools || null,
+  disallowedTools: settings.disallowedTools || []
+});
+
+const toolLabel = (tool: string) =>
+  tool === 'mcp__deploy' ? 'Deploy (OSC)' : tool;
+
+const toNumber = (value: string) => (value.trim() ? Number(value) : null);
+
+const toSettings = (draft: SettingsDraft): SessionSettingsChanges => ({
+  model: draft.model || null,
+  maxThinkingTokens: toNumber(draft.maxThinkingTokens),
+  maxTurns: toNumber(draft.maxTurns),
+  permissionMode: (draft.permissionMode ||
+    null) as SessionSettingsChanges['permissionMode'],
+  permissionTimeoutSeconds: toNumber(draft.permissionTimeoutSeconds),
+  permissionTimeoutDecision: (draft.permissionTimeoutDecision ||
+    null) as SessionSettingsChanges['permissionTimeoutDecision'],
+  allowedTools: draft.allowedTools,
+  disallowedTools:
+    draft.disallowedTools.length > 0 ? draft.disallowedTools : null
+});
+
+// Only the fields that differ from the saved settings, so untouched ones are not validated again
+const toChanges = (
+  draft: SettingsDraft,
+  saved: SettingsDraft
+): SessionSettingsChanges => {
+  const settings = toSettings(draft);
+  const changes: Record<string, unknown> = {};
+  (Object.keys(draft) as (keyof SettingsDraft)[]).forEach((key) => {
+    if (JSON.stringify(draft[key]) !== JSON.stringify(saved[key])) {
+      changes[key] = settings[key];
+    }
+  });
+  return changes as SessionSettingsChanges;
+};
+
+// The settings of a new chat, without the ones left at their default
+const withoutDefaults = (settings: SessionSettingsChanges): SessionSettings =>
+  Object.fromEntries(
+    Object.entries(settings).filter(([, value]) => value !== null)
+  ) as SessionSettings;
+
+const SettingsPanel: React.FC<SettingsPanelProps> = ({
+  sessionId,
+  newChatSettings,
+  onNewChatSettingsChange,
+  onClose
+}) => {
+  const { claudeService } = useClaudeContext();
+  const [status, setStatus] = useState<SessionSettingsStatus | null>(null);
+  const [draft, setDraft] = useState<SettingsDraft | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setStatus(null);
+    setDraft(null);
+    if (!claudeService) return;
+    const load = async () => {
+      if (sessionId) {
+        return claudeService.getSessionSettings(sessionId);
+      }
+      const defaults = await claudeService.getDefaultSettings();
+      return { ...defaults, settings: newChatSettings || {} };
+    };
+    load()
+      .then((loaded) => {
+        setStatus(loaded);
+        setDraft(toDraft(loaded.settings));
+      })
+      .catch((error) =>
+        console.error('Failed to load session settings:', error)
+      );
+  }, [claudeService, sessionId, newChatSettings]);
+
+  const update = (changes: Partial<SettingsDraft>) => {
+    setDraft((current) => (current ? { ...current, ...changes } : current));
+  };
+
+  const toggleTool = (tool: string, enabled: boolean) => {
+    if (!draft) return;
+    update({
+      disallowedTools: enabled
+        ? draft.disallowedTools.filter((name) => name !== tool)
+        : [...draft.disallowedTools, tool]
+    });
+  };
+
+  const toggleAllowedTool = (tool: string, allowed: boolean) => {
+    if (!draft || !status) return;
+    const current = draft.allowedTools || status.defaults.allowedTools;
+    update({
+      allowedTools: allowed
+        ? [...current, tool]
+        : current.filter((name) => name !== tool)
+    });
+  };
+
+  const save = async () => {
+    if (!claudeService || !draft || !status) return;
+    if (!sessionId) {
+      // Reloads the panel through newChatSettings
+      onNewChatSettingsChange?.(withoutDefaults(toSettings(draft)));
+      return;
+    }
+    setIsSaving(true);
+    try {
+      const saved = await claudeService.updateSessionSettings(
+        sessionId,
+        toChanges(draft, toDraft(status.settings))
+      );
+      setStatus(saved);
+      setDraft(toDraft(saved.settings));
+    } catch (error) {
+      console.error('Failed to save session settings:', error);
+      alert(
+        `Error: ${error instanceof Error ? error.message : 'Unknown error'}`
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!status || !draft) {
+    return (
+      <div className="settings-panel">
+        <div className="settings-panel-header">
+          <h3>{sessionId ? 'Session settings' : 'New chat settings'}</h3>
+          <button onClick={onClose} title="Close the settings">
+            ✕
+          </button>
+        </div>
+        <div className="settings-empty">Loading settings...</div>
+      </div>
+    );
+  }
+
+  const { defaults, options } = status;
+  const isDirty =
+    JSON.stringify(draft) !== JSON.stringify(toDraft(status.settings));
+  const models =
+    draft.model && !options.models.includes(draft.model)
+      ? [...options.models, draft.model]
+      : options.models;
+  // Tools disabled through the API stay listed, so they can be enabled again
+  const tools = [
+    ...options.tools,
+    ...draft.disallowedTools.filter((tool) => !options.tools.includes(tool))
+  ];
+  const allowedTools = draft.allowedTools || defaults.allowedTools;
+
+  return (
+    <div className="settings-panel">
+      <div className="settings-panel-header">
+        <h3>{sessionId ? 'Session settings' : 'New chat settings'}</h3>
+        <div className="settings-actions">
+          <button onClick={save} disabled={isSaving || !isDirty}>
+            Save
+          </button>
+          <button onClick={onClose} title="Close the settings">
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="settings-body">
+        <p className="settings-hint">
+          {sessionId
+            ? 'Changes apply from the next message.'
+            : 'Saved settings are used from the first message of the new chat.'}{' '}
+          Empty fields use the defaults of the server.
+        </p>
+
+        <h4>Agent</h4>
+        <label className="settings-field">
+          <span>Model</span>
+          <select
+            value={draft.model}
+            onChange={(e) => update({ model: e.target.value })}
+          >
+            <option value="">Default</option>
+            {models.map((model) => (
+              <option key={model} value={model}>
+                {model}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="settings-field">
+          <span>Thinking budget (tokens)</span>
+          <input
+            type="number"
+            min={options.maxThinkingTokens.min}
+            max={options.maxThinkingTokens.max}
+            step={1024}
+            value={draft.maxThinkingTokens}
+            onChange={(e) => update({ maxThinkingTokens: e.target.value })}
+            placeholder="Off"
+          />
+        </label>
+        <label className="settings-field">
+          <span>Max turns per message</span>
+          <input
+            type="number"
+            min={options.maxTurns.min}
+            max={options.maxTurns.max}
+            value={draft.maxTurns}
+            onChange={(e) => update({ maxTurns: e.target.value })}
+            placeholder={
+              defaults.maxTurns ? String(defaults.maxTurns) : 'Unlimited'
+            }
+          />
+        </label>
+
+        <h4>Permissions</h4>
+        <label className="settings-field">
+          <span>Permission mode</span>
+          <select
+            value={draft.permissionMode}
+            onChange={(e) => update({ permissionMode: e.target.value })}
+          >
+            <option value="">
+              Default ({PERMISSION_MODE_LABELS[defaults.permissionMode]})
+            </option>
+            {options.permissionModes.map((mode) => (
+              <option key={mode} value={mode}>
+                {PERMISSION_MODE_LABELS[mode] || mode}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="settings-field">
+          <span>Permission timeout (seconds)</span>
+          <input
+            type="number"
+            min={5}
+            max={3600}
+            value={draft.permissionTimeoutSeconds}
+            onChange={(e) =>
+              update({ permissionTimeoutSeconds: e.target.value })
+            }
+            placeholder={String(defaults.timeoutSeconds)}
+          />
+        </label>
+        <label className="settings-field">
+          <span>On timeout</span>
+          <select
+            value={draft.permissionTimeoutDecision}
+            onChange={(e) =>
+              update({ permissionTimeoutDecision: e.target.value })
+            }
+          >
+            <option value="">Default ({defaults.timeoutDecision})</option>
+            {options.permissionTimeoutDecisions.map((decision) => (
+              <option key={decision} value={decision}>
+                {decision}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <h4>Tools</h4>
+        <p className="settings-hint">
+          Disabled tools are not available to the agent. Enabled tools still go
+          through permission requests and rules.
+        </p>
+        <div className="settings-tools">
+          {tools.map((tool) => (
+            <label key={tool} className="settings-tool">
+              <input
+                type="checkbox"
+                checked={!draft.disallowedTools.includes(tool)}
+                onChange={(e) => toggleTool(tool, e.target.checked)}
+              />
+              <span>{toolLabel(tool)}</span>
+            </label>
+          ))}
+        </div>
+        <p className="settings-hint">
+          These tools run without a permission request and are not recorded in
+          the audit log. They don&apos;t touch the files of the workspace.
+        </p>
+        <div className="settings-tools">
+          {options.allowedTools.map((tool) => (
+            <label key={tool} className="settings-tool">
+              <input
+                type="checkbox"
+                checked={
+                  allowedTools.includes(tool) &&
+                  !draft.disallowedTools.includes(tool)
+                }
+                disabled={draft.disallowedTools.includes(tool)}
+                onChange={(e) => toggleAllowedTool(tool, e.target.checked)}
+              />
+              <span>{toolLabel(tool)} without asking</span>
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
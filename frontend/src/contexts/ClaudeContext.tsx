@@ -3,20 +3,51 @@ import React, {
   useContext,
   useState,
   useCallback,
+  useEffect,
+  useRef,
   ReactNode
 } from 'react';
-import ClaudeService, { ClaudeMessage } from '../services/claudeService';
+import ClaudeService, {
+  AuthUser,
+  ChatAttachment,
+  ClaudeMessage,
+  SessionSettingsChanges,
+  SessionSummary,
+  TurnUsage
+} from '../services/claudeService';
 
 interface ClaudeContextType {
   messages: ClaudeMessage[];
   isLoading: boolean;
   isConnected: boolean;
-  sendMessage: (content: string) => Promise<void>;
-  clearMessages: () => void;
+  sendMessage: (
+    content: string,
+    attachments?: ChatAttachment[],
+    template?: string,
+    settings?: SessionSettingsChanges
+  ) => Promise<void>;
+  cancelMessage: () => Promise<void>;
+  startNewSession: () => void;
   connectToService: () => Promise<void>;
+  user: AuthUser | null;
+  login: (username: string, password: string) => Promise<void>;
+  logout: () => Promise<void>;
   sessionId: string | null;
+  sessions: SessionSummary[];
+  currentSession: SessionSummary | null;
+  lastTurnUsage: TurnUsage | null;
+  refreshSessions: () => Promise<void>;
+  openSession: (sessionId: string) => Promise<void>;
+  renameSession: (sessionId: string, title: string) => Promise<void>;
+  deleteSession: (sessionId: string) => Promise<void>;
+  shareSession: (sessionId: string, username: string) => Promise<void>;
+  removeSessionMember: (sessionId: string, userId: string) => Promise<void>;
+  forkSession: (sessionId: string) => Promise<void>;
+  claudeService: ClaudeService | null;
 }
 
+const ACTIVE_SESSION_KEY = 'open-builder.activeSession';
+
 const ClaudeContext = createContext<ClaudeContextType | undefined>(undefined);
 
 export const useClaudeContext = () => {
@@ -35,14 +66,42 @@ export const ClaudeProvider: React.FC<ClaudeProviderProps> = ({ children }) => {
   const [messages, setMessages] = useState<ClaudeMessage[]>([]);
   const [isLoading, setIsLoading] = useState(false);
   const [isConnected, setIsConnected] = useState(false);
+  const [user, setUser] = useState<AuthUser | null>(null);
   const [sessionId, setSessionId] = useState<string | null>(null);
+  const [sessions, setSessions] = useState<SessionSummary[]>([]);
+  const [lastTurnUsage, setLastTurnUsage] = useState<TurnUsage | null>(null);
+  const abortControllerRef = useRef<AbortController | null>(null);
   const [claudeService, setClaudeService] = useState<ClaudeService | null>(
     null
   );
 
+  const loadSessions = useCallback(async (service: ClaudeService) => {
+    // Resume the conversation that was open before the page was reloaded
+    const activeSessionId = localStorage.getItem(ACTIVE_SESSION_KEY);
+    setSessionId(activeSessionId);
+    setMessages([]);
+    if (activeSessionId) {
+      try {
+        setMessages(await service.getTranscript(activeSessionId));
+      } catch (error) {
+        console.error('Failed to restore session transcript:', error);
+        setSessionId(null);
+      }
+    }
+
+    try {
+      setSessions(await service.listSessions());
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+    }
+  }, []);
+
   const connectToService = useCallback(async () => {
     try {
-      const service = new ClaudeService();
+      // Any request rejected for a missing login sends the user back to the login screen
+      const service = new ClaudeService({
+        onUnauthorized: () => setUser(null)
+      });
 
       // Test the connection to the server
       const isConnected = await service.testConnection();
@@ -52,23 +111,49 @@ export const ClaudeProvider: React.FC<ClaudeProviderProps> = ({ children }) => {
 
       setClaudeService(service);
       setIsConnected(true);
-      setMessages([]);
+
+      // A session cookie from an earlier visit logs the user in right away
+      const currentUser = await service.getCurrentUser();
+      setUser(currentUser);
+      if (currentUser) {
+        await loadSessions(service);
+      }
     } catch (error) {
       console.error('Failed to connect to Claude service:', error);
       setIsConnected(false);
       throw error;
     }
-  }, []);
+  }, [loadSessions]);
+
+  const login = useCallback(
+    async (username: string, password: string) => {
+      if (!claudeService) {
+        throw new Error('Claude service not connected');
+      }
+      setUser(await claudeService.login(username, password));
+      await loadSessions(claudeService);
+    },
+    [claudeService, loadSessions]
+  );
 
   const sendMessage = useCallback(
-    async (content: string) => {
+    async (
+      content: string,
+      attachments?: ChatAttachment[],
+      template?: string,
+      settings?: SessionSettingsChanges
+    ) => {
       if (!claudeService) {
         throw new Error('Claude service not connected');
       }
 
+      const attachmentNames = (attachments || []).map((file) => file.name);
       const userMessage: ClaudeMessage = {
         id: Date.now().toString(),
-        content,
+        content:
+          attachmentNames.length > 0
+            ? `${content}\n\n📎 ${attachmentNames.join(' · ')}`.trim()
+            : content,
         role: 'user',
         timestamp: new Date()
       };
@@ -76,18 +161,78 @@ export const ClaudeProvider: React.FC<ClaudeProviderProps> = ({ children }) => {
       setMessages((prev) => [...prev, userMessage]);
       setIsLoading(true);
 
+      const abortController = new AbortController();
+      abortControllerRef.current = abortController;
+
       try {
         let assistantResponse = '';
 
         for await (const chunk of claudeService.sendMessage(
           content,
-          sessionId || undefined
+          sessionId || undefined,
+          abortController.signal,
+          attachments,
+          template,
+          settings
         )) {
           // Handle session ID updates
           if (chunk.sessionId) {
             setSessionId(chunk.sessionId);
           }
 
+          if (chunk.usage) {
+            const { turn, session } = chunk.usage;
+            setLastTurnUsage(turn);
+            if (session) {
+              setSessions((prev) =>
+                prev.map((s) =>
+                  s.sessionId === chunk.sessionId ? { ...s, usage: session } : s
+                )
+              );
+            }
+          }
+
+          if (chunk.cancelled) {
+            setMessages((prev) => [
+              ...prev,
+              {
+                id: `${Date.now()}-cancelled`,
+                content: `⏹️ ${chunk.cancelReason || 'Stopped'}`,
+                role: 'assistant',
+                timestamp: new Date()
+              }
+            ]);
+          }
+
+          // Each tool call gets its own card; text after it starts a new reply
+          const { toolUse, toolResult } = chunk;
+          if (toolUse) {
+            assistantResponse = '';
+            setMessages((prev) => [
+              ...prev,
+              {
+                id: `tool-${toolUse.id}`,
+                content: '',
+                role: 'assistant',
+                timestamp: new Date(),
+                tool: { ...toolUse, status: 'running' }
+              }
+            ]);
+          }
+
+          if (toolResult) {
+            setMessages((prev) =>
+              prev.map((message) =>
+                message.tool && message.tool.id === toolResult.id
+                  ? {
+                      ...message,
+                      tool: { ...message.tool, ...toolResult, status: 'done' }
+                    }
+                  : message
+              )
+            );
+          }
+
           // Process content chunks
           if (chunk.content) {
             // Add spacing between chunks if assistantResponse already has content
@@ -106,11 +251,18 @@ export const ClaudeProvider: React.FC<ClaudeProviderProps> = ({ children }) => {
               const newMessages = [...prev];
               const lastMessage = newMessages[newMessages.length - 1];
 
-              if (lastMessage && lastMessage.role === 'assistant') {
-                lastMessage.content = currentResponse;
+              if (
+                lastMessage &&
+                lastMessage.role === 'assistant' &&
+                !lastMessage.tool
+              ) {
+                newMessages[newMessages.length - 1] = {
+                  ...lastMessage,
+                  content: currentResponse
+                };
               } else {
                 newMessages.push({
-                  id: (Date.now() + 1).toString(),
+                  id: `${Date.now()}-${newMessages.length}`,
                   content: currentResponse,
                   role: 'assistant',
                   timestamp: new Date()
@@ -122,6 +274,19 @@ export const ClaudeProvider: React.FC<ClaudeProviderProps> = ({ children }) => {
           }
         }
       } catch (error) {
+        if (abortController.signal.aborted) {
+          setMessages((prev) => [
+            ...prev,
+            {
+              id: `${Date.now()}-cancelled`,
+              content: '⏹️ Stopped by user',
+              role: 'assistant',
+              timestamp: new Date()
+            }
+          ]);
+          return;
+        }
+
         console.error('Error sending message:', error);
 
         const errorMessage: ClaudeMessage = {
@@ -133,25 +298,186 @@ export const ClaudeProvider: React.FC<ClaudeProviderProps> = ({ children }) => {
 
         setMessages((prev) => [...prev, errorMessage]);
       } finally {
+        abortControllerRef.current = null;
         setIsLoading(false);
       }
     },
     [claudeService, sessionId]
   );
 
-  const clearMessages = useCallback(() => {
+  const cancelMessage = useCallback(async () => {
+    const abortController = abortControllerRef.current;
+    if (!abortController) {
+      return;
+    }
+
+    // Ask the server to stop the agent; dropping the stream stops it as a fallback
+    try {
+      if (
+        claudeService &&
+        sessionId &&
+        (await claudeService.cancelChat(sessionId))
+      ) {
+        return;
+      }
+    } catch (error) {
+      console.error('Failed to cancel chat on the server:', error);
+    }
+    abortController.abort();
+  }, [claudeService, sessionId]);
+
+  const refreshSessions = useCallback(async () => {
+    if (!claudeService || !user) {
+      return;
+    }
+    try {
+      setSessions(await claudeService.listSessions());
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+    }
+  }, [claudeService, user]);
+
+  // Keep the active session across page reloads
+  useEffect(() => {
+    if (sessionId) {
+      localStorage.setItem(ACTIVE_SESSION_KEY, sessionId);
+    } else {
+      localStorage.removeItem(ACTIVE_SESSION_KEY);
+    }
+  }, [sessionId]);
+
+  // Pick up newly created sessions once a turn has finished
+  useEffect(() => {
+    if (!isLoading) {
+      refreshSessions();
+    }
+  }, [isLoading, refreshSessions]);
+
+  const openSession = useCallback(
+    async (id: string) => {
+      if (!claudeService) {
+        throw new Error('Claude service not connected');
+      }
+      setSessionId(id);
+      setMessages([]);
+      setLastTurnUsage(null);
+      try {
+        setMessages(await claudeService.getTranscript(id));
+      } catch (error) {
+        console.error('Failed to load session transcript:', error);
+      }
+    },
+    [claudeService]
+  );
+
+  const startNewSession = useCallback(() => {
     setMessages([]);
     setSessionId(null);
+    setLastTurnUsage(null);
   }, []);
 
+  const logout = useCallback(async () => {
+    if (claudeService) {
+      try {
+        await claudeService.logout();
+      } catch (error) {
+        console.error('Failed to log out on the server:', error);
+      }
+    }
+    setUser(null);
+    setSessions([]);
+    startNewSession();
+  }, [claudeService, startNewSession]);
+
+  const renameSession = useCallback(
+    async (id: string, title: string) => {
+      if (!claudeService) {
+        throw new Error('Claude service not connected');
+      }
+      await claudeService.renameSession(id, title);
+      await refreshSessions();
+    },
+    [claudeService, refreshSessions]
+  );
+
+  const deleteSession = useCallback(
+    async (id: string) => {
+      if (!claudeService) {
+        throw new Error('Claude service not connected');
+      }
+      await claudeService.deleteSession(id);
+      if (id === sessionId) {
+        startNewSession();
+      }
+      await refreshSessions();
+    },
+    [claudeService, sessionId, startNewSession, refreshSessions]
+  );
+
+  const shareSession = useCallback(
+    async (id: string, username: string) => {
+      if (!claudeService) {
+        throw new Error('Claude service not connected');
+      }
+      await claudeService.shareSession(id, username);
+      await refreshSessions();
+    },
+    [claudeService, refreshSessions]
+  );
+
+  const removeSessionMember = useCallback(
+    async (id: string, userId: string) => {
+      if (!claudeService) {
+        throw new Error('Claude service not connected');
+      }
+      await claudeService.removeSessionMember(id, userId);
+      // Leaving a shared session removes it from the list, close it if it was open
+      if (userId === user?.id && id === sessionId) {
+        startNewSession();
+      }
+      await refreshSessions();
+    },
+    [claudeService, refreshSessions, user, sessionId, startNewSession]
+  );
+
+  const forkSession = useCallback(
+    async (id: string) => {
+      if (!claudeService) {
+        throw new Error('Claude service not connected');
+      }
+      const fork = await claudeService.forkSession(id);
+      await refreshSessions();
+      await openSession(fork.sessionId);
+    },
+    [claudeService, refreshSessions, openSession]
+  );
+
+  const currentSession =
+    sessions.find((session) => session.sessionId === sessionId) || null;
+
   const value: ClaudeContextType = {
     messages,
     isLoading,
     isConnected,
     sendMessage,
-    clearMessages,
+    cancelMessage,
+    startNewSession,
     connectToService,
-    sessionId
+    user,
+    login,
+    logout,
+    sessionId,
+    sessions,
+    currentSession,
+    lastTurnUsage,
+    refreshSessions,
+    openSession,
+    renameSession,
+    deleteSession,
+    shareSession,
+    removeSessionMember,
+    forkSession,
+    claudeService
   };
 
   return (
@@ -1,33 +1,442 @@
+import { FileDiff } from '../components/DiffView';
+
+export interface ToolCall {
+  id: string;
+  name: string;
+  input: Record<string, any>;
+  output?: string;
+  truncated?: boolean;
+  isError?: boolean;
+  status: 'running' | 'done';
+}
+
 export interface ClaudeMessage {
   id: string;
   content: string;
   role: 'user' | 'assistant';
   timestamp: Date;
+  tool?: ToolCall;
+}
+
+export interface StreamChunk {
+  content: string;
+  sessionId?: string;
+  cancelled?: boolean;
+  cancelReason?: string;
+  usage?: { turn: TurnUsage; session: SessionUsage | null };
+  toolUse?: Pick<ToolCall, 'id' | 'name' | 'input'>;
+  toolResult?: Pick<ToolCall, 'id' | 'output' | 'truncated' | 'isError'>;
+}
+
+export interface TurnUsage {
+  subtype?: string;
+  isError: boolean;
+  costUsd: number;
+  durationMs: number;
+  durationApiMs: number;
+  numTurns: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheCreationInputTokens: number;
+  cacheReadInputTokens: number;
+}
+
+export interface SessionUsage {
+  queries: number;
+  numTurns: number;
+  costUsd: number;
+  durationMs: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheCreationInputTokens: number;
+  cacheReadInputTokens: number;
+  lastQueryAt: string | null;
+}
+
+export interface SessionMember {
+  id: string;
+  username: string | null;
+}
+
+export interface SessionSummary {
+  sessionId: string;
+  title: string;
+  prompt: string | null;
+  workspace: string;
+  workspaceDir: string;
+  workspaceExists: boolean;
+  ownerId: string | null;
+  ownerName: string | null;
+  members: SessionMember[];
+  size: number;
+  createdAt: string;
+  lastUsedAt: string;
+  usage: SessionUsage;
+  // Forks have no conversation of their own until their first message
+  pending?: boolean;
+  forkedFrom?: { sessionId: string; checkpointId?: string } | null;
+}
+
+export interface TranscriptEntry {
+  timestamp: string;
+  kind: 'prompt' | 'sdk' | 'cancelled';
+  prompt?: string;
+  message?: any;
+  reason?: string;
+}
+
+const formatToolResultContent = (content: any): string => {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .map((block: any) =>
+        block.type === 'text'
+          ? block.text
+          : block.type === 'image'
+            ? '[image]'
+            : JSON.stringify(block)
+      )
+      .join('\n');
+  }
+  return content === undefined || content === null
+    ? ''
+    : JSON.stringify(content);
+};
+
+export const transcriptToMessages = (
+  entries: TranscriptEntry[]
+): ClaudeMessage[] => {
+  const messages: ClaudeMessage[] = [];
+
+  entries.forEach((entry, index) => {
+    const timestamp = new Date(entry.timestamp);
+
+    if (entry.kind === 'prompt' && entry.prompt) {
+      messages.push({
+        id: `transcript-${index}`,
+        content: entry.prompt,
+        role: 'user',
+        timestamp
+      });
+      return;
+    }
+
+    if (entry.kind === 'cancelled') {
+      messages.push({
+        id: `transcript-${index}`,
+        content: `⏹️ ${entry.reason || 'Stopped'}`,
+        role: 'assistant',
+        timestamp
+      });
+      return;
+    }
+
+    const message = entry.message;
+    if (entry.kind !== 'sdk' || !Array.isArray(message?.message?.content)) {
+      return;
+    }
+
+    if (message.type === 'user') {
+      message.message.content
+        .filter((item: any) => item.type === 'tool_result')
+        .forEach((item: any) => {
+          const toolMessage = messages.find(
+            (m) => m.tool && m.tool.id === item.tool_use_id
+          );
+          if (toolMessage && toolMessage.tool) {
+            toolMessage.tool = {
+              ...toolMessage.tool,
+              output: formatToolResultContent(item.content),
+              isError: !!item.is_error,
+              status: 'done'
+            };
+          }
+        });
+      return;
+    }
+
+    if (message.type !== 'assistant') {
+      return;
+    }
+
+    const text = message.message.content
+      .filter((item: any) => item.type === 'text')
+      .map((item: any) => item.text)
+      .join('\n');
+    if (text.trim()) {
+      // Consecutive assistant messages within a turn are shown as one reply, as during streaming
+      const lastMessage = messages[messages.length - 1];
+      if (
+        lastMessage &&
+        lastMessage.role === 'assistant' &&
+        !lastMessage.tool
+      ) {
+        lastMessage.content += '\n\n' + text;
+      } else {
+        messages.push({
+          id: `transcript-${index}`,
+          content: text,
+          role: 'assistant',
+          timestamp
+        });
+      }
+    }
+
+    message.message.content
+      .filter((item: any) => item.type === 'tool_use')
+      .forEach((item: any) => {
+        messages.push({
+          id: `transcript-${index}-${item.id}`,
+          content: '',
+          role: 'assistant',
+          timestamp,
+          tool: {
+            id: item.id,
+            name: item.name,
+            input: item.input || {},
+            status: 'running'
+          }
+        });
+      });
+  });
+
+  // Tools without a recorded result were interrupted before they finished
+  messages.forEach((m) => {
+    if (m.tool && m.tool.status === 'running') {
+      m.tool = { ...m.tool, status: 'done' };
+    }
+  });
+
+  return messages;
+};
+
+export interface WorkspaceFileNode {
+  name: string;
+  path: string;
+  type: 'file' | 'directory' | 'symlink';
+  size: number;
+  modifiedAt: string;
+  collapsed?: boolean;
+  children?: WorkspaceFileNode[];
+}
+
+export interface WorkspaceFileContent {
+  path: string;
+  size: number;
+  modifiedAt: string;
+  binary: boolean;
+  tooLarge?: boolean;
+  content: string | null;
+}
+
+export interface FileUpload {
+  path: string;
+  // Base64 encoded file content
+  content: string;
+}
+
+export interface ChatAttachment {
+  name: string;
+  type: string;
+  // Base64 encoded file content
+  content: string;
+}
+
+export const readFileAsBase64 = (file: File) =>
+  new Promise<string>((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      // Strip the "data:<type>;base64," prefix of the data URL
+      const result = reader.result as string;
+      resolve(result.substring(result.indexOf(',') + 1));
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+export interface Checkpoint {
+  id: string;
+  createdAt: string;
+  message: string;
+  kind: 'created' | 'turn' | 'before-restore' | 'restore' | 'fork';
+  sessionId: string | null;
+  restoredFrom: string | null;
+  filesChanged: number;
+  additions: number;
+  deletions: number;
+}
+
+export interface CheckpointDiff {
+  from: string;
+  to: string;
+  files: FileDiff[];
+}
+
+export interface ProjectTemplate {
+  id: string;
+  name: string;
+  description: string;
+}
+
+export type PermissionMode = 'default' | 'plan';
+export type PermissionTimeoutDecision = 'deny' | 'allow-read-only' | 'wait';
+
+// What a session overrides, a missing setting uses the instance default
+export interface SessionSettings {
+  permissionTimeoutSeconds?: number;
+  permissionTimeoutDecision?: PermissionTimeoutDecision;
+  model?: string;
+  maxThinkingTokens?: number;
+  maxTurns?: number;
+  permissionMode?: PermissionMode;
+  allowedTools?: string[];
+  disallowedTools?: string[];
+}
+
+// null resets a setting to the instance default
+export type SessionSettingsChanges = {
+  [K in keyof SessionSettings]?: SessionSettings[K] | null;
+};
+
+export interface EffectiveSessionSettings {
+  timeoutSeconds: number;
+  timeoutDecision: PermissionTimeoutDecision;
+  model: string | null;
+  maxThinkingTokens: number | null;
+  maxTurns: number | null;
+  permissionMode: PermissionMode;
+  allowedTools: string[];
+  disallowedTools: string[];
+}
+
+// sessionId is null for the defaults of a new chat
+export interface SessionSettingsStatus {
+  sessionId: string | null;
+  settings: SessionSettings;
+  effective: EffectiveSessionSettings;
+  defaults: EffectiveSessionSettings;
+  options: {
+    models: string[];
+    permissionModes: PermissionMode[];
+    permissionTimeoutDecisions: PermissionTimeoutDecision[];
+    tools: string[];
+    // Tools that can run without a permission request
+    allowedTools: string[];
+    maxThinkingTokens: { min: number; max: number };
+    maxTurns: { min: number; max: number };
+  };
+}
+
+export interface InstanceInstructions {
+  instructions: string;
+  // From SYSTEM_PROMPT_APPEND, used while isDefault
+  configured: string;
+  isDefault: boolean;
+  updatedAt: string | null;
+  updatedBy: string | null;
+}
+
+export interface AuthUser {
+  id: string;
+  username: string;
+  role: 'admin' | 'user';
+  createdAt: string;
 }
 
 export interface ClaudeServiceConfig {
   baseUrl?: string;
+  onUnauthorized?: () => void;
 }
 
 interface StreamEvent {
-  type: 'start' | 'message' | 'complete' | 'error';
+  type:
+    | 'start'
+    | 'session'
+    | 'message'
+    | 'tool_use'
+    | 'tool_result'
+    | 'complete'
+    | 'cancelled'
+    | 'error';
   content?: string;
   message?: string;
   error?: string;
   messageId?: number;
   sessionId?: string;
+  toolUseId?: string;
+  name?: string;
+  input?: Record<string, any>;
+  output?: string;
+  truncated?: boolean;
+  isError?: boolean;
+  reason?: string;
+  code?: string;
+  usage?: { turn: TurnUsage; session: SessionUsage | null };
 }
 
 class ClaudeService {
   private baseUrl: string;
+  private onUnauthorized?: () => void;
 
   constructor(config: ClaudeServiceConfig = {}) {
     this.baseUrl = config.baseUrl || '/api';
+    this.onUnauthorized = config.onUnauthorized;
+  }
+
+  // The session cookie is sent with every request; a 401 means it expired or was revoked
+  private async request(path: string, init?: RequestInit): Promise<Response> {
+    const response = await fetch(`${this.baseUrl}${path}`, init);
+    if (response.status === 401 && this.onUnauthorized) {
+      this.onUnauthorized();
+    }
+    return response;
+  }
+
+  // Parse a JSON response, turning error responses into errors with the server's message
+  private async readJson(response: Response): Promise<any> {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  }
+
+  async getCurrentUser(): Promise<AuthUser | null> {
+    const response = await fetch(`${this.baseUrl}/auth/me`);
+    if (response.status === 401) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    return data.user;
+  }
+
+  async login(username: string, password: string): Promise<AuthUser> {
+    const response = await fetch(`${this.baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ username, password })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data.user;
+  }
+
+  async logout(): Promise<void> {
+    await fetch(`${this.baseUrl}/auth/logout`, { method: 'POST' });
   }
 
   async testConnection(): Promise<boolean> {
     try {
-      const response = await fetch(`${this.baseUrl}/status`);
+      const response = await this.request('/status');
       const data = await response.json();
       return data.connected === true;
     } catch (error) {
@@ -38,22 +447,30 @@ class ClaudeService {
 
   async *sendMessage(
     prompt: string,
-    sessionId?: string
-  ): AsyncGenerator<{ content: string; sessionId?: string }, void, unknown> {
+    sessionId?: string,
+    signal?: AbortSignal,
+    attachments?: ChatAttachment[],
+    template?: string,
+    settings?: SessionSettingsChanges
+  ): AsyncGenerator<StreamChunk, void, unknown> {
     try {
-      const response = await fetch(`${this.baseUrl}/chat/stream`, {
+      const response = await this.request('/chat/stream', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
           prompt,
-          ...(sessionId && { sessionId })
-        })
+          ...(sessionId && { sessionId }),
+          ...(attachments && attachments.length > 0 && { attachments }),
+          ...(template && { template }),
+          ...(settings && { settings })
+        }),
+        signal
       });
 
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        await this.readJson(response);
       }
 
       const reader = response.body?.getReader();
@@ -75,21 +492,66 @@ class ClaudeService {
 
           for (const line of lines) {
             if (line.startsWith('data: ')) {
+              let eventData: StreamEvent;
               try {
-                const eventData: StreamEvent = JSON.parse(line.slice(6));
+                eventData = JSON.parse(line.slice(6));
+              } catch (parseError) {
+                console.warn('Failed to parse SSE data:', line, parseError);
+                continue;
+              }
 
-                if (eventData.type === 'message' && eventData.content) {
-                  yield { content: eventData.content };
-                } else if (eventData.type === 'complete') {
-                  if (eventData.sessionId) {
-                    yield { content: '', sessionId: eventData.sessionId };
+              if (eventData.type === 'session' && eventData.sessionId) {
+                yield { content: '', sessionId: eventData.sessionId };
+              } else if (eventData.type === 'cancelled') {
+                yield {
+                  content: '',
+                  sessionId: eventData.sessionId,
+                  cancelled: true,
+                  cancelReason: eventData.reason
+                };
+                return;
+              } else if (eventData.type === 'message' && eventData.content) {
+                yield { content: eventData.content };
+              } else if (eventData.type === 'tool_use' && eventData.toolUseId) {
+                yield {
+                  content: '',
+                  toolUse: {
+                    id: eventData.toolUseId,
+                    name: eventData.name || 'Tool',
+                    input: eventData.input || {}
+                  }
+                };
+              } else if (
+                eventData.type === 'tool_result' &&
+                eventData.toolUseId
+              ) {
+                yield {
+                  content: '',
+                  toolResult: {
+                    id: eventData.toolUseId,
+                    output: eventData.output || '',
+                    truncated: eventData.truncated,
+                    isError: eventData.isError
                   }
-                  return;
-                } else if (eventData.type === 'error') {
-                  throw new Error(eventData.error || 'Unknown streaming error');
+                };
+              } else if (eventData.type === 'complete') {
+                if (eventData.sessionId || eventData.usage) {
+                  yield {
+                    content: '',
+                    sessionId: eventData.sessionId,
+                    usage: eventData.usage
+                  };
                 }
-              } catch (parseError) {
-                console.warn('Failed to parse SSE data:', line, parseError);
+                return;
+              } else if (eventData.type === 'error') {
+                if (eventData.sessionId || eventData.usage) {
+                  yield {
+                    content: '',
+                    sessionId: eventData.sessionId,
+                    usage: eventData.usage
+                  };
+                }
+                throw new Error(eventData.error || 'Unknown streaming error');
               }
             }
           }
@@ -103,9 +565,333 @@ class ClaudeService {
     }
   }
 
+  async cancelChat(sessionId: string): Promise<boolean> {
+    const response = await this.request(
+      `/chat/${encodeURIComponent(sessionId)}/cancel`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ reason: 'Stopped by user' })
+      }
+    );
+    return response.ok;
+  }
+
+  async getInstanceInstructions(): Promise<InstanceInstructions> {
+    const response = await this.request('/instructions');
+    return this.readJson(response);
+  }
+
+  // null goes back to the instructions from the server configuration
+  async setInstanceInstructions(
+    instructions: string | null
+  ): Promise<InstanceInstructions> {
+    const response = await this.request('/instructions', {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ instructions })
+    });
+    return this.readJson(response);
+  }
+
+  async getSessionInstructions(sessionId: string): Promise<string> {
+    const response = await this.request(
+      `/sessions/${encodeURIComponent(sessionId)}/instructions`
+    );
+    const data = await this.readJson(response);
+    return data.instructions || '';
+  }
+
+  async setSessionInstructions(
+    sessionId: string,
+    instructions: string
+  ): Promise<string> {
+    const response = await this.request(
+      `/sessions/${encodeURIComponent(sessionId)}/instructions`,
+      {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ instructions })
+      }
+    );
+    const data = await this.readJson(response);
+    return data.instructions || '';
+  }
+
+  async getDefaultSettings(): Promise<SessionSettingsStatus> {
+    const response = await this.request('/settings');
+    return this.readJson(response);
+  }
+
+  async getSessionSettings(sessionId: string): Promise<SessionSettingsStatus> {
+    const response = await this.request(
+      `/sessions/${encodeURIComponent(sessionId)}/settings`
+    );
+    return this.readJson(response);
+  }
+
+  async updateSessionSettings(
+    sessionId: string,
+    changes: SessionSettingsChanges
+  ): Promise<SessionSettingsStatus> {
+    const response = await this.request(
+      `/sessions/${encodeURIComponent(sessionId)}/settings`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+      }
+    );
+    return this.readJson(response);
+  }
+
+  async listTemplates(): Promise<ProjectTemplate[]> {
+    const response = await this.request('/templates');
+    const data = await this.readJson(response);
+    return data.templates || [];
+  }
+
+  async listSessions(): Promise<SessionSummary[]> {
+    const response = await this.request('/sessions');
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    return data.sessions || [];
+  }
+
+  async getTranscript(sessionId: string): Promise<ClaudeMessage[]> {
+    const response = await this.request(
+      `/sessions/${encodeURIComponent(sessionId)}/transcript`
+    );
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    return transcriptToMessages(data.entries || []);
+  }
+
+  async renameSession(
+    sessionId: string,
+    title: string
+  ): Promise<SessionSummary> {
+    const response = await this.request(
+      `/sessions/${encodeURIComponent(sessionId)}`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ title })
+      }
+    );
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async shareSession(
+    sessionId: string,
+    username: string
+  ): Promise<SessionSummary> {
+    const response = await this.request(
+      `/sessions/${encodeURIComponent(sessionId)}/members`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ username })
+      }
+    );
+    return this.readJson(response);
+  }
+
+  async removeSessionMember(
+    sessionId: string,
+    userId: string
+  ): Promise<SessionSummary> {
+    const response = await this.request(
+      `/sessions/${encodeURIComponent(sessionId)}/members/${encodeURIComponent(userId)}`,
+      {
+        method: 'DELETE'
+      }
+    );
+    return this.readJson(response);
+  }
+
+  // The fork gets a copy of the workspace and continues from the conversation so far
+  async forkSession(sessionId: string): Promise<SessionSummary> {
+    const response = await this.request(
+      `/sessions/${encodeURIComponent(sessionId)}/fork`,
+      {
+        method: 'POST'
+      }
+    );
+    return this.readJson(response);
+  }
+
+  private filesPath(sessionId: string, suffix = '', filePath?: string) {
+    const query =
+      filePath !== undefined ? `?path=${encodeURIComponent(filePath)}` : '';
+    return `/sessions/${encodeURIComponent(sessionId)}/files${suffix}${query}`;
+  }
+
+  async listFiles(
+    sessionId: string
+  ): Promise<{ tree: WorkspaceFileNode[]; truncated: boolean }> {
+    const response = await this.request(this.filesPath(sessionId));
+    return this.readJson(response);
+  }
+
+  async readFile(
+    sessionId: string,
+    filePath: string
+  ): Promise<WorkspaceFileContent> {
+    const response = await this.request(
+      this.filesPath(sessionId, '/content', filePath)
+    );
+    return this.readJson(response);
+  }
+
+  async saveFile(
+    sessionId: string,
+    filePath: string,
+    content: string
+  ): Promise<void> {
+    const response = await this.request(this.filesPath(sessionId, '/content'), {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ path: filePath, content })
+    });
+    await this.readJson(response);
+  }
+
+  async uploadFiles(sessionId: string, files: FileUpload[]): Promise<void> {
+    const response = await this.request(this.filesPath(sessionId, '/upload'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ files })
+    });
+    await this.readJson(response);
+  }
+
+  async renameFile(sessionId: string, from: string, to: string): Promise<void> {
+    const response = await this.request(this.filesPath(sessionId, '/rename'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ from, to })
+    });
+    await this.readJson(response);
+  }
+
+  async deleteFile(sessionId: string, filePath: string): Promise<void> {
+    const response = await this.request(
+      this.filesPath(sessionId, '', filePath),
+      {
+        method: 'DELETE'
+      }
+    );
+    await this.readJson(response);
+  }
+
+  private checkpointsPath(sessionId: string, suffix = '') {
+    return `/sessions/${encodeURIComponent(sessionId)}/checkpoints${suffix}`;
+  }
+
+  async listCheckpoints(sessionId: string): Promise<Checkpoint[]> {
+    const response = await this.request(this.checkpointsPath(sessionId));
+    const data = await this.readJson(response);
+    return data.checkpoints || [];
+  }
+
+  async diffCheckpoints(
+    sessionId: string,
+    from: string,
+    to: string
+  ): Promise<CheckpointDiff> {
+    const response = await this.request(
+      this.checkpointsPath(
+        sessionId,
+        `/diff?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`
+      )
+    );
+    return this.readJson(response);
+  }
+
+  // Restoring first saves the current files as a checkpoint, so it can be undone
+  async restoreCheckpoint(
+    sessionId: string,
+    checkpointId: string
+  ): Promise<void> {
+    const response = await this.request(
+      this.checkpointsPath(
+        sessionId,
+        `/${encodeURIComponent(checkpointId)}/restore`
+      ),
+      {
+        method: 'POST'
+      }
+    );
+    await this.readJson(response);
+  }
+
+  async forkCheckpoint(
+    sessionId: string,
+    checkpointId: string
+  ): Promise<SessionSummary> {
+    const response = await this.request(
+      this.checkpointsPath(
+        sessionId,
+        `/${encodeURIComponent(checkpointId)}/fork`
+      ),
+      {
+        method: 'POST'
+      }
+    );
+    return this.readJson(response);
+  }
+
+  // URL of the whole workspace as an archive, without node_modules, .git and .gitignored files
+  getArchiveUrl(sessionId: string, format: 'zip' | 'tar.gz' = 'zip'): string {
+    return `${this.baseUrl}/sessions/${encodeURIComponent(sessionId)}/archive?format=${encodeURIComponent(format)}`;
+  }
+
+  // URL of the raw file, for images and downloads
+  getFileUrl(sessionId: string, filePath: string, download = false): string {
+    return `${this.baseUrl}${this.filesPath(sessionId, '/raw', filePath)}${download ? '&download=1' : ''}`;
+  }
+
+  async deleteSession(sessionId: string): Promise<void> {
+    const response = await this.request(
+      `/sessions/${encodeURIComponent(sessionId)}`,
+      {
+        method: 'DELETE'
+      }
+    );
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+  }
+
   async sendSingleMessage(prompt: string): Promise<string> {
     try {
-      const response = await fetch(`${this.baseUrl}/chat`, {
+      const response = await this.request('/chat', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
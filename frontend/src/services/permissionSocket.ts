@@ -0,0 +1,27 @@
+/**
+ * Permission WebSocket helpers - requests are only delivered to clients
+ * attached to the session that raised them
+ */
+
+export const getPermissionSocketUrl = (sessionId: string | null): string => {
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const query = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
+  return `${protocol}//${window.location.host}/api/permissions/ws${query}`;
+};
+
+// Move the socket from one session to another, e.g. when a different session is opened
+export const switchPermissionSession = (
+  ws: WebSocket,
+  fromSessionId: string | null,
+  toSessionId: string | null
+) => {
+  if (ws.readyState !== WebSocket.OPEN || fromSessionId === toSessionId) {
+    return;
+  }
+  if (fromSessionId) {
+    ws.send(JSON.stringify({ type: 'unsubscribe', sessionId: fromSessionId }));
+  }
+  if (toSessionId) {
+    ws.send(JSON.stringify({ type: 'subscribe', sessionId: toSessionId }));
+  }
+};
@@ -7,13 +7,21 @@
  */
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
-const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const {
+  StdioServerTransport
+} = require('@modelcontextprotocol/sdk/server/stdio.js');
+const {
+  CallToolRequestSchema,
+  ListToolsRequestSchema
+} = require('@modelcontextprotocol/sdk/types.js');
 const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs-extra');
 const { Context } = require('@osaas/client-core');
-const { getMinioMinioInstance, createMinioMinioInstance } = require('@osaas/client-services');
+const {
+  getMinioMinioInstance,
+  createMinioMinioInstance
+} = require('@osaas/client-services');
 const Minio = require('minio');
 
 class DeployMCPServer {
@@ -99,12 +107,14 @@ class DeployMCPServer {
 
   async deployStaticWebsite(args) {
     const { build_dir, app_name } = args;
-    
-    console.error(`🚀 Starting deployment for app: ${app_name}, build_dir: ${build_dir}`);
-    
+
+    console.error(
+      `🚀 Starting deployment for app: ${app_name}, build_dir: ${build_dir}`
+    );
+
     // Validate build directory exists
     const buildPath = path.resolve(build_dir);
-    if (!await fs.pathExists(buildPath)) {
+    if (!(await fs.pathExists(buildPath))) {
       throw new Error(`Build directory not found: ${buildPath}`);
     }
 
@@ -112,18 +122,18 @@ class DeployMCPServer {
       const ctx = new Context();
       const bucketName = app_name.toLowerCase().replace(/[^a-z0-9]/g, '-');
       const minioInstanceName = 'builder';
-      
+
       let minioInstance = await getMinioMinioInstance(ctx, minioInstanceName);
       if (!minioInstance) {
         const rootPassword = Math.random().toString(36).substring(2, 12);
-        minioInstance = await createMinioMinioInstance(ctx, { 
-          name: minioInstanceName, 
-          RootUser: 'admin', 
-          RootPassword: rootPassword 
+        minioInstance = await createMinioMinioInstance(ctx, {
+          name: minioInstanceName,
+          RootUser: 'admin',
+          RootPassword: rootPassword
         });
       }
       console.error('Using Minio instance:', minioInstance);
-      
+
       // Create bucket using minio SDK
       const minioClient = new Minio.Client({
         endPoint: new URL(minioInstance.url).hostname,
@@ -139,7 +149,7 @@ class DeployMCPServer {
       } else {
         console.error(`Bucket "${bucketName}" already exists`);
       }
-      
+
       // Set bucket policy for anonymous read access
       const bucketPolicy = {
         Version: '2012-10-17',
@@ -154,8 +164,13 @@ class DeployMCPServer {
       };
 
       try {
-        await minioClient.setBucketPolicy(bucketName, JSON.stringify(bucketPolicy));
-        console.error(`Bucket "${bucketName}" policy set for anonymous read access`);
+        await minioClient.setBucketPolicy(
+          bucketName,
+          JSON.stringify(bucketPolicy)
+        );
+        console.error(
+          `Bucket "${bucketName}" policy set for anonymous read access`
+        );
       } catch (error) {
         console.error(`Warning: Could not set bucket policy: ${error.message}`);
       }
@@ -163,11 +178,11 @@ class DeployMCPServer {
       // Upload all files from build directory to bucket
       const uploadFiles = async (dirPath, prefix = '') => {
         const items = await fs.readdir(dirPath);
-        
+
         for (const item of items) {
           const itemPath = path.join(dirPath, item);
           const stat = await fs.stat(itemPath);
-          
+
           if (stat.isDirectory()) {
             // Recursively upload subdirectories
             await uploadFiles(itemPath, prefix ? `${prefix}/${item}` : item);
@@ -181,15 +196,20 @@ class DeployMCPServer {
       };
 
       await uploadFiles(buildPath);
-      console.error(`All files from "${buildPath}" uploaded to bucket "${bucketName}"`);
-      const publicUrl = new URL(path.join(bucketName, 'index.html'), minioInstance.url);
+      console.error(
+        `All files from "${buildPath}" uploaded to bucket "${bucketName}"`
+      );
+      const publicUrl = new URL(
+        path.join(bucketName, 'index.html'),
+        minioInstance.url
+      );
       const deploymentUrl = publicUrl.toString();
       const result = {
         url: deploymentUrl,
         platform: 'Open Source Cloud',
         buildDir: buildPath,
         message: 'Deployment completed successfully'
-      }
+      };
 
       return {
         content: [
@@ -229,4 +249,4 @@ if (require.main === module) {
   server.run().catch(console.error);
 }
 
-module.exports = DeployMCPServer;
\ No newline at end of file
+module.exports = DeployMCPServer;
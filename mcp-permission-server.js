@@ -15,40 +15,57 @@ const {
   CallToolRequestSchema,
   ListToolsRequestSchema
 } = require('@modelcontextprotocol/sdk/types.js');
-// Import fetch function - handle different environments
-let fetch;
-
-async function initializeFetch() {
-  try {
-    // Try to use native fetch if available (Node.js 18+)
-    if (global.fetch) {
-      fetch = global.fetch;
-      console.error('🔐 Using native fetch function');
-    } else {
-      // Fall back to node-fetch for older Node.js versions
-      // node-fetch v3+ is ESM, so we need dynamic import
-      const nodeFetch = await import('node-fetch');
-      fetch = nodeFetch.default || nodeFetch;
-      console.error('🔐 Using node-fetch library');
-    }
-  } catch (err) {
-    console.error('🔐 Error: Could not load fetch function:', err.message);
-    process.exit(1);
-  }
-}
-
-// Initialize fetch before starting server
-initializeFetch()
-  .then(() => {
-    console.error('🔐 Fetch function initialized successfully');
-  })
-  .catch((err) => {
-    console.error('🔐 Failed to initialize fetch:', err);
-    process.exit(1);
-  });
+const http = require('http');
 
 // Configuration
 const WEB_APP_BASE_URL = `http://localhost:${process.env.PORT}`;
+// Set per query by the web app from the permission timeout settings, 0 waits for the user indefinitely
+const PERMISSION_TIMEOUT_MS = parseInt(
+  process.env.PERMISSION_TIMEOUT_MS || '65000',
+  10
+);
+// Proves to the web app that the request comes from a query it started
+const INTERNAL_TOKEN = process.env.OPEN_BUILDER_INTERNAL_TOKEN || '';
+
+/**
+ * POST JSON to the web app. Uses the http module rather than fetch because
+ * fetch gives up on responses that take longer than five minutes.
+ */
+function postJson(url, body, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const request = http.request(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          'X-Open-Builder-Internal-Token': INTERNAL_TOKEN
+        }
+      },
+      (response) => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => (data += chunk));
+        response.on('end', () =>
+          resolve({ status: response.statusCode, body: data })
+        );
+      }
+    );
+
+    if (timeoutMs > 0) {
+      request.setTimeout(timeoutMs, () =>
+        request.destroy(
+          new Error(`Permission request timed out after ${timeoutMs}ms`)
+        )
+      );
+    }
+
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
 
 class PermissionMCPServer {
   constructor() {
@@ -158,6 +175,14 @@ class PermissionMCPServer {
         description,
         resource,
         details,
+        workspaceDir: process.env.OPEN_BUILDER_WORKSPACE_DIR,
+        timeout: {
+          timeoutSeconds: parseInt(
+            process.env.OPEN_BUILDER_PERMISSION_TIMEOUT_SECONDS,
+            10
+          ),
+          timeoutDecision: process.env.OPEN_BUILDER_PERMISSION_TIMEOUT_DECISION
+        },
         timestamp: new Date().toISOString()
       };
 
@@ -166,29 +191,17 @@ class PermissionMCPServer {
       );
 
       // Send permission request to web application
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 65000); // 65 second timeout
-
-      const response = await fetch(
+      const response = await postJson(
         `${WEB_APP_BASE_URL}/api/permissions/request-mcp`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(permissionRequest),
-          signal: controller.signal
-        }
+        permissionRequest,
+        PERMISSION_TIMEOUT_MS
       );
 
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Permission request failed: ${error}`);
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Permission request failed: ${response.body}`);
       }
 
-      const result = await response.json();
+      const result = JSON.parse(response.body);
 
       console.error(
         `🔐 MCP Response received:`,
@@ -212,51 +225,25 @@ class PermissionMCPServer {
         `🔐 Permission ${result.approved ? 'approved' : 'denied'}: ${result.reason || 'No reason provided'}`
       );
 
+      // The web app sends updatedInput when the approver corrected the input or a /tmp path
+      // was moved into the session workspace
+      const approvedInput = result.updatedInput || details;
+      if (result.updatedInput) {
+        console.error(`🔐 Using updated tool input from the web app`);
+      }
+
       // Return Claude Agent SDK compatible response format
       const permissionResponse = {
         behavior: result.approved ? 'allow' : 'deny',
         message: result.approved
-          ? `Permission approved: ${description}. You may proceed with the action.`
+          ? result.updatedInput
+            ? `Permission approved with modified input: ${description}. The tool input was changed before approval, proceed with the updated input.`
+            : `Permission approved: ${description}. You may proceed with the action.`
           : `Permission denied: ${description}. Reason: ${result.reason || 'User denied the request'}`
       };
 
-      // For approved permissions, we can optionally include updatedInput if we want to modify the input
-      if (result.approved && details && details.file_path) {
-        // Override SDK permission suggestions: redirect /tmp paths to workspace directory
-        const workspaceDir = process.env.WEB_APP_BASE_URL
-          ? process.env.CLAUDE_WORKSPACE_DIR || './usercontent'
-          : './usercontent';
-
-        let modifiedFilePath = details.file_path;
-
-        // Check if the file path is in /tmp and redirect it to workspace
-        if (
-          details.file_path.startsWith('/tmp/') ||
-          details.file_path.startsWith('/tmp\\')
-        ) {
-          // Extract the filename from the /tmp path
-          const fileName = details.file_path.replace(/^\/tmp[\/\\]?/, '');
-
-          // Create new path in workspace directory
-          if (fileName) {
-            // If workspaceDir is relative, resolve it relative to the server process
-            const path = require('path');
-            const absoluteWorkspaceDir = path.isAbsolute(workspaceDir)
-              ? workspaceDir
-              : path.resolve(process.cwd(), workspaceDir);
-
-            modifiedFilePath = path.join(absoluteWorkspaceDir, fileName);
-            console.error(
-              `🔐 Redirecting file path from ${details.file_path} to ${modifiedFilePath}`
-            );
-          }
-        }
-
-        // Include the modified input
-        permissionResponse.updatedInput = {
-          ...details,
-          file_path: modifiedFilePath
-        };
+      if (result.approved && approvedInput) {
+        permissionResponse.updatedInput = approvedInput;
       }
 
       console.error(
@@ -13,7 +13,18 @@ require('dotenv').config();
 
 const WorkspaceManager = require('./src/workspace');
 const PermissionManager = require('./src/permissions');
+const PermissionRules = require('./src/rules');
 const ChatProcessor = require('./src/chat');
+const TranscriptStore = require('./src/transcripts');
+const BudgetManager = require('./src/budget');
+const PermissionAuditLog = require('./src/audit');
+const AuthManager = require('./src/auth');
+const QuotaManager = require('./src/quota');
+const WorkspaceFiles = require('./src/files');
+const ChatAttachments = require('./src/attachments');
+const WorkspaceArchive = require('./src/export');
+const TemplateLibrary = require('./src/templates');
+const InstructionStore = require('./src/instructions');
 const WebSocketManager = require('./src/websocket');
 const { ConfigUtils } = require('./src/utils');
 
@@ -21,21 +32,57 @@ const app = express();
 const server = http.createServer(app);
 const PORT = process.env.PORT || 3001;
 const WORKSPACE_DIR = process.env.CLAUDE_WORKSPACE_DIR || './usercontent';
+const TEMPLATES_DIR =
+  process.env.TEMPLATES_DIR || path.join(__dirname, 'templates');
 
+const authManager = new AuthManager();
 const workspaceManager = new WorkspaceManager();
-const permissionManager = new PermissionManager();
-const chatProcessor = new ChatProcessor(workspaceManager);
+const quotaManager = new QuotaManager(workspaceManager, authManager);
+const permissionRules = new PermissionRules();
+const permissionAuditLog = new PermissionAuditLog();
+const permissionManager = new PermissionManager(
+  permissionRules,
+  permissionAuditLog,
+  quotaManager
+);
+const transcriptStore = new TranscriptStore();
+const budgetManager = new BudgetManager(workspaceManager);
+const instructionStore = new InstructionStore();
+const chatProcessor = new ChatProcessor(
+  workspaceManager,
+  transcriptStore,
+  budgetManager,
+  instructionStore
+);
+const templateLibrary = new TemplateLibrary();
+templateLibrary.initialize(TEMPLATES_DIR);
 
 // Check for required environment variables
 if (!ConfigUtils.checkApiKey()) {
-  console.warn('WARNING: ANTHROPIC_API_KEY environment variable is not properly configured');
-  console.warn('Please set your Anthropic API key in the .env file or as an environment variable');
+  console.warn(
+    'WARNING: ANTHROPIC_API_KEY environment variable is not properly configured'
+  );
+  console.warn(
+    'Please set your Anthropic API key in the .env file or as an environment variable'
+  );
   console.warn('Example: ANTHROPIC_API_KEY=sk-ant-...');
-  console.warn('The application will still start but Claude integration will not work until this is fixed.');
+  console.warn(
+    'The application will still start but Claude integration will not work until this is fixed.'
+  );
 }
 
 // Initialize workspace on startup
-workspaceManager.initializeWorkspace(WORKSPACE_DIR)
+workspaceManager
+  .initializeWorkspace(WORKSPACE_DIR)
+  .then((baseWorkspaceDir) =>
+    Promise.all([
+      budgetManager.initialize(baseWorkspaceDir),
+      permissionRules.load(baseWorkspaceDir),
+      permissionAuditLog.initialize(baseWorkspaceDir),
+      authManager.initialize(baseWorkspaceDir),
+      instructionStore.initialize(baseWorkspaceDir)
+    ])
+  )
   .then(() => {
     process.env.CLAUDE_AUTO_APPROVE_PERMISSIONS = 'true';
     process.env.CLAUDE_PERMISSION_MODE = 'auto';
@@ -46,9 +93,17 @@ workspaceManager.initializeWorkspace(WORKSPACE_DIR)
   });
 
 // Middleware
-app.use(cors());
+// The UI is served from this server, so cross-origin requests are only allowed from CORS_ORIGINS
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+if (CORS_ORIGINS.length > 0) {
+  app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+}
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static(path.join(__dirname, 'frontend/build')));
+app.use(authManager.middleware());
 
 const MCP_SERVERS = {
   'permission-prompt': {
@@ -56,10 +111,11 @@ const MCP_SERVERS = {
     args: [path.join(__dirname, 'mcp-permission-server.js')],
     env: {
       ...process.env,
-      WEB_APP_BASE_URL: `http://localhost:${PORT}`
+      WEB_APP_BASE_URL: `http://localhost:${PORT}`,
+      OPEN_BUILDER_INTERNAL_TOKEN: authManager.internalToken
     }
   },
-  'deploy': {
+  deploy: {
     command: 'node',
     args: [path.join(__dirname, 'mcp-deploy-server.js')],
     env: {
@@ -68,6 +124,30 @@ const MCP_SERVERS = {
   }
 };
 
+// Sessions are only visible to their owner and the members they are shared with
+app.param('sessionId', (req, res, next, sessionId) => {
+  if (!workspaceManager.canAccessSession(sessionId, req.user)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  next();
+});
+
+const canAccessSession = (req, sessionId) =>
+  !sessionId || workspaceManager.canAccessSession(sessionId, req.user);
+
+// Session details with the names of the owner and members for display
+const presentSession = (session) => {
+  const owner = session.ownerId ? authManager.getUser(session.ownerId) : null;
+  return {
+    ...session,
+    ownerName: owner ? owner.username : null,
+    members: session.members.map((userId) => {
+      const member = authManager.getUser(userId);
+      return { id: userId, username: member ? member.username : null };
+    })
+  };
+};
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
   const hasValidApiKey = ConfigUtils.checkApiKey();
@@ -75,7 +155,10 @@ app.get('/health', async (req, res) => {
 
   try {
     const baseWorkspaceDir = workspaceManager.getBaseWorkspaceDir();
-    if (baseWorkspaceDir) {
+    // Workspace paths and file names are only shown to logged in users
+    if (!req.user) {
+      workspaceInfo = { exists: !!baseWorkspaceDir };
+    } else if (baseWorkspaceDir) {
       const files = await fs.readdir(baseWorkspaceDir);
       const stats = await fs.stat(baseWorkspaceDir);
       workspaceInfo = {
@@ -103,27 +186,297 @@ app.get('/health', async (req, res) => {
   });
 });
 
+// Authentication endpoints
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+      return res
+        .status(400)
+        .json({ error: 'Username and password are required' });
+    }
+
+    const result = await authManager.login(username, password, req.ip);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    authManager.setSessionCookie(res, req, result.token);
+    res.json({ user: result.user });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  authManager.logout(AuthManager.getSessionToken(req));
+  authManager.clearSessionCookie(res, req);
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+app.post('/api/auth/password', async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    await authManager.changePassword(req.user.id, currentPassword, newPassword);
+
+    // Changing the password ends all sessions, keep the current browser logged in
+    authManager.setSessionCookie(
+      res,
+      req,
+      authManager.createSession(req.user.id)
+    );
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/auth/quota', async (req, res) => {
+  try {
+    res.json(await quotaManager.getStatus(req.user.id));
+  } catch (error) {
+    console.error('Error reading disk usage:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/auth/tokens', (req, res) => {
+  res.json({ tokens: authManager.listApiTokens(req.user.id) });
+});
+
+app.post('/api/auth/tokens', (req, res) => {
+  try {
+    const token = authManager.createApiToken(req.user.id, req.body.name);
+    res.status(201).json(token);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/auth/tokens/:tokenId', (req, res) => {
+  if (!authManager.revokeApiToken(req.user.id, req.params.tokenId)) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+
+  res.json({
+    success: true,
+    message: 'Token revoked',
+    tokenId: req.params.tokenId
+  });
+});
+
+// User management endpoints (admin only)
+app.get('/api/users', authManager.requireAdmin(), async (req, res) => {
+  try {
+    const users = await Promise.all(
+      authManager.listUsers().map(async (user) => ({
+        ...user,
+        disk: await quotaManager.getStatus(user.id)
+      }))
+    );
+    res.json({ users });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/users', authManager.requireAdmin(), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    const user = await authManager.createUser({ username, password, role });
+    res.status(201).json({ user });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.patch(
+  '/api/users/:userId',
+  authManager.requireAdmin(),
+  async (req, res) => {
+    try {
+      const { password, role, diskQuotaMb } = req.body;
+      const user = await authManager.updateUser(req.params.userId, {
+        password,
+        role,
+        diskQuotaMb
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ user });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+app.delete('/api/users/:userId', authManager.requireAdmin(), (req, res) => {
+  try {
+    if (!authManager.deleteUser(req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    workspaceManager.releaseUserSessions(req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'User deleted',
+      userId: req.params.userId
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// A turn needs room left in the owner's quota, and room for the attachments it brings along
+const checkChatQuota = async (ownerId, attachments) => {
+  const quotaCheck = await quotaManager.checkQuery(ownerId);
+  if (!quotaCheck.allowed || !attachments) {
+    return quotaCheck;
+  }
+  const violation = await quotaManager.checkWrite(
+    ownerId,
+    null,
+    attachments.totalBytes,
+    'the attachments'
+  );
+  return violation
+    ? { allowed: false, code: 'disk_quota_exceeded', reason: violation.reason }
+    : { allowed: true };
+};
+
+// A template is picked when a chat starts a new session, existing sessions keep their files
+const resolveChatTemplate = async (sessionId, templateId) => {
+  if (!templateId) {
+    return null;
+  }
+  if (sessionId) {
+    throw new Error('A template can only be chosen for a new session');
+  }
+  const template = await templateLibrary.get(templateId);
+  if (!template) {
+    throw new Error(`Template ${templateId} not found`);
+  }
+  return template;
+};
+
+// Settings can be chosen before the first turn, later they are changed through the settings API
+const resolveChatSettings = (sessionId, settings) => {
+  if (settings === undefined || settings === null) {
+    return null;
+  }
+  if (sessionId) {
+    throw new Error(
+      'Settings can only be sent with the first message of a new session'
+    );
+  }
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Settings must be an object');
+  }
+  return ConfigUtils.normalizeSessionSettings(settings);
+};
+
 // Chat endpoint for streaming responses
 app.post('/api/chat/stream', async (req, res) => {
   try {
-    const { prompt, sessionId } = req.body;
+    const {
+      prompt,
+      sessionId,
+      attachments,
+      template: templateId,
+      settings
+    } = req.body;
 
-    if (!prompt) {
+    if (!prompt && !(Array.isArray(attachments) && attachments.length > 0)) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
+    let decodedAttachments;
+    let template;
+    let sessionSettings;
+    try {
+      decodedAttachments = ChatAttachments.decode(attachments);
+      template = await resolveChatTemplate(sessionId, templateId);
+      sessionSettings = resolveChatSettings(sessionId, settings);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    if (!canAccessSession(req, sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Workspaces, and so their disk usage, belong to the session owner; new sessions to the caller
+    const ownerId = sessionId
+      ? workspaceManager.getSessionOwnerId(sessionId)
+      : req.user.id;
+    // Archives are only extracted for requests within the budget and quota
+    let limitCheck = budgetManager.checkQuery(sessionId);
+    if (limitCheck.allowed) {
+      limitCheck = await checkChatQuota(ownerId, decodedAttachments);
+    }
+    let preparedAttachments = null;
+    if (limitCheck.allowed) {
+      try {
+        preparedAttachments =
+          await ChatAttachments.extractArchives(decodedAttachments);
+      } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+      }
+      // Extracted archives can take more space than the upload
+      if (
+        preparedAttachments &&
+        preparedAttachments.totalBytes > decodedAttachments.totalBytes
+      ) {
+        limitCheck = await checkChatQuota(ownerId, preparedAttachments);
+      }
+    }
+
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
       'Cache-Control': 'no-cache',
-      Connection: 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type'
+      Connection: 'keep-alive'
     });
 
+    if (!limitCheck.allowed) {
+      console.log(`🛑 Refusing chat request: ${limitCheck.reason}`);
+      res.write(
+        `data: ${JSON.stringify({ type: 'error', code: limitCheck.code, error: limitCheck.reason })}\n\n`
+      );
+      return res.end();
+    }
+
     res.write(`data: {"type": "start", "message": "Connected"}\n\n`);
 
     try {
-      await chatProcessor.processStreamingChat(prompt, sessionId, res, MCP_SERVERS);
+      await chatProcessor.processStreamingChat(
+        prompt,
+        sessionId,
+        res,
+        MCP_SERVERS,
+        ownerId,
+        preparedAttachments,
+        template,
+        sessionSettings
+      );
     } catch (error) {
       console.error('❌ Error during Claude SDK streaming:', error);
       console.error('📍 Error stack:', error.stack);
@@ -145,16 +498,107 @@ app.post('/api/chat/stream', async (req, res) => {
   }
 });
 
+// Cancel a running chat turn
+app.post('/api/chat/:sessionId/cancel', (req, res) => {
+  try {
+    const cancelled = chatProcessor.cancelQuery(
+      req.params.sessionId,
+      req.body.reason || 'Cancelled by user'
+    );
+    if (!cancelled) {
+      return res
+        .status(404)
+        .json({ error: 'No running chat for this session' });
+    }
+    res.json({
+      success: true,
+      message: 'Chat cancelled',
+      sessionId: req.params.sessionId
+    });
+  } catch (error) {
+    console.error('Error cancelling chat:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // Regular chat endpoint (non-streaming)
 app.post('/api/chat', async (req, res) => {
   try {
-    const { prompt, sessionId } = req.body;
+    const {
+      prompt,
+      sessionId,
+      attachments,
+      template: templateId,
+      settings
+    } = req.body;
 
-    if (!prompt) {
+    if (!prompt && !(Array.isArray(attachments) && attachments.length > 0)) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
 
-    const responseData = await chatProcessor.processRegularChat(prompt, sessionId, MCP_SERVERS);
+    let decodedAttachments;
+    let template;
+    let sessionSettings;
+    try {
+      decodedAttachments = ChatAttachments.decode(attachments);
+      template = await resolveChatTemplate(sessionId, templateId);
+      sessionSettings = resolveChatSettings(sessionId, settings);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    if (!canAccessSession(req, sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const budgetCheck = budgetManager.checkQuery(sessionId);
+    if (!budgetCheck.allowed) {
+      return res
+        .status(429)
+        .json({ error: budgetCheck.reason, code: budgetCheck.code });
+    }
+
+    const ownerId = sessionId
+      ? workspaceManager.getSessionOwnerId(sessionId)
+      : req.user.id;
+    let quotaCheck = await checkChatQuota(ownerId, decodedAttachments);
+    if (!quotaCheck.allowed) {
+      return res
+        .status(507)
+        .json({ error: quotaCheck.reason, code: quotaCheck.code });
+    }
+
+    let preparedAttachments;
+    try {
+      preparedAttachments =
+        await ChatAttachments.extractArchives(decodedAttachments);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+    if (
+      preparedAttachments &&
+      preparedAttachments.totalBytes > decodedAttachments.totalBytes
+    ) {
+      quotaCheck = await checkChatQuota(ownerId, preparedAttachments);
+      if (!quotaCheck.allowed) {
+        return res
+          .status(507)
+          .json({ error: quotaCheck.reason, code: quotaCheck.code });
+      }
+    }
+
+    const responseData = await chatProcessor.processRegularChat(
+      prompt,
+      sessionId,
+      MCP_SERVERS,
+      ownerId,
+      preparedAttachments,
+      template,
+      sessionSettings
+    );
     res.json(responseData);
   } catch (error) {
     console.error('Error in chat endpoint:', error);
@@ -165,6 +609,716 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
+// Instructions for the agent in every session of the instance
+app.get('/api/instructions', (req, res) => {
+  res.json(instructionStore.getStatus());
+});
+
+app.put('/api/instructions', authManager.requireAdmin(), (req, res) => {
+  try {
+    const { instructions } = req.body;
+    if (instructions === undefined) {
+      return res.status(400).json({
+        error:
+          'Instructions are required, null resets them to the configured ones'
+      });
+    }
+    const status = instructionStore.setInstanceInstructions(
+      instructions,
+      req.user.id
+    );
+    console.log(
+      `📝 ${req.user.username} ${status.isDefault ? 'reset' : 'changed'} the instance instructions`
+    );
+    res.json(status);
+  } catch (error) {
+    sendFileError(res, error, 'changing instance instructions');
+  }
+});
+
+app.get('/api/templates', async (req, res) => {
+  try {
+    res.json({ templates: await templateLibrary.list() });
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Session management endpoints
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const sessions = (await workspaceManager.listSessions(req.user)).map(
+      presentSession
+    );
+    res.json({
+      sessions,
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await workspaceManager.getSessionDetails(
+      req.params.sessionId
+    );
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(presentSession(session));
+  } catch (error) {
+    console.error('Error getting session:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/sessions/:sessionId/transcript', async (req, res) => {
+  try {
+    const workspaceDir = workspaceManager.getSessionWorkspaceDir(
+      req.params.sessionId
+    );
+    if (!workspaceDir) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const entries = await transcriptStore.read(workspaceDir);
+    res.json({
+      sessionId: req.params.sessionId,
+      entries,
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('Error reading transcript:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/sessions/:sessionId/usage', (req, res) => {
+  try {
+    const usage = workspaceManager.getSessionUsage(req.params.sessionId);
+    if (!usage) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({
+      sessionId: req.params.sessionId,
+      usage
+    });
+  } catch (error) {
+    console.error('Error getting session usage:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.patch('/api/sessions/:sessionId', async (req, res) => {
+  try {
+    const { title } = req.body;
+
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+
+    const session = await workspaceManager.renameSession(
+      req.params.sessionId,
+      title.trim()
+    );
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(presentSession(session));
+  } catch (error) {
+    console.error('Error renaming session:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Defaults and choices for a new chat, its settings are sent with the first message
+app.get('/api/settings', (req, res) => {
+  const defaults = ConfigUtils.getEffectiveSettings();
+  res.json({
+    sessionId: null,
+    settings: {},
+    effective: defaults,
+    defaults,
+    options: ConfigUtils.getSettingsOptions()
+  });
+});
+
+app.get('/api/sessions/:sessionId/settings', (req, res) => {
+  try {
+    if (!workspaceManager.getSessionWorkspaceDir(req.params.sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const settings = workspaceManager.getSessionSettings(req.params.sessionId);
+    res.json({
+      sessionId: req.params.sessionId,
+      settings,
+      effective: ConfigUtils.getEffectiveSettings(settings),
+      defaults: ConfigUtils.getEffectiveSettings(),
+      options: ConfigUtils.getSettingsOptions()
+    });
+  } catch (error) {
+    console.error('Error getting session settings:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.patch('/api/sessions/:sessionId/settings', (req, res) => {
+  let changes;
+  try {
+    changes = ConfigUtils.normalizeSessionSettings(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const settings = workspaceManager.updateSessionSettings(
+      req.params.sessionId,
+      changes
+    );
+    if (!settings) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({
+      sessionId: req.params.sessionId,
+      settings,
+      effective: ConfigUtils.getEffectiveSettings(settings),
+      defaults: ConfigUtils.getEffectiveSettings(),
+      options: ConfigUtils.getSettingsOptions()
+    });
+  } catch (error) {
+    console.error('Error updating session settings:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Workspace file endpoints
+const getFilesWorkspaceDir = async (sessionId) => {
+  const workspaceDir = workspaceManager.getSessionWorkspaceDir(sessionId);
+  if (!(await fs.pathExists(workspaceDir))) {
+    throw WorkspaceFiles.error(404, 'Session workspace not found');
+  }
+  return workspaceDir;
+};
+
+// File errors carry their HTTP status, anything else is unexpected
+const sendFileError = (res, error, action) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: error.message
+  });
+};
+
+// Writes from the browser count towards the disk quota of the session owner like the agent's
+const checkFileQuota = async (sessionId, workspaceDir, filePath, bytes) => {
+  const { absolutePath } = await WorkspaceFiles.resolve(workspaceDir, filePath);
+  const violation = await quotaManager.checkWrite(
+    workspaceManager.getSessionOwnerId(sessionId),
+    absolutePath,
+    bytes
+  );
+  if (violation) {
+    throw WorkspaceFiles.error(507, violation.reason);
+  }
+};
+
+app.get('/api/sessions/:sessionId/files', async (req, res) => {
+  try {
+    const workspaceDir = await getFilesWorkspaceDir(req.params.sessionId);
+    const { tree, truncated } = await WorkspaceFiles.listTree(workspaceDir);
+    res.json({
+      sessionId: req.params.sessionId,
+      tree,
+      truncated
+    });
+  } catch (error) {
+    sendFileError(res, error, 'listing workspace files');
+  }
+});
+
+app.get('/api/sessions/:sessionId/files/content', async (req, res) => {
+  try {
+    const workspaceDir = await getFilesWorkspaceDir(req.params.sessionId);
+    res.json(await WorkspaceFiles.readFile(workspaceDir, req.query.path));
+  } catch (error) {
+    sendFileError(res, error, 'reading workspace file');
+  }
+});
+
+app.get('/api/sessions/:sessionId/files/raw', async (req, res) => {
+  try {
+    const workspaceDir = await getFilesWorkspaceDir(req.params.sessionId);
+    const filePath = await WorkspaceFiles.getFilePath(
+      workspaceDir,
+      req.query.path
+    );
+    if (req.query.download) {
+      return res.download(filePath, path.basename(filePath), {
+        dotfiles: 'allow'
+      });
+    }
+    // Served files are shown inline, never run as pages of this origin
+    res.set(
+      'Content-Security-Policy',
+      "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; sandbox"
+    );
+    res.sendFile(filePath, { dotfiles: 'allow' });
+  } catch (error) {
+    sendFileError(res, error, 'downloading workspace file');
+  }
+});
+
+app.put('/api/sessions/:sessionId/files/content', async (req, res) => {
+  try {
+    const { path: filePath, content } = req.body;
+
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'Content must be a string' });
+    }
+
+    const workspaceDir = await getFilesWorkspaceDir(req.params.sessionId);
+    await checkFileQuota(
+      req.params.sessionId,
+      workspaceDir,
+      filePath,
+      Buffer.byteLength(content)
+    );
+    const file = await WorkspaceFiles.writeFile(
+      workspaceDir,
+      filePath,
+      content
+    );
+    console.log(
+      `📝 ${req.user.username} saved ${file.path} in session ${req.params.sessionId}`
+    );
+    res.json(file);
+  } catch (error) {
+    sendFileError(res, error, 'writing workspace file');
+  }
+});
+
+app.post('/api/sessions/:sessionId/files/upload', async (req, res) => {
+  try {
+    const { files } = req.body;
+
+    if (!Array.isArray(files) || files.length === 0) {
+      return res.status(400).json({ error: 'Files are required' });
+    }
+    if (
+      files.some(
+        (file) =>
+          !file ||
+          typeof file.path !== 'string' ||
+          typeof file.content !== 'string'
+      )
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'Each file needs a path and base64 content' });
+    }
+
+    const workspaceDir = await getFilesWorkspaceDir(req.params.sessionId);
+    const written = [];
+    for (const file of files) {
+      const content = Buffer.from(file.content, 'base64');
+      await checkFileQuota(
+        req.params.sessionId,
+        workspaceDir,
+        file.path,
+        content.length
+      );
+      written.push(
+        await WorkspaceFiles.writeFile(workspaceDir, file.path, content)
+      );
+    }
+
+    console.log(
+      `📤 ${req.user.username} uploaded ${written.length} files to session ${req.params.sessionId}`
+    );
+    res.status(201).json({ files: written });
+  } catch (error) {
+    sendFileError(res, error, 'uploading workspace files');
+  }
+});
+
+app.post('/api/sessions/:sessionId/files/rename', async (req, res) => {
+  try {
+    const { from, to } = req.body;
+    const workspaceDir = await getFilesWorkspaceDir(req.params.sessionId);
+    res.json(await WorkspaceFiles.rename(workspaceDir, from, to));
+  } catch (error) {
+    sendFileError(res, error, 'renaming workspace file');
+  }
+});
+
+app.delete('/api/sessions/:sessionId/files', async (req, res) => {
+  try {
+    const workspaceDir = await getFilesWorkspaceDir(req.params.sessionId);
+    const removed = await WorkspaceFiles.remove(workspaceDir, req.query.path);
+    console.log(
+      `🗑️ ${req.user.username} deleted ${removed.path} in session ${req.params.sessionId}`
+    );
+    res.json({
+      success: true,
+      message: 'File deleted',
+      ...removed
+    });
+  } catch (error) {
+    sendFileError(res, error, 'deleting workspace file');
+  }
+});
+
+// Download the workspace, e.g. ?format=tar.gz&exclude=dist/,*.log on top of the defaults and .gitignore
+app.get('/api/sessions/:sessionId/archive', async (req, res) => {
+  try {
+    const format = req.query.format || 'zip';
+    if (!WorkspaceArchive.isSupportedFormat(format)) {
+      return res.status(400).json({
+        error: `Format must be one of: ${WorkspaceArchive.FORMATS.join(', ')}`
+      });
+    }
+
+    const excludes = []
+      .concat(req.query.exclude || [])
+      .flatMap((value) => String(value).split(','))
+      .map((pattern) => pattern.trim())
+      .filter(Boolean);
+
+    const workspaceDir = await getFilesWorkspaceDir(req.params.sessionId);
+    const rules = await WorkspaceArchive.loadExcludeRules(
+      workspaceDir,
+      excludes
+    );
+    const files = await WorkspaceArchive.collectFiles(workspaceDir, rules);
+    try {
+      WorkspaceArchive.checkLimits(format, files);
+    } catch (error) {
+      return res.status(413).json({ error: error.message });
+    }
+
+    const title = workspaceManager.getSessionTitle(req.params.sessionId) || '';
+    const baseName =
+      title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 60) || req.params.sessionId;
+
+    console.log(
+      `📦 ${req.user.username} is downloading ${files.length} files of session ${req.params.sessionId} as ${format}`
+    );
+    res.attachment(`${baseName}.${format}`);
+    res.type(format === 'zip' ? 'application/zip' : 'application/gzip');
+    await WorkspaceArchive.write(format, res, workspaceDir, files);
+  } catch (error) {
+    if (res.headersSent) {
+      // Part of the archive is sent already, all that is left is to cut the download short
+      console.warn(
+        `Download of session ${req.params.sessionId} stopped: ${error.message}`
+      );
+      return res.destroy();
+    }
+    sendFileError(res, error, 'creating workspace archive');
+  }
+});
+
+app.get('/api/sessions/:sessionId/checkpoints', async (req, res) => {
+  try {
+    const checkpoints = await workspaceManager.listCheckpoints(
+      req.params.sessionId
+    );
+    res.json({ sessionId: req.params.sessionId, checkpoints });
+  } catch (error) {
+    sendFileError(res, error, 'listing checkpoints');
+  }
+});
+
+// Changes between two checkpoints, ?from=<id>&to=<id>
+app.get('/api/sessions/:sessionId/checkpoints/diff', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res
+        .status(400)
+        .json({ error: 'Both from and to checkpoint IDs are required' });
+    }
+    res.json(
+      await workspaceManager.diffCheckpoints(req.params.sessionId, from, to)
+    );
+  } catch (error) {
+    sendFileError(res, error, 'comparing checkpoints');
+  }
+});
+
+app.post(
+  '/api/sessions/:sessionId/checkpoints/:checkpointId/restore',
+  async (req, res) => {
+    try {
+      // Restoring under a running agent would mix its edits with the old files
+      if (chatProcessor.isQueryActive(req.params.sessionId)) {
+        return res.status(409).json({
+          error: 'Stop the running turn before restoring a checkpoint'
+        });
+      }
+
+      const result = await workspaceManager.restoreCheckpoint(
+        req.params.sessionId,
+        req.params.checkpointId
+      );
+      quotaManager.invalidate(
+        workspaceManager.getSessionOwnerId(req.params.sessionId)
+      );
+      res.json({
+        success: true,
+        restored: result.target,
+        savedCheckpoint: result.saved,
+        checkpoint: result.restored
+      });
+    } catch (error) {
+      sendFileError(res, error, 'restoring checkpoint');
+    }
+  }
+);
+
+// A fork is a new session of the current user, starting from the files of the checkpoint
+app.post(
+  '/api/sessions/:sessionId/checkpoints/:checkpointId/fork',
+  async (req, res) => {
+    try {
+      const quotaCheck = await quotaManager.checkQuery(req.user.id);
+      if (!quotaCheck.allowed) {
+        return res
+          .status(507)
+          .json({ error: quotaCheck.reason, code: quotaCheck.code });
+      }
+
+      const session = await workspaceManager.forkFromCheckpoint(
+        req.params.sessionId,
+        req.params.checkpointId,
+        req.user.id
+      );
+      quotaManager.invalidate(req.user.id);
+      res.status(201).json(presentSession(session));
+    } catch (error) {
+      sendFileError(res, error, 'forking checkpoint');
+    }
+  }
+);
+
+// A fork is a new session of the current user with a copy of the workspace and the conversation so far
+app.post('/api/sessions/:sessionId/fork', async (req, res) => {
+  try {
+    if (chatProcessor.isQueryActive(req.params.sessionId)) {
+      return res.status(409).json({
+        error: 'Wait for the running turn to finish before forking the session'
+      });
+    }
+
+    const sourceDir = await getFilesWorkspaceDir(req.params.sessionId);
+    const quotaCheck = await quotaManager.checkQuery(req.user.id);
+    const violation = quotaCheck.allowed
+      ? await quotaManager.checkWrite(
+          req.user.id,
+          null,
+          await workspaceManager.calculateDirectorySize(sourceDir),
+          'the fork'
+        )
+      : quotaCheck;
+    if (violation) {
+      return res
+        .status(507)
+        .json({ error: violation.reason, code: 'disk_quota_exceeded' });
+    }
+
+    const session = await workspaceManager.forkSession(
+      req.params.sessionId,
+      req.user.id
+    );
+    quotaManager.invalidate(req.user.id);
+    res.status(201).json(presentSession(session));
+  } catch (error) {
+    sendFileError(res, error, 'forking session');
+  }
+});
+
+// Instructions of a single session, stored in its workspace and added to the instance instructions
+app.get('/api/sessions/:sessionId/instructions', async (req, res) => {
+  try {
+    await getFilesWorkspaceDir(req.params.sessionId);
+    res.json({
+      sessionId: req.params.sessionId,
+      instructions: await workspaceManager.getSessionInstructions(
+        req.params.sessionId
+      )
+    });
+  } catch (error) {
+    sendFileError(res, error, 'reading session instructions');
+  }
+});
+
+app.put('/api/sessions/:sessionId/instructions', async (req, res) => {
+  try {
+    await getFilesWorkspaceDir(req.params.sessionId);
+    const instructions = InstructionStore.normalize(
+      req.body.instructions === null ? '' : req.body.instructions
+    );
+    res.json({
+      sessionId: req.params.sessionId,
+      instructions: await workspaceManager.setSessionInstructions(
+        req.params.sessionId,
+        instructions
+      )
+    });
+  } catch (error) {
+    sendFileError(res, error, 'changing session instructions');
+  }
+});
+
+app.post('/api/sessions/:sessionId/members', async (req, res) => {
+  try {
+    const { username } = req.body;
+
+    if (!workspaceManager.isSessionOwner(req.params.sessionId, req.user)) {
+      return res
+        .status(403)
+        .json({ error: 'Only the owner can share a session' });
+    }
+
+    const member = authManager.findUserByName(username);
+    if (!member) {
+      return res.status(404).json({ error: `User ${username} not found` });
+    }
+
+    const current = await workspaceManager.getSessionDetails(
+      req.params.sessionId
+    );
+    if (member.id === current.ownerId) {
+      return res
+        .status(400)
+        .json({ error: 'The owner already has access to the session' });
+    }
+
+    const session = await workspaceManager.setSessionMembers(
+      req.params.sessionId,
+      [...current.members, member.id]
+    );
+    console.log(
+      `👥 Shared session ${req.params.sessionId} with ${member.username}`
+    );
+    res.json(presentSession(session));
+  } catch (error) {
+    console.error('Error sharing session:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/sessions/:sessionId/members/:userId', async (req, res) => {
+  try {
+    // Owners remove members, members can leave a shared session themselves
+    if (
+      !workspaceManager.isSessionOwner(req.params.sessionId, req.user) &&
+      req.params.userId !== req.user.id
+    ) {
+      return res
+        .status(403)
+        .json({ error: 'Only the owner can remove members of a session' });
+    }
+
+    const current = await workspaceManager.getSessionDetails(
+      req.params.sessionId
+    );
+    if (!current.members.includes(req.params.userId)) {
+      return res
+        .status(404)
+        .json({ error: 'User is not a member of the session' });
+    }
+
+    const session = await workspaceManager.setSessionMembers(
+      req.params.sessionId,
+      current.members.filter((userId) => userId !== req.params.userId)
+    );
+    // Open permission dialogs of the removed user stop showing the session's requests
+    permissionManager.unsubscribeUser(
+      req.params.userId,
+      workspaceManager.getWorkspaceSessionIds(req.params.sessionId)
+    );
+    res.json(presentSession(session));
+  } catch (error) {
+    console.error('Error removing session member:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/sessions/:sessionId', async (req, res) => {
+  try {
+    if (!workspaceManager.isSessionOwner(req.params.sessionId, req.user)) {
+      return res
+        .status(403)
+        .json({ error: 'Only the owner can delete a session' });
+    }
+
+    const deleted = await workspaceManager.deleteSession(req.params.sessionId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    permissionRules.removeSessionRules(req.params.sessionId);
+    res.json({
+      success: true,
+      message: 'Session deleted',
+      sessionId: req.params.sessionId
+    });
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Budget status endpoint
+app.get('/api/budget', (req, res) => {
+  res.json(budgetManager.getStatus());
+});
+
 // Check connection endpoint
 app.get('/api/status', (req, res) => {
   res.json({
@@ -177,7 +1331,17 @@ app.get('/api/status', (req, res) => {
 // Permission endpoints
 app.get('/api/permissions/pending', (req, res) => {
   try {
-    const pending = permissionManager.getPendingPermissions();
+    if (!canAccessSession(req, req.query.sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const pending = permissionManager
+      .getPendingPermissions(req.query.sessionId)
+      .filter((permission) =>
+        permission.sessionId
+          ? canAccessSession(req, permission.sessionId)
+          : Boolean(permission.ownerId) && permission.ownerId === req.user.id
+      );
     res.json({
       permissions: pending,
       count: pending.length
@@ -191,9 +1355,10 @@ app.get('/api/permissions/pending', (req, res) => {
   }
 });
 
-app.post('/api/permissions/respond', (req, res) => {
+app.post('/api/permissions/respond', async (req, res) => {
   try {
-    const { permissionId, approved, reason } = req.body;
+    const { permissionId, approved, reason, remember, clientId, updatedInput } =
+      req.body;
 
     if (!permissionId || typeof approved !== 'boolean') {
       return res.status(400).json({
@@ -201,10 +1366,44 @@ app.post('/api/permissions/respond', (req, res) => {
       });
     }
 
-    const result = permissionManager.respondToPermission(permissionId, approved, reason);
-    
+    if (!clientId) {
+      return res.status(400).json({
+        error: 'Client ID of the permission WebSocket is required'
+      });
+    }
+
+    // Client IDs are credentials of one user's connection, not to be used by anyone else
+    if (permissionManager.getClientUser(clientId) !== req.user.id) {
+      return res.status(403).json({
+        error:
+          'The permission WebSocket of this client ID belongs to another user'
+      });
+    }
+
+    if (remember && remember.scope === 'global' && req.user.role !== 'admin') {
+      return res
+        .status(403)
+        .json({ error: 'Only admins can add global rules' });
+    }
+
+    const inputViolation = approved
+      ? await permissionManager.checkUpdatedInput(permissionId, updatedInput)
+      : null;
+    if (inputViolation) {
+      return res.status(400).json({ error: inputViolation.reason });
+    }
+
+    const result = permissionManager.respondToPermission(
+      permissionId,
+      approved,
+      reason,
+      remember,
+      clientId,
+      updatedInput
+    );
+
     if (!result.success) {
-      return res.status(404).json({ error: result.error });
+      return res.status(result.status).json({ error: result.error });
     }
 
     res.json(result);
@@ -217,10 +1416,185 @@ app.post('/api/permissions/respond', (req, res) => {
   }
 });
 
+app.get('/api/permissions/audit', async (req, res) => {
+  try {
+    const { sessionId, tool, decision, from, to, limit } = req.query;
+
+    if (decision && !['approved', 'denied'].includes(decision)) {
+      return res
+        .status(400)
+        .json({ error: 'Decision must be approved or denied' });
+    }
+
+    const range = {};
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value) {
+        range[key] = new Date(value);
+        if (isNaN(range[key].getTime())) {
+          return res.status(400).json({ error: `Invalid ${key} timestamp` });
+        }
+      }
+    }
+
+    const parsedLimit = limit ? parseInt(limit, 10) : undefined;
+    if (limit && (!parsedLimit || parsedLimit < 1)) {
+      return res
+        .status(400)
+        .json({ error: 'Limit must be a positive integer' });
+    }
+
+    if (!canAccessSession(req, sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Admins see every decision, other users those of their own and shared sessions
+    const sessionIds =
+      req.user.role === 'admin'
+        ? undefined
+        : workspaceManager
+            .getAllSessions()
+            .filter((session) => WorkspaceManager.canAccess(session, req.user))
+            .map((session) => session.sessionId);
+
+    const entries = await permissionAuditLog.query({
+      sessionId,
+      sessionIds,
+      tool,
+      decision,
+      ...range,
+      limit: parsedLimit
+    });
+    res.json({
+      entries,
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('Error reading permission audit log:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Permission rule endpoints
+app.get('/api/permissions/rules', (req, res) => {
+  if (!canAccessSession(req, req.query.sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  const rules = permissionRules
+    .list(req.query.sessionId)
+    .filter(
+      (rule) => rule.scope === 'global' || canAccessSession(req, rule.sessionId)
+    );
+  res.json({
+    rules,
+    count: rules.length
+  });
+});
+
+app.post('/api/permissions/rules', (req, res) => {
+  try {
+    const { tool, pattern, decision, scope, sessionId } = req.body;
+
+    // Global rules apply to the sessions of all users
+    if ((scope || 'global') === 'global' && req.user.role !== 'admin') {
+      return res
+        .status(403)
+        .json({ error: 'Only admins can add global rules' });
+    }
+    if (!canAccessSession(req, sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const rule = permissionRules.add({
+      tool,
+      pattern,
+      decision,
+      scope: scope || 'global',
+      sessionId
+    });
+    permissionManager.applyRulesToPending();
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/permissions/rules/:ruleId', (req, res) => {
+  const rule = permissionRules.get(req.params.ruleId);
+  if (
+    !rule ||
+    (rule.scope === 'session' && !canAccessSession(req, rule.sessionId))
+  ) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  if (rule.scope === 'global' && req.user.role !== 'admin') {
+    return res
+      .status(403)
+      .json({ error: 'Only admins can remove global rules' });
+  }
+
+  permissionRules.remove(rule.id);
+  res.json({
+    success: true,
+    message: 'Rule deleted',
+    ruleId: req.params.ruleId
+  });
+});
+
 app.post('/api/permissions/request-mcp', async (req, res) => {
   try {
-    const { action, description, resource, details } = req.body;
-    const response = await permissionManager.requestMcpPermission(action, description, resource, details);
+    const { action, description, resource, details, workspaceDir, timeout } =
+      req.body;
+    const sessionId = workspaceDir
+      ? workspaceManager.findSessionIdByWorkspaceDir(workspaceDir)
+      : null;
+
+    // The MCP server gives up on the request after the timeout its query started with, which
+    // may differ from the session settings by now; older servers don't send it
+    let timeoutSettings;
+    try {
+      timeoutSettings = ConfigUtils.normalizeSessionSettings({
+        permissionTimeoutSeconds: timeout ? timeout.timeoutSeconds : null,
+        permissionTimeoutDecision: timeout ? timeout.timeoutDecision : null
+      });
+    } catch (error) {
+      timeoutSettings = null;
+    }
+
+    // The agent stops waiting when its turn is cancelled or the MCP server goes away. The
+    // request's own 'close' fires once its body is read, the response's when the socket closes.
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
+
+    const context = {
+      workspaceDir,
+      sessionId,
+      ownerId: workspaceDir
+        ? workspaceManager.getWorkspaceOwner(workspaceDir)
+        : null,
+      timeout: ConfigUtils.getPermissionTimeoutConfig(
+        timeoutSettings &&
+          timeoutSettings.permissionTimeoutSeconds &&
+          timeoutSettings.permissionTimeoutDecision
+          ? timeoutSettings
+          : workspaceManager.getSessionSettings(sessionId)
+      ),
+      signal: abortController.signal
+    };
+    const response = await permissionManager.requestMcpPermission(
+      action,
+      description,
+      resource,
+      details,
+      context
+    );
     res.json(response);
   } catch (error) {
     console.error('Error processing MCP permission request:', error);
@@ -238,7 +1612,9 @@ app.post('/api/permissions/request', async (req, res) => {
     const { action, description, details } = req.body;
 
     if (!action || !description) {
-      return res.status(400).json({ error: 'Action and description are required' });
+      return res
+        .status(400)
+        .json({ error: 'Action and description are required' });
     }
 
     console.log(`\n🔐 PERMISSION REQUEST:`);
@@ -247,9 +1623,13 @@ app.post('/api/permissions/request', async (req, res) => {
     if (details) {
       console.log(`Details: ${JSON.stringify(details, null, 2)}`);
     }
-    console.log(`Workspace: ${workspaceManager.getBaseWorkspaceDir() || process.cwd()}`);
+    console.log(
+      `Workspace: ${workspaceManager.getBaseWorkspaceDir() || process.cwd()}`
+    );
     console.log(`Timestamp: ${new Date().toISOString()}`);
-    console.log(`\n⚠️  This action requires user approval. Automatically approving for web interface.`);
+    console.log(
+      `\n⚠️  This action requires user approval. Automatically approving for web interface.`
+    );
 
     res.json({
       approved: true,
@@ -269,7 +1649,13 @@ app.post('/api/permissions/request', async (req, res) => {
 });
 
 // Initialize WebSocket server
-new WebSocketManager(server, permissionManager);
+new WebSocketManager(
+  server,
+  permissionManager,
+  authManager,
+  workspaceManager,
+  CORS_ORIGINS
+);
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -289,9 +1675,13 @@ server.listen(PORT, () => {
   console.log(`Claude Code Web Application running on port ${PORT}`);
   console.log(`Open http://localhost:${PORT} in your browser`);
   console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`Permission WebSocket: ws://localhost:${PORT}/api/permissions/ws`);
+  console.log(
+    `Permission WebSocket: ws://localhost:${PORT}/api/permissions/ws`
+  );
   console.log(`API key configured: ${!!process.env.ANTHROPIC_API_KEY}`);
-  console.log(`Base workspace directory: ${workspaceManager.getBaseWorkspaceDir() || WORKSPACE_DIR}`);
+  console.log(
+    `Base workspace directory: ${workspaceManager.getBaseWorkspaceDir() || WORKSPACE_DIR}`
+  );
 });
 
 // Graceful shutdown handling
@@ -303,4 +1693,4 @@ process.on('SIGINT', () => {
 process.on('SIGTERM', () => {
   console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
   process.exit(0);
-});
\ No newline at end of file
+});
@@ -0,0 +1,309 @@
+/**
+ * Archive Module
+ * Reads the entries of zip and tar (optionally gzipped) archives in memory, so uploaded
+ * project archives can be extracted into a session workspace
+ */
+
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+
+// Decompression runs on the libuv thread pool, so a large upload does not block the server
+const gunzip = util.promisify(zlib.gunzip);
+const inflateRaw = util.promisify(zlib.inflateRaw);
+
+// Upper limits for a single archive, an upload is never allowed to unpack into something huge
+const MAX_ENTRIES = 10000;
+const MAX_EXTRACTED_BYTES = 200 * 1024 * 1024;
+// Metadata that archivers add and nobody wants in their project
+const IGNORED_ENTRIES = [/^__MACOSX(\/|$)/, /(^|\/)\.DS_Store$/];
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+const TAR_BLOCK_SIZE = 512;
+
+class ArchiveReader {
+  static getFormat(fileName) {
+    const name = fileName.toLowerCase();
+    if (name.endsWith('.zip')) return 'zip';
+    if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar.gz';
+    if (name.endsWith('.tar')) return 'tar';
+    return null;
+  }
+
+  static isArchive(fileName) {
+    return ArchiveReader.getFormat(fileName) !== null;
+  }
+
+  // Name of the directory an archive is extracted into, e.g. site.tar.gz -> site
+  static getBaseName(fileName) {
+    return (
+      path.basename(fileName).replace(/(\.tar\.gz|\.tgz|\.tar|\.zip)$/i, '') ||
+      'archive'
+    );
+  }
+
+  /**
+   * Read the files of an archive. Returns [{ path, data }] with normalized relative paths;
+   * directories, links and ignored metadata are left out. Throws for archives that are
+   * damaged, exceed the limits or have entries that would land outside the target directory.
+   */
+  static async read(fileName, buffer) {
+    const format = ArchiveReader.getFormat(fileName);
+    const state = { entries: [], bytes: 0 };
+
+    if (format === 'zip') {
+      await ArchiveReader.readZip(buffer, state);
+    } else if (format === 'tar' || format === 'tar.gz') {
+      ArchiveReader.readTar(
+        format === 'tar.gz' ? await ArchiveReader.gunzip(buffer) : buffer,
+        state
+      );
+    } else {
+      throw new Error(`${fileName} is not a zip or tar archive`);
+    }
+    return state.entries;
+  }
+
+  /**
+   * Drop the directory that wraps all entries, like the project-main/ of a GitHub download,
+   * so the archive is not extracted into a directory inside a directory of the same name.
+   */
+  static stripCommonRoot(entries) {
+    const roots = new Set(entries.map((entry) => entry.path.split('/')[0]));
+    if (
+      roots.size !== 1 ||
+      entries.some((entry) => !entry.path.includes('/'))
+    ) {
+      return entries;
+    }
+    return entries.map((entry) => ({
+      ...entry,
+      path: entry.path.slice(entry.path.indexOf('/') + 1)
+    }));
+  }
+
+  static addEntry(state, entryPath, data) {
+    const normalized = ArchiveReader.normalizeEntryPath(entryPath);
+    if (
+      !normalized ||
+      IGNORED_ENTRIES.some((pattern) => pattern.test(normalized))
+    ) {
+      return;
+    }
+    if (state.entries.length >= MAX_ENTRIES) {
+      throw new Error(`Archive has more than ${MAX_ENTRIES} files`);
+    }
+    state.bytes += data.length;
+    if (state.bytes > MAX_EXTRACTED_BYTES) {
+      throw new Error(
+        `Archive extracts to more than ${MAX_EXTRACTED_BYTES / (1024 * 1024)} MB`
+      );
+    }
+    state.entries.push({ path: normalized, data });
+  }
+
+  static normalizeEntryPath(entryPath) {
+    const normalized = path.posix
+      .normalize(entryPath.replace(/\\/g, '/'))
+      .replace(/^(\.\/)+/, '');
+    if (normalized === '.' || normalized === '') {
+      return null;
+    }
+    if (
+      path.posix.isAbsolute(normalized) ||
+      normalized === '..' ||
+      normalized.startsWith('../')
+    ) {
+      throw new Error(`Archive entry ${entryPath} points outside the archive`);
+    }
+    return normalized.replace(/\/$/, '');
+  }
+
+  static async gunzip(buffer) {
+    try {
+      return await gunzip(buffer, {
+        maxOutputLength: MAX_EXTRACTED_BYTES + 1024 * 1024
+      });
+    } catch (error) {
+      throw new Error(`Cannot decompress archive: ${error.message}`);
+    }
+  }
+
+  // Zip files are read through their central directory, which has the reliable sizes
+  static async readZip(buffer, state) {
+    const endOffset = ArchiveReader.findZipEnd(buffer);
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+
+    if (entryCount === 0xffff || offset === 0xffffffff) {
+      throw new Error('Zip64 archives are not supported');
+    }
+
+    for (let i = 0; i < entryCount; i++) {
+      if (
+        offset + 46 > buffer.length ||
+        buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_HEADER
+      ) {
+        throw new Error('Damaged zip archive');
+      }
+      const flags = buffer.readUInt16LE(offset + 8);
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const size = buffer.readUInt32LE(offset + 24);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const externalAttributes = buffer.readUInt32LE(offset + 38);
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString(
+        flags & 0x800 ? 'utf8' : 'latin1',
+        offset + 46,
+        offset + 46 + nameLength
+      );
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      // Unix file type lives in the upper bits of the external attributes, 0o120000 is a symlink
+      const isSymlink = ((externalAttributes >>> 16) & 0o170000) === 0o120000;
+      if (name.endsWith('/') || isSymlink) {
+        continue;
+      }
+      if (flags & 0x1) {
+        throw new Error(`Encrypted zip entry ${name} is not supported`);
+      }
+
+      const data = await ArchiveReader.readZipEntry(
+        buffer,
+        localOffset,
+        method,
+        compressedSize,
+        name
+      );
+      if (data.length !== size) {
+        throw new Error(`Damaged zip entry ${name}`);
+      }
+      ArchiveReader.addEntry(state, name, data);
+    }
+  }
+
+  static findZipEnd(buffer) {
+    // The end record is 22 bytes plus a comment of at most 64 KB
+    const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+      if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+        return offset;
+      }
+    }
+    throw new Error('Not a zip archive');
+  }
+
+  static async readZipEntry(buffer, localOffset, method, compressedSize, name) {
+    if (
+      localOffset + 30 > buffer.length ||
+      buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_FILE_HEADER
+    ) {
+      throw new Error(`Damaged zip entry ${name}`);
+    }
+    const start =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(start, start + compressedSize);
+
+    if (method === 0) {
+      return Buffer.from(compressed);
+    }
+    if (method === 8) {
+      try {
+        return await inflateRaw(compressed, {
+          maxOutputLength: MAX_EXTRACTED_BYTES
+        });
+      } catch (error) {
+        throw new Error(
+          `Cannot decompress zip entry ${name}: ${error.message}`
+        );
+      }
+    }
+    throw new Error(
+      `Zip entry ${name} uses unsupported compression method ${method}`
+    );
+  }
+
+  static readTar(buffer, state) {
+    let offset = 0;
+    let longName = null;
+    let paxPath = null;
+
+    while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+      const header = buffer.subarray(offset, offset + TAR_BLOCK_SIZE);
+      // Two zero blocks end the archive
+      if (header.every((byte) => byte === 0)) {
+        break;
+      }
+
+      const size = ArchiveReader.readTarNumber(header, 124, 12);
+      const type = String.fromCharCode(header[156] || 48);
+      const dataStart = offset + TAR_BLOCK_SIZE;
+      if (dataStart + size > buffer.length) {
+        throw new Error('Damaged tar archive');
+      }
+      const data = buffer.subarray(dataStart, dataStart + size);
+      offset = dataStart + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+      if (type === 'L') {
+        // GNU long name for the next entry
+        longName = ArchiveReader.readTarString(data, 0, data.length);
+        continue;
+      }
+      if (type === 'x') {
+        paxPath = ArchiveReader.readPaxPath(data);
+        continue;
+      }
+      if (type === 'g') {
+        continue;
+      }
+
+      const prefix = ArchiveReader.readTarString(header, 345, 155);
+      const name = ArchiveReader.readTarString(header, 0, 100);
+      const entryPath =
+        paxPath || longName || (prefix ? `${prefix}/${name}` : name);
+      longName = null;
+      paxPath = null;
+
+      // Only regular files are extracted, never links or devices
+      if (type === '0' || type === '7') {
+        ArchiveReader.addEntry(state, entryPath, Buffer.from(data));
+      }
+    }
+  }
+
+  static readTarString(buffer, start, length) {
+    const field = buffer.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return field.toString('utf8', 0, end === -1 ? field.length : end);
+  }
+
+  static readTarNumber(header, start, length) {
+    const value = parseInt(
+      ArchiveReader.readTarString(header, start, length).trim() || '0',
+      8
+    );
+    if (!Number.isFinite(value)) {
+      throw new Error('Damaged tar archive');
+    }
+    return value;
+  }
+
+  // Pax records are "<length> <key>=<value>\n"
+  static readPaxPath(data) {
+    const match = data.toString('utf8').match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+    return match ? match[1] : null;
+  }
+}
+
+ArchiveReader.MAX_ENTRIES = MAX_ENTRIES;
+ArchiveReader.MAX_EXTRACTED_BYTES = MAX_EXTRACTED_BYTES;
+
+module.exports = ArchiveReader;
@@ -0,0 +1,265 @@
+/**
+ * Chat Attachments Module
+ * Stores files attached to a chat message in the session workspace, extracts archives
+ * and turns images into image content blocks for the SDK
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const ArchiveReader = require('./archive');
+const SandboxPolicy = require('./sandbox');
+
+// Attachments are saved under this directory of the session workspace
+const UPLOADS_DIR = 'uploads';
+const MAX_ATTACHMENTS = 20;
+// Image types the Messages API accepts, and its size limit for a single image
+const IMAGE_MEDIA_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp'
+];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+class ChatAttachments {
+  static error(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  /**
+   * Decode and check the attachments of a chat request, [{ name, type, content (base64) }],
+   * before anything is written. Archives are not read yet, see extractArchives.
+   * Returns { files, totalBytes } or null when there are none; throws 400 errors.
+   */
+  static decode(attachments) {
+    if (attachments === undefined || attachments === null) {
+      return null;
+    }
+    if (!Array.isArray(attachments)) {
+      throw ChatAttachments.error('Attachments must be an array');
+    }
+    if (attachments.length === 0) {
+      return null;
+    }
+    if (attachments.length > MAX_ATTACHMENTS) {
+      throw ChatAttachments.error(
+        `At most ${MAX_ATTACHMENTS} attachments can be sent with a message`
+      );
+    }
+
+    const files = [];
+    let totalBytes = 0;
+    for (const attachment of attachments) {
+      if (
+        !attachment ||
+        typeof attachment.name !== 'string' ||
+        typeof attachment.content !== 'string'
+      ) {
+        throw ChatAttachments.error(
+          'Each attachment needs a name and base64 content'
+        );
+      }
+
+      // Only the file name is kept, attachments can't choose where they are written
+      const name = path.basename(attachment.name.replace(/\\/g, '/')).trim();
+      if (!name || name === '.' || name === '..') {
+        throw ChatAttachments.error(
+          `Invalid attachment name: ${attachment.name}`
+        );
+      }
+
+      const data = Buffer.from(attachment.content, 'base64');
+      files.push({
+        name,
+        mediaType: typeof attachment.type === 'string' ? attachment.type : '',
+        data,
+        entries: null
+      });
+      totalBytes += data.length;
+    }
+
+    return { files, totalBytes };
+  }
+
+  /**
+   * Read the archives among decoded attachments, so broken ones are refused before anything
+   * is written. Returns the attachments with their entries and the extracted totalBytes;
+   * throws 400 errors.
+   */
+  static async extractArchives(decoded) {
+    if (!decoded) {
+      return null;
+    }
+    const files = [];
+    let totalBytes = 0;
+    for (const file of decoded.files) {
+      if (!ArchiveReader.isArchive(file.name)) {
+        files.push(file);
+        totalBytes += file.data.length;
+        continue;
+      }
+      let entries;
+      try {
+        entries = ArchiveReader.stripCommonRoot(
+          await ArchiveReader.read(file.name, file.data)
+        );
+      } catch (error) {
+        throw ChatAttachments.error(
+          `Cannot extract ${file.name}: ${error.message}`
+        );
+      }
+      files.push({ ...file, entries });
+      totalBytes += entries.reduce(
+        (total, entry) => total + entry.data.length,
+        0
+      );
+    }
+    return { files, totalBytes };
+  }
+
+  /**
+   * Write prepared attachments to <workspace>/uploads/. Archives are extracted into a directory
+   * named after them; existing files are never overwritten, a number is added to the name instead.
+   * Returns [{ name, path, size, mediaType, extractedFiles? }] with workspace-relative paths.
+   */
+  static async save(workspaceDir, prepared) {
+    const root = await SandboxPolicy.resolveRealPath(workspaceDir);
+    const uploadsDir = path.join(root, UPLOADS_DIR);
+    await fs.ensureDir(uploadsDir);
+    // The agent could have replaced uploads/ with a link to somewhere else
+    if (!(await SandboxPolicy.isInside(root, uploadsDir))) {
+      throw new Error(`${UPLOADS_DIR} is outside the session workspace`);
+    }
+
+    const saved = [];
+    for (const file of prepared.files) {
+      if (file.entries) {
+        const targetName = await ChatAttachments.getFreeName(
+          uploadsDir,
+          ArchiveReader.getBaseName(file.name)
+        );
+        const targetDir = path.join(uploadsDir, targetName);
+        await fs.ensureDir(targetDir);
+        for (const entry of file.entries) {
+          const entryPath = path.join(targetDir, entry.path);
+          await fs.ensureDir(path.dirname(entryPath));
+          await fs.writeFile(entryPath, entry.data);
+        }
+        saved.push({
+          name: file.name,
+          path: `${UPLOADS_DIR}/${targetName}/`,
+          size: file.data.length,
+          mediaType: file.mediaType,
+          extractedFiles: file.entries.length
+        });
+      } else {
+        const targetName = await ChatAttachments.getFreeName(
+          uploadsDir,
+          file.name
+        );
+        await fs.writeFile(path.join(uploadsDir, targetName), file.data);
+        saved.push({
+          name: file.name,
+          path: `${UPLOADS_DIR}/${targetName}`,
+          size: file.data.length,
+          mediaType: file.mediaType
+        });
+      }
+    }
+    return saved;
+  }
+
+  // design.png -> design-1.png when design.png is taken
+  static async getFreeName(dir, name) {
+    const extension = path.extname(name);
+    const stem = name.slice(0, name.length - extension.length);
+    let candidate = name;
+    // lstat so that dangling symlinks count as taken and are never written through
+    const isTaken = async (fileName) =>
+      Boolean(await fs.lstat(path.join(dir, fileName)).catch(() => null));
+    for (let i = 1; await isTaken(candidate); i++) {
+      candidate = `${stem}-${i}${extension}`;
+    }
+    return candidate;
+  }
+
+  // The prompt as sent to the agent: the user's text followed by where the attachments were saved
+  static describe(prompt, saved) {
+    const lines = saved.map((file) => {
+      if (file.extractedFiles !== undefined) {
+        return `- ${file.path} (${file.extractedFiles} files extracted from ${file.name})`;
+      }
+      const kind = ChatAttachments.isImage(file)
+        ? 'image, also attached to this message'
+        : ChatAttachments.formatSize(file.size);
+      return `- ${file.path} (${kind})`;
+    });
+
+    const text = (prompt || '').trim();
+    const attachmentText = `Attached files, saved in the workspace:\n${lines.join('\n')}`;
+    return text ? `${text}\n\n${attachmentText}` : attachmentText;
+  }
+
+  static isImage(file) {
+    return (
+      IMAGE_MEDIA_TYPES.includes(file.mediaType) && file.size <= MAX_IMAGE_BYTES
+    );
+  }
+
+  static createImageBlocks(prepared) {
+    return prepared.files
+      .filter(
+        (file) =>
+          !file.entries &&
+          ChatAttachments.isImage({
+            mediaType: file.mediaType,
+            size: file.data.length
+          })
+      )
+      .map((file) => ({
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: file.mediaType,
+          data: file.data.toString('base64')
+        }
+      }));
+  }
+
+  /**
+   * The SDK takes images only as part of a user message, so a prompt with images is sent as a
+   * stream with that single message instead of a plain string.
+   */
+  static createPrompt(text, prepared) {
+    const imageBlocks = prepared
+      ? ChatAttachments.createImageBlocks(prepared)
+      : [];
+    if (imageBlocks.length === 0) {
+      return text;
+    }
+
+    return (async function* () {
+      yield {
+        type: 'user',
+        session_id: '',
+        parent_tool_use_id: null,
+        message: {
+          role: 'user',
+          content: [{ type: 'text', text }, ...imageBlocks]
+        }
+      };
+    })();
+  }
+
+  static formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
+
+ChatAttachments.UPLOADS_DIR = UPLOADS_DIR;
+
+module.exports = ChatAttachments;
@@ -0,0 +1,140 @@
+/**
+ * Permission Audit Module
+ * Append-only JSONL log of every permission request and how it was decided
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const AUDIT_DIR = '.open-builder';
+const AUDIT_FILE = 'permission-audit.jsonl';
+const MAX_INPUT_STRING_LENGTH = 2000;
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+class PermissionAuditLog {
+  constructor() {
+    this.auditFile = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize(baseWorkspaceDir) {
+    this.auditFile = path.join(baseWorkspaceDir, AUDIT_DIR, AUDIT_FILE);
+    await fs.ensureDir(path.dirname(this.auditFile));
+  }
+
+  record({ permission, decision, requestedAt }) {
+    const decidedAt = new Date();
+    const entry = {
+      timestamp: decidedAt.toISOString(),
+      permissionId: permission.id,
+      sessionId: permission.sessionId || null,
+      tool: permission.action,
+      description: permission.description,
+      input: PermissionAuditLog.truncateInput(permission.details),
+      updatedInput: decision.updatedInput
+        ? PermissionAuditLog.truncateInput(decision.updatedInput)
+        : null,
+      decision: decision.approved ? 'approved' : 'denied',
+      decidedBy: decision.decidedBy,
+      clientId: decision.clientId || null,
+      ruleId: decision.ruleId || null,
+      reason: decision.reason || null,
+      requestedAt: requestedAt.toISOString(),
+      latencyMs: decidedAt - requestedAt
+    };
+
+    console.log(
+      `📜 Audit: ${entry.tool} ${entry.decision} by ${entry.decidedBy} after ${entry.latencyMs}ms (${entry.permissionId})`
+    );
+
+    if (!this.auditFile) {
+      return this.writeQueue;
+    }
+
+    const line = JSON.stringify(entry) + '\n';
+    this.writeQueue = this.writeQueue
+      .then(() => fs.appendFile(this.auditFile, line))
+      .catch((error) => {
+        console.error(
+          `Failed to append to permission audit log ${this.auditFile}:`,
+          error
+        );
+      });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Read audit entries, newest first. Filters are optional: sessionId, sessionIds (any of
+   * them), tool, decision ('approved' | 'denied'), from/to (Date) and limit.
+   */
+  async query(filters = {}) {
+    if (!this.auditFile) {
+      return [];
+    }
+    await this.writeQueue;
+
+    if (!(await fs.pathExists(this.auditFile))) {
+      return [];
+    }
+
+    const content = await fs.readFile(this.auditFile, 'utf8');
+    const limit = Math.min(
+      filters.limit || DEFAULT_QUERY_LIMIT,
+      MAX_QUERY_LIMIT
+    );
+    const entries = [];
+
+    const lines = content.split('\n');
+    for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+      if (!lines[i].trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (error) {
+        console.warn(`Skipping unreadable audit line in ${this.auditFile}`);
+        continue;
+      }
+
+      if (PermissionAuditLog.matches(entry, filters)) {
+        entries.push(entry);
+      }
+    }
+
+    return entries;
+  }
+
+  static matches(entry, { sessionId, sessionIds, tool, decision, from, to }) {
+    const timestamp = new Date(entry.timestamp);
+    return (
+      (!sessionId || entry.sessionId === sessionId) &&
+      (!sessionIds || sessionIds.includes(entry.sessionId)) &&
+      (!tool || entry.tool === tool) &&
+      (!decision || entry.decision === decision) &&
+      (!from || timestamp >= from) &&
+      (!to || timestamp <= to)
+    );
+  }
+
+  // Keep file contents and long commands from bloating the log
+  static truncateInput(input) {
+    if (!input || typeof input !== 'object') {
+      return input || null;
+    }
+
+    const truncated = {};
+    for (const [key, value] of Object.entries(input)) {
+      truncated[key] =
+        typeof value === 'string' && value.length > MAX_INPUT_STRING_LENGTH
+          ? `${value.slice(0, MAX_INPUT_STRING_LENGTH)}... [${value.length - MAX_INPUT_STRING_LENGTH} more characters]`
+          : value;
+    }
+    return truncated;
+  }
+}
+
+PermissionAuditLog.MAX_QUERY_LIMIT = MAX_QUERY_LIMIT;
+
+module.exports = PermissionAuditLog;
@@ -0,0 +1,519 @@
+/**
+ * Authentication Module
+ * Local user accounts with scrypt password hashes, cookie sessions and API tokens
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const AUTH_DIR = '.open-builder';
+const USERS_FILE = 'users.json';
+const SESSION_COOKIE = 'ob_session';
+const API_TOKEN_PREFIX = 'obt_';
+const INTERNAL_TOKEN_HEADER = 'x-open-builder-internal-token';
+const ROLES = ['admin', 'user'];
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{2,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+const DEFAULT_SESSION_TTL_HOURS = 168;
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+// Paths below /api that can be used without logging in
+const PUBLIC_API_PATHS = ['/status', '/auth/login'];
+// Paths below /api that are only called by the MCP servers spawned for a query
+const INTERNAL_API_PATHS = ['/permissions/request-mcp'];
+
+class AuthManager {
+  constructor() {
+    this.users = [];
+    // sha256 of the session token -> { userId, expiresAt }
+    this.sessions = new Map();
+    this.failedLogins = new Map();
+    this.usersFile = null;
+    this.writeQueue = Promise.resolve();
+    // Handed to the MCP servers through their environment, never to browsers
+    this.internalToken = crypto.randomBytes(32).toString('hex');
+  }
+
+  async initialize(baseWorkspaceDir) {
+    this.usersFile = path.join(baseWorkspaceDir, AUTH_DIR, USERS_FILE);
+    await fs.ensureDir(path.dirname(this.usersFile));
+
+    if (await fs.pathExists(this.usersFile)) {
+      const data = await fs.readJson(this.usersFile);
+      this.users = Array.isArray(data.users) ? data.users : [];
+      console.log(
+        `👤 Loaded ${this.users.length} users from ${this.usersFile}`
+      );
+    }
+
+    if (this.users.length === 0) {
+      await this.bootstrapAdmin();
+    }
+  }
+
+  // The first start creates an admin, from ADMIN_USERNAME/ADMIN_PASSWORD or with a generated password
+  async bootstrapAdmin() {
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password =
+      process.env.ADMIN_PASSWORD ||
+      crypto.randomBytes(12).toString('base64url');
+
+    await this.createUser({ username, password, role: 'admin' });
+
+    if (process.env.ADMIN_PASSWORD) {
+      console.log(
+        `👤 Created admin user "${username}" from ADMIN_USERNAME/ADMIN_PASSWORD`
+      );
+    } else {
+      console.log(
+        `👤 Created admin user "${username}" with generated password: ${password}`
+      );
+      console.log(
+        '👤 Log in and change it, or set ADMIN_PASSWORD before the first start'
+      );
+    }
+  }
+
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+  }
+
+  static async verifyPassword(password, storedHash) {
+    const [scheme, salt, hash] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(
+      password,
+      Buffer.from(salt, 'hex'),
+      expected.length
+    );
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static toPublicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      diskQuotaMb:
+        typeof user.diskQuotaMb === 'number' ? user.diskQuotaMb : null,
+      createdAt: user.createdAt
+    };
+  }
+
+  getUser(userId) {
+    return this.users.find((user) => user.id === userId) || null;
+  }
+
+  findUserByName(username) {
+    const name = (username || '').toLowerCase();
+    return (
+      this.users.find((user) => user.username.toLowerCase() === name) || null
+    );
+  }
+
+  listUsers() {
+    return this.users.map(AuthManager.toPublicUser);
+  }
+
+  static validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(
+        `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      );
+    }
+  }
+
+  async createUser({ username, password, role = 'user' }) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new Error(
+        'Username must be 2-64 letters, digits, dots, dashes or underscores'
+      );
+    }
+    if (this.findUserByName(username)) {
+      throw new Error(`User ${username} already exists`);
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    AuthManager.validatePassword(password);
+
+    const user = {
+      id: `user_${crypto.randomBytes(8).toString('hex')}`,
+      username,
+      role,
+      passwordHash: await AuthManager.hashPassword(password),
+      apiTokens: [],
+      createdAt: new Date().toISOString()
+    };
+
+    this.users.push(user);
+    this.save();
+    console.log(`👤 Created user ${username} (${role})`);
+    return AuthManager.toPublicUser(user);
+  }
+
+  async updateUser(userId, { password, role, diskQuotaMb }) {
+    const user = this.getUser(userId);
+    if (!user) {
+      return null;
+    }
+
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+      }
+      if (
+        user.role === 'admin' &&
+        role !== 'admin' &&
+        this.countAdmins() === 1
+      ) {
+        throw new Error('The last admin cannot be demoted');
+      }
+      user.role = role;
+    }
+
+    // null removes the user's own quota so the instance default applies again
+    if (diskQuotaMb !== undefined) {
+      if (
+        diskQuotaMb !== null &&
+        (typeof diskQuotaMb !== 'number' || !(diskQuotaMb > 0))
+      ) {
+        throw new Error(
+          'Disk quota must be a positive number of megabytes or null'
+        );
+      }
+      if (diskQuotaMb === null) {
+        delete user.diskQuotaMb;
+      } else {
+        user.diskQuotaMb = diskQuotaMb;
+      }
+    }
+
+    if (password !== undefined) {
+      AuthManager.validatePassword(password);
+      user.passwordHash = await AuthManager.hashPassword(password);
+      // A new password logs out every existing browser session of the user
+      this.removeUserSessions(userId);
+    }
+
+    this.save();
+    return AuthManager.toPublicUser(user);
+  }
+
+  async changePassword(userId, currentPassword, newPassword) {
+    const user = this.getUser(userId);
+    if (
+      !user ||
+      !(await AuthManager.verifyPassword(
+        currentPassword || '',
+        user.passwordHash
+      ))
+    ) {
+      throw new Error('Current password is incorrect');
+    }
+    return this.updateUser(userId, { password: newPassword });
+  }
+
+  deleteUser(userId) {
+    const user = this.getUser(userId);
+    if (!user) {
+      return false;
+    }
+    if (user.role === 'admin' && this.countAdmins() === 1) {
+      throw new Error('The last admin cannot be deleted');
+    }
+
+    this.users = this.users.filter((candidate) => candidate.id !== userId);
+    this.removeUserSessions(userId);
+    this.save();
+    console.log(`👤 Deleted user ${user.username}`);
+    return true;
+  }
+
+  countAdmins() {
+    return this.users.filter((user) => user.role === 'admin').length;
+  }
+
+  /**
+   * Check a username and password. Returns { token, user } for a new session, or
+   * { error, status } when the login is refused.
+   */
+  async login(username, password, remoteAddress) {
+    const attemptKey = `${(username || '').toLowerCase()}|${remoteAddress || ''}`;
+    const now = Date.now();
+    const attempts = (this.failedLogins.get(attemptKey) || []).filter(
+      (time) => now - time < FAILED_LOGIN_WINDOW_MS
+    );
+
+    if (attempts.length >= MAX_FAILED_LOGINS) {
+      return {
+        status: 429,
+        error: 'Too many failed logins, try again in a few minutes'
+      };
+    }
+
+    const user = this.findUserByName(username);
+    // Hash even for unknown users so response times do not reveal which usernames exist
+    const valid = user
+      ? await AuthManager.verifyPassword(password || '', user.passwordHash)
+      : (await AuthManager.hashPassword(password || ''), false);
+
+    if (!valid) {
+      attempts.push(now);
+      this.failedLogins.set(attemptKey, attempts);
+      console.log(`👤 Failed login for ${username}`);
+      return { status: 401, error: 'Invalid username or password' };
+    }
+
+    this.failedLogins.delete(attemptKey);
+    console.log(`👤 ${user.username} logged in`);
+    return {
+      token: this.createSession(user.id),
+      user: AuthManager.toPublicUser(user)
+    };
+  }
+
+  createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const ttlHours =
+      parseFloat(process.env.AUTH_SESSION_TTL_HOURS) ||
+      DEFAULT_SESSION_TTL_HOURS;
+    this.sessions.set(AuthManager.hashToken(token), {
+      userId,
+      expiresAt: Date.now() + ttlHours * 60 * 60 * 1000
+    });
+    return token;
+  }
+
+  logout(token) {
+    if (token) {
+      this.sessions.delete(AuthManager.hashToken(token));
+    }
+  }
+
+  removeUserSessions(userId) {
+    for (const [key, session] of this.sessions) {
+      if (session.userId === userId) {
+        this.sessions.delete(key);
+      }
+    }
+  }
+
+  createApiToken(userId, name) {
+    const user = this.getUser(userId);
+    if (!user) {
+      return null;
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Token name is required');
+    }
+
+    const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+    const record = {
+      id: `token_${crypto.randomBytes(6).toString('hex')}`,
+      name: name.trim(),
+      hash: AuthManager.hashToken(token),
+      createdAt: new Date().toISOString()
+    };
+
+    user.apiTokens = [...(user.apiTokens || []), record];
+    this.save();
+    // The plain token is only shown once, only its hash is stored
+    return {
+      id: record.id,
+      name: record.name,
+      createdAt: record.createdAt,
+      token
+    };
+  }
+
+  listApiTokens(userId) {
+    const user = this.getUser(userId);
+    return user
+      ? (user.apiTokens || []).map(({ id, name, createdAt }) => ({
+          id,
+          name,
+          createdAt
+        }))
+      : [];
+  }
+
+  revokeApiToken(userId, tokenId) {
+    const user = this.getUser(userId);
+    if (
+      !user ||
+      !(user.apiTokens || []).some((token) => token.id === tokenId)
+    ) {
+      return false;
+    }
+    user.apiTokens = user.apiTokens.filter((token) => token.id !== tokenId);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Resolve the user of a request from an `Authorization: Bearer` API token or the
+   * session cookie. Used for HTTP requests and WebSocket upgrades alike.
+   */
+  authenticate(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      const hash = AuthManager.hashToken(authorization.slice(7).trim());
+      const user = this.users.find((candidate) =>
+        (candidate.apiTokens || []).some((token) => token.hash === hash)
+      );
+      return user ? AuthManager.toPublicUser(user) : null;
+    }
+
+    const token = AuthManager.getSessionToken(req);
+    if (!token) {
+      return null;
+    }
+
+    const key = AuthManager.hashToken(token);
+    const session = this.sessions.get(key);
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(key);
+      return null;
+    }
+
+    const user = this.getUser(session.userId);
+    return user ? AuthManager.toPublicUser(user) : null;
+  }
+
+  static getSessionToken(req) {
+    return AuthManager.parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  }
+
+  static parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+      const index = part.indexOf('=');
+      if (index === -1) continue;
+      const name = part.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        // Ignore cookies that are not ours and not URI encoded
+      }
+    }
+    return cookies;
+  }
+
+  static isSecureRequest(req) {
+    return (
+      process.env.COOKIE_SECURE === 'true' ||
+      req.secure ||
+      req.headers['x-forwarded-proto'] === 'https'
+    );
+  }
+
+  setSessionCookie(res, req, token) {
+    const ttlHours =
+      parseFloat(process.env.AUTH_SESSION_TTL_HOURS) ||
+      DEFAULT_SESSION_TTL_HOURS;
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: AuthManager.isSecureRequest(req),
+      path: '/',
+      maxAge: ttlHours * 60 * 60 * 1000
+    });
+  }
+
+  clearSessionCookie(res, req) {
+    res.clearCookie(SESSION_COOKIE, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: AuthManager.isSecureRequest(req),
+      path: '/'
+    });
+  }
+
+  isInternalRequest(req) {
+    const provided = Buffer.from(
+      String(req.headers[INTERNAL_TOKEN_HEADER] || '')
+    );
+    const expected = Buffer.from(this.internalToken);
+    return (
+      provided.length === expected.length &&
+      crypto.timingSafeEqual(provided, expected)
+    );
+  }
+
+  // Attaches req.user and enforces authentication on every /api route except the public ones
+  middleware() {
+    return (req, res, next) => {
+      req.user = this.authenticate(req);
+
+      if (!req.path.startsWith('/api/')) {
+        return next();
+      }
+
+      const apiPath = req.path.slice('/api'.length);
+      if (PUBLIC_API_PATHS.includes(apiPath)) {
+        return next();
+      }
+      if (INTERNAL_API_PATHS.includes(apiPath)) {
+        return this.isInternalRequest(req)
+          ? next()
+          : res.status(401).json({ error: 'Internal token required' });
+      }
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      next();
+    };
+  }
+
+  requireAdmin() {
+    return (req, res, next) => {
+      if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin role required' });
+      }
+      next();
+    };
+  }
+
+  save() {
+    if (!this.usersFile) {
+      return this.writeQueue;
+    }
+
+    const data = { version: 1, users: this.users.map((user) => ({ ...user })) };
+    // Replace the file atomically, a truncated users file would lock everyone out
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const tmpFile = `${this.usersFile}.tmp`;
+        await fs.writeJson(tmpFile, data, { spaces: 2, mode: 0o600 });
+        await fs.move(tmpFile, this.usersFile, { overwrite: true });
+      })
+      .catch((error) => {
+        console.error(`Failed to write users ${this.usersFile}:`, error);
+      });
+
+    return this.writeQueue;
+  }
+}
+
+AuthManager.INTERNAL_TOKEN_HEADER = INTERNAL_TOKEN_HEADER;
+
+module.exports = AuthManager;
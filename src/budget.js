@@ -0,0 +1,224 @@
+/**
+ * Budget Management Module
+ * Enforces per-session and per-day spending limits for the instance
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { ConfigUtils } = require('./utils');
+
+const BUDGET_DIR = '.open-builder';
+const BUDGET_FILE = 'daily-usage.json';
+const DAYS_TO_KEEP = 31;
+// USD per million tokens, to estimate the cost of a turn while it runs. The most specific match
+// wins; unknown models are priced like the most expensive one, so limits are not overrun.
+const MODEL_PRICES = [
+  { match: 'opus-4-5', input: 5, output: 25 },
+  { match: 'opus', input: 15, output: 75 },
+  { match: 'sonnet', input: 3, output: 15 },
+  { match: 'haiku', input: 1, output: 5 }
+];
+const CACHE_WRITE_FACTOR = 1.25;
+const CACHE_READ_FACTOR = 0.1;
+
+/**
+ * Running cost of a turn. The SDK reports the cost in the result message at the end of a turn,
+ * until then it is estimated from the token usage of every API response.
+ */
+class TurnCostMeter {
+  constructor() {
+    this.costUsd = 0;
+    this.numTurns = 0;
+    this.inputTokens = 0;
+    this.outputTokens = 0;
+    this.cacheCreationInputTokens = 0;
+    this.cacheReadInputTokens = 0;
+    this.startedAt = Date.now();
+    // The SDK repeats the usage of a response for each of its content blocks
+    this.messageIds = new Set();
+  }
+
+  add(message) {
+    if (!message || typeof message !== 'object') {
+      return this.costUsd;
+    }
+
+    if (
+      message.type === 'result' &&
+      typeof message.total_cost_usd === 'number'
+    ) {
+      this.costUsd = message.total_cost_usd;
+      return this.costUsd;
+    }
+
+    const response = message.type === 'assistant' ? message.message : null;
+    if (!response || !response.usage || this.messageIds.has(response.id)) {
+      return this.costUsd;
+    }
+    if (response.id) {
+      this.messageIds.add(response.id);
+    }
+
+    const usage = response.usage;
+    this.numTurns += 1;
+    this.inputTokens += usage.input_tokens || 0;
+    this.outputTokens += usage.output_tokens || 0;
+    this.cacheCreationInputTokens += usage.cache_creation_input_tokens || 0;
+    this.cacheReadInputTokens += usage.cache_read_input_tokens || 0;
+    this.costUsd += TurnCostMeter.estimateCost(response.model, usage);
+    return this.costUsd;
+  }
+
+  static estimateCost(model, usage) {
+    const name = typeof model === 'string' ? model : '';
+    const prices =
+      MODEL_PRICES.find((price) => name.includes(price.match)) ||
+      MODEL_PRICES.reduce((a, b) => (b.output > a.output ? b : a));
+    const inputCost =
+      (usage.input_tokens || 0) +
+      (usage.cache_creation_input_tokens || 0) * CACHE_WRITE_FACTOR +
+      (usage.cache_read_input_tokens || 0) * CACHE_READ_FACTOR;
+    return (
+      (inputCost * prices.input + (usage.output_tokens || 0) * prices.output) /
+      1000000
+    );
+  }
+
+  // Turn usage in the shape of MessageProcessor.extractUsage, for turns that ended without a result
+  toTurnUsage(subtype) {
+    return {
+      subtype,
+      isError: true,
+      costUsd: this.costUsd,
+      durationMs: Date.now() - this.startedAt,
+      durationApiMs: 0,
+      numTurns: this.numTurns,
+      inputTokens: this.inputTokens,
+      outputTokens: this.outputTokens,
+      cacheCreationInputTokens: this.cacheCreationInputTokens,
+      cacheReadInputTokens: this.cacheReadInputTokens
+    };
+  }
+}
+
+class BudgetManager {
+  constructor(workspaceManager) {
+    this.workspaceManager = workspaceManager;
+    this.dailyCosts = {};
+    this.budgetFile = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize(baseWorkspaceDir) {
+    this.budgetFile = path.join(baseWorkspaceDir, BUDGET_DIR, BUDGET_FILE);
+    await fs.ensureDir(path.dirname(this.budgetFile));
+
+    if (await fs.pathExists(this.budgetFile)) {
+      try {
+        const data = await fs.readJson(this.budgetFile);
+        this.dailyCosts = data.dailyCosts || {};
+      } catch (error) {
+        console.error(
+          `Failed to read daily usage ${this.budgetFile}, starting from zero:`,
+          error
+        );
+      }
+    }
+
+    const limits = ConfigUtils.getBudgetLimits();
+    console.log(
+      `💰 Budget limits: ${limits.maxTurnsPerQuery || 'unlimited'} turns/query, ` +
+        `$${limits.maxSessionCostUsd || '∞'}/session, $${limits.maxDailyCostUsd || '∞'}/day`
+    );
+  }
+
+  getToday() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  getDailyCost(date = this.getToday()) {
+    return this.dailyCosts[date] || 0;
+  }
+
+  /**
+   * Whether a session may spend more. Before a turn runningCostUsd is 0, while it runs it is
+   * the turn's cost so far, which is not recorded yet.
+   */
+  checkQuery(sessionId, runningCostUsd = 0) {
+    const limits = ConfigUtils.getBudgetLimits();
+
+    if (limits.maxDailyCostUsd !== null) {
+      const dailyCost = this.getDailyCost() + runningCostUsd;
+      if (dailyCost >= limits.maxDailyCostUsd) {
+        return {
+          allowed: false,
+          code: 'daily_budget_exceeded',
+          reason: `Daily budget of $${limits.maxDailyCostUsd.toFixed(2)} for this instance has been used up ($${dailyCost.toFixed(4)} spent today). Try again tomorrow (UTC).`
+        };
+      }
+    }
+
+    if (limits.maxSessionCostUsd !== null && sessionId) {
+      const usage = this.workspaceManager.getSessionUsage(sessionId);
+      const sessionCost = (usage ? usage.costUsd : 0) + runningCostUsd;
+      if (sessionCost >= limits.maxSessionCostUsd) {
+        return {
+          allowed: false,
+          code: 'session_budget_exceeded',
+          reason: `Session budget of $${limits.maxSessionCostUsd.toFixed(2)} has been used up ($${sessionCost.toFixed(4)} spent). Start a new session to continue.`
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  recordSpend(costUsd) {
+    if (!costUsd) {
+      return;
+    }
+
+    const today = this.getToday();
+    this.dailyCosts[today] = this.getDailyCost(today) + costUsd;
+
+    // Only the recent history is interesting, older days are dropped
+    const dates = Object.keys(this.dailyCosts).sort();
+    for (const date of dates.slice(
+      0,
+      Math.max(0, dates.length - DAYS_TO_KEEP)
+    )) {
+      delete this.dailyCosts[date];
+    }
+
+    this.save();
+  }
+
+  getStatus() {
+    return {
+      limits: ConfigUtils.getBudgetLimits(),
+      today: {
+        date: this.getToday(),
+        costUsd: this.getDailyCost()
+      }
+    };
+  }
+
+  save() {
+    if (!this.budgetFile) {
+      return this.writeQueue;
+    }
+
+    const data = { dailyCosts: { ...this.dailyCosts } };
+    this.writeQueue = this.writeQueue
+      .then(() => fs.writeJson(this.budgetFile, data, { spaces: 2 }))
+      .catch((error) => {
+        console.error(`Failed to write daily usage ${this.budgetFile}:`, error);
+      });
+
+    return this.writeQueue;
+  }
+}
+
+BudgetManager.TurnCostMeter = TurnCostMeter;
+
+module.exports = BudgetManager;
@@ -4,29 +4,192 @@
  */
 
 const { query } = require('@anthropic-ai/claude-agent-sdk');
-const { EnvironmentManager, MessageProcessor, ConfigUtils } = require('./utils');
+const {
+  EnvironmentManager,
+  MessageProcessor,
+  ConfigUtils
+} = require('./utils');
+const ChatAttachments = require('./attachments');
+const { TurnCostMeter } = require('./budget');
 
 class ChatProcessor {
-  constructor(workspaceManager) {
+  constructor(
+    workspaceManager,
+    transcriptStore,
+    budgetManager,
+    instructionStore
+  ) {
     this.workspaceManager = workspaceManager;
+    this.transcriptStore = transcriptStore;
+    this.budgetManager = budgetManager;
+    this.instructionStore = instructionStore;
+    this.activeQueries = new Map();
   }
 
-  async processStreamingChat(prompt, sessionId, res, mcpServers) {
+  isQueryActive(sessionId) {
+    return this.activeQueries.has(sessionId);
+  }
+
+  cancelQuery(sessionId, reason = 'Cancelled by user') {
+    const activeQuery = this.activeQueries.get(sessionId);
+    if (!activeQuery) {
+      return false;
+    }
+    this.abortActiveQuery(activeQuery, reason);
+    return true;
+  }
+
+  abortActiveQuery(activeQuery, reason) {
+    if (activeQuery.abortController.signal.aborted) {
+      return;
+    }
+    console.log(`🛑 Aborting Claude SDK query: ${reason}`);
+    activeQuery.cancelReason = reason;
+    activeQuery.abortController.abort();
+  }
+
+  // Stop a turn as soon as its cost so far crosses the session or daily budget
+  enforceBudget(activeQuery, sessionId, costUsd) {
+    if (activeQuery.budgetCheck) {
+      return;
+    }
+    const budgetCheck = this.budgetManager.checkQuery(sessionId, costUsd);
+    if (!budgetCheck.allowed) {
+      activeQuery.budgetCheck = budgetCheck;
+      this.abortActiveQuery(activeQuery, budgetCheck.reason);
+    }
+  }
+
+  // Settings chosen before the first turn of a new chat are stored once it has a session ID
+  keepNewSessionSettings(sessionId, newSessionId, settings) {
+    if (!sessionId && settings) {
+      this.workspaceManager.updateSessionSettings(newSessionId, settings);
+    }
+  }
+
+  // Every turn counts towards the session and daily budget, also one that was stopped halfway
+  recordTurnUsage(sessionId, turnUsage) {
+    const sessionUsage = this.workspaceManager.recordSessionUsage(
+      sessionId,
+      turnUsage
+    );
+    this.budgetManager.recordSpend(turnUsage.costUsd);
+    console.log(
+      `💰 Turn cost $${turnUsage.costUsd.toFixed(4)} (${turnUsage.inputTokens} in / ${turnUsage.outputTokens} out tokens)`
+    );
+    return sessionUsage;
+  }
+
+  /**
+   * The prompt as sent to the agent. Attachments are saved before the turn starts and listed
+   * at the end, followed by a note when the files were restored to a checkpoint since the last turn.
+   */
+  async preparePrompt(sessionId, workspaceDir, userPrompt, attachments) {
+    let prompt = userPrompt;
+    if (attachments) {
+      const saved = await ChatAttachments.save(workspaceDir, attachments);
+      console.log(`📎 Saved ${saved.length} attachments to ${workspaceDir}`);
+      prompt = ChatAttachments.describe(prompt, saved);
+    }
+
+    const restoreNote = this.workspaceManager.takeRestoreNote(sessionId);
+    return restoreNote ? `${prompt}\n\n${restoreNote}` : prompt;
+  }
+
+  // Every turn ends with a checkpoint of the workspace, also when it was stopped halfway
+  checkpointTurn(workspaceDir, prompt, sessionId, status) {
+    this.workspaceManager.invalidateWorkspaceSize(workspaceDir);
+    return this.workspaceManager.createCheckpoint(workspaceDir, prompt, {
+      'Checkpoint-Kind': 'turn',
+      Session: sessionId,
+      'Turn-Status': status
+    });
+  }
+
+  // The instance-wide instructions and the ones stored in the workspace are appended to the SDK's
+  // Claude Code system prompt, which keeps the tool and environment guidance the agent relies on
+  async applyInstructions(options, workspaceDir) {
+    const instructions = this.instructionStore.buildSystemPrompt(
+      await this.workspaceManager.readInstructions(workspaceDir)
+    );
+    // Without a preset the Agent SDK runs with a minimal system prompt
+    options.systemPrompt = { type: 'preset', preset: 'claude_code' };
+    if (instructions) {
+      options.systemPrompt.append = instructions;
+    }
+  }
+
+  async processStreamingChat(
+    userPrompt,
+    sessionId,
+    res,
+    mcpServers,
+    ownerId = null,
+    attachments = null,
+    template = null,
+    settings = null
+  ) {
     const envManager = new EnvironmentManager();
     const isDebugMode = ConfigUtils.isDebugMode();
+    const activeQuery = {
+      abortController: new AbortController(),
+      cancelReason: null,
+      budgetCheck: null
+    };
+    const activeQueryKeys = [];
+    let streamFinished = false;
+
+    const trackActiveQuery = (key) => {
+      if (key && !activeQueryKeys.includes(key)) {
+        this.activeQueries.set(key, activeQuery);
+        activeQueryKeys.push(key);
+      }
+    };
+
+    // Stop the agent when the browser goes away instead of letting it run unattended
+    res.on('close', () => {
+      if (!streamFinished) {
+        this.abortActiveQuery(activeQuery, 'Client disconnected');
+      }
+    });
 
     envManager.backup();
 
     try {
-      const { sessionId: currentSessionId, workspaceDir: sessionWorkspaceDir } = 
-        await this.workspaceManager.getSessionWorkspace(sessionId, this.workspaceManager.getBaseWorkspaceDir());
+      const { sessionId: currentSessionId, workspaceDir: sessionWorkspaceDir } =
+        await this.workspaceManager.getSessionWorkspace(
+          sessionId,
+          this.workspaceManager.getBaseWorkspaceDir(),
+          ownerId,
+          template
+        );
 
       envManager.setWorkspace(sessionWorkspaceDir);
+      const prompt = await this.preparePrompt(
+        sessionId,
+        sessionWorkspaceDir,
+        userPrompt,
+        attachments
+      );
+      this.transcriptStore.appendPrompt(sessionWorkspaceDir, prompt);
+      trackActiveQuery(sessionId || currentSessionId);
 
       let messageCount = 0;
       let finalSessionId = currentSessionId;
-
-      const options = ConfigUtils.createQueryOptions(sessionWorkspaceDir, mcpServers, sessionId, isDebugMode);
+      let turnUsage = null;
+      const costMeter = new TurnCostMeter();
+
+      const resume = this.workspaceManager.getResumeOptions(sessionId);
+      const options = ConfigUtils.createQueryOptions(
+        sessionWorkspaceDir,
+        mcpServers,
+        resume.sessionId,
+        isDebugMode,
+        settings || this.workspaceManager.getSessionSettings(sessionId),
+        resume.forkSession
+      );
+      options.abortController = activeQuery.abortController;
+      await this.applyInstructions(options, sessionWorkspaceDir);
 
       if (isDebugMode) {
         console.log('🔧 Query options:', {
@@ -35,47 +198,140 @@ class ChatProcessor {
         });
       }
 
-      for await (const message of query({ prompt, options })) {
-        messageCount++;
-
-        MessageProcessor.logDebugMessage(message, messageCount, isDebugMode);
-
-        const sessionIdUpdate = MessageProcessor.handleSessionInit(
-          message, 
-          sessionId, 
-          this.workspaceManager, 
-          sessionWorkspaceDir, 
-          isDebugMode
-        );
-        
-        if (sessionIdUpdate) {
-          finalSessionId = sessionIdUpdate;
-        }
+      try {
+        for await (const message of query({
+          prompt: ChatAttachments.createPrompt(prompt, attachments),
+          options
+        })) {
+          messageCount++;
+
+          MessageProcessor.logDebugMessage(message, messageCount, isDebugMode);
+          this.transcriptStore.appendMessage(sessionWorkspaceDir, message);
+
+          const sessionIdUpdate = MessageProcessor.handleSessionInit(
+            message,
+            sessionId,
+            this.workspaceManager,
+            sessionWorkspaceDir,
+            prompt,
+            isDebugMode
+          );
+
+          if (sessionIdUpdate) {
+            finalSessionId = sessionIdUpdate;
+            this.keepNewSessionSettings(sessionId, sessionIdUpdate, settings);
+            trackActiveQuery(sessionIdUpdate);
+            // Tell the client its session ID right away so it can cancel the running turn
+            res.write(
+              `data: ${JSON.stringify({ type: 'session', sessionId: sessionIdUpdate })}\n\n`
+            );
+          }
 
-        const { content, shouldSend } = MessageProcessor.processClaudeMessage(message, isDebugMode, messageCount);
+          turnUsage = MessageProcessor.extractUsage(message) || turnUsage;
+          costMeter.add(message);
+          if (message && message.type !== 'result') {
+            this.enforceBudget(activeQuery, finalSessionId, costMeter.costUsd);
+          }
 
-        if (shouldSend) {
-          if (isDebugMode) {
-            console.log('📤 Sending content to client:', content.substring(0, 100) + '...');
+          const { content, shouldSend } = MessageProcessor.processClaudeMessage(
+            message,
+            isDebugMode,
+            messageCount
+          );
+
+          if (shouldSend) {
+            if (isDebugMode) {
+              console.log(
+                '📤 Sending content to client:',
+                content.substring(0, 100) + '...'
+              );
+            }
+            const eventData = {
+              type: 'message',
+              content: content,
+              messageId: messageCount
+            };
+            res.write(`data: ${JSON.stringify(eventData)}\n\n`);
+          } else {
+            if (isDebugMode) {
+              console.log('⏭️  Skipping message (empty or shouldSend=false)');
+            }
           }
-          const eventData = {
-            type: 'message',
-            content: content,
-            messageId: messageCount
-          };
-          res.write(`data: ${JSON.stringify(eventData)}\n\n`);
-        } else {
-          if (isDebugMode) {
-            console.log('⏭️  Skipping message (empty or shouldSend=false)');
+
+          for (const toolEvent of MessageProcessor.extractToolEvents(message)) {
+            if (isDebugMode) {
+              console.log(
+                `🔧 Sending ${toolEvent.type} event to client:`,
+                toolEvent.name || toolEvent.toolUseId
+              );
+            }
+            res.write(`data: ${JSON.stringify(toolEvent)}\n\n`);
           }
         }
+      } catch (error) {
+        if (!activeQuery.abortController.signal.aborted) {
+          this.recordTurnUsage(
+            finalSessionId,
+            turnUsage || costMeter.toTurnUsage('error')
+          );
+          throw error;
+        }
       }
 
-      console.log(`✅ Claude SDK query completed. Total messages processed: ${messageCount}`);
+      if (activeQuery.abortController.signal.aborted) {
+        const reason = activeQuery.cancelReason || 'Cancelled';
+        const { budgetCheck } = activeQuery;
+        const status = budgetCheck ? budgetCheck.code : 'cancelled';
+        console.log(
+          `🛑 Claude SDK query cancelled after ${messageCount} messages: ${reason}`
+        );
+        this.transcriptStore.append(sessionWorkspaceDir, {
+          kind: 'cancelled',
+          reason
+        });
+        const checkpoint = await this.checkpointTurn(
+          sessionWorkspaceDir,
+          prompt,
+          finalSessionId,
+          status
+        );
+        const turn = turnUsage || costMeter.toTurnUsage(status);
+        const usage = {
+          turn,
+          session: this.recordTurnUsage(finalSessionId, turn)
+        };
+
+        if (!res.writableEnded && !res.destroyed) {
+          const event = budgetCheck
+            ? { type: 'error', code: budgetCheck.code, error: reason }
+            : { type: 'cancelled', reason };
+          streamFinished = true;
+          res.write(
+            `data: ${JSON.stringify({ ...event, sessionId: finalSessionId, usage, checkpointId: checkpoint && checkpoint.id })}\n\n`
+          );
+          res.end();
+        }
+        return;
+      }
+
+      console.log(
+        `✅ Claude SDK query completed. Total messages processed: ${messageCount}`
+      );
+
+      const maxTurnsReached = Boolean(
+        turnUsage && turnUsage.subtype === 'error_max_turns'
+      );
+      const checkpoint = await this.checkpointTurn(
+        sessionWorkspaceDir,
+        prompt,
+        finalSessionId,
+        maxTurnsReached ? 'max_turns_reached' : 'complete'
+      );
 
       const completionData = {
         type: 'complete',
-        message: 'Stream complete'
+        message: 'Stream complete',
+        checkpointId: checkpoint && checkpoint.id
       };
 
       if (finalSessionId) {
@@ -85,75 +341,209 @@ class ChatProcessor {
         }
       }
 
+      if (turnUsage) {
+        completionData.usage = {
+          turn: turnUsage,
+          session: this.recordTurnUsage(finalSessionId, turnUsage)
+        };
+      }
+
+      if (maxTurnsReached) {
+        const { maxTurns } = options;
+        console.log(
+          `🛑 Claude SDK query stopped after reaching the turn limit (${maxTurns})`
+        );
+        streamFinished = true;
+        res.write(
+          `data: ${JSON.stringify({
+            type: 'error',
+            code: 'max_turns_reached',
+            error: `Stopped after reaching the limit of ${maxTurns} agent turns per message. Send another message to let the agent continue.`,
+            sessionId: finalSessionId,
+            usage: completionData.usage,
+            checkpointId: completionData.checkpointId
+          })}\n\n`
+        );
+        res.end();
+        return;
+      }
+
+      streamFinished = true;
       res.write(`data: ${JSON.stringify(completionData)}\n\n`);
       res.end();
-
     } finally {
+      streamFinished = true;
+      for (const key of activeQueryKeys) {
+        if (this.activeQueries.get(key) === activeQuery) {
+          this.activeQueries.delete(key);
+        }
+      }
       if (isDebugMode) {
-        console.log('🧹 Cleaning up: restoring environment and working directory');
+        console.log(
+          '🧹 Cleaning up: restoring environment and working directory'
+        );
       }
       envManager.restore();
     }
   }
 
-  async processRegularChat(prompt, sessionId, mcpServers) {
+  async processRegularChat(
+    userPrompt,
+    sessionId,
+    mcpServers,
+    ownerId = null,
+    attachments = null,
+    template = null,
+    settings = null
+  ) {
     const envManager = new EnvironmentManager();
+    const activeQuery = {
+      abortController: new AbortController(),
+      cancelReason: null,
+      budgetCheck: null
+    };
+    const activeQueryKeys = [];
+
+    // Registered like a streaming turn, so it can be cancelled and blocks restores while it runs
+    const trackActiveQuery = (key) => {
+      if (key && !activeQueryKeys.includes(key)) {
+        this.activeQueries.set(key, activeQuery);
+        activeQueryKeys.push(key);
+      }
+    };
+
     envManager.backup();
 
     try {
-      const { sessionId: currentSessionId, workspaceDir: sessionWorkspaceDir } = 
-        await this.workspaceManager.getSessionWorkspace(sessionId, this.workspaceManager.getBaseWorkspaceDir());
+      const { sessionId: currentSessionId, workspaceDir: sessionWorkspaceDir } =
+        await this.workspaceManager.getSessionWorkspace(
+          sessionId,
+          this.workspaceManager.getBaseWorkspaceDir(),
+          ownerId,
+          template
+        );
 
       envManager.setWorkspace(sessionWorkspaceDir);
+      const prompt = await this.preparePrompt(
+        sessionId,
+        sessionWorkspaceDir,
+        userPrompt,
+        attachments
+      );
+      this.transcriptStore.appendPrompt(sessionWorkspaceDir, prompt);
+      trackActiveQuery(sessionId || currentSessionId);
 
       let fullResponse = '';
       let finalSessionId = currentSessionId;
-
-      const options = ConfigUtils.createQueryOptions(sessionWorkspaceDir, mcpServers, sessionId);
+      let turnUsage = null;
+      const costMeter = new TurnCostMeter();
+
+      const resume = this.workspaceManager.getResumeOptions(sessionId);
+      const options = ConfigUtils.createQueryOptions(
+        sessionWorkspaceDir,
+        mcpServers,
+        resume.sessionId,
+        false,
+        settings || this.workspaceManager.getSessionSettings(sessionId),
+        resume.forkSession
+      );
+      options.abortController = activeQuery.abortController;
+      await this.applyInstructions(options, sessionWorkspaceDir);
 
       console.log('🔧 Query options:', {
         prompt: prompt.substring(0, 50) + '...',
         options
       });
 
-      for await (const message of query({ prompt, options })) {
-        const sessionIdUpdate = MessageProcessor.handleSessionInit(
-          message, 
-          sessionId, 
-          this.workspaceManager, 
-          sessionWorkspaceDir
-        );
-        
-        if (sessionIdUpdate) {
-          finalSessionId = sessionIdUpdate;
-        }
+      try {
+        for await (const message of query({
+          prompt: ChatAttachments.createPrompt(prompt, attachments),
+          options
+        })) {
+          this.transcriptStore.appendMessage(sessionWorkspaceDir, message);
+
+          const sessionIdUpdate = MessageProcessor.handleSessionInit(
+            message,
+            sessionId,
+            this.workspaceManager,
+            sessionWorkspaceDir,
+            prompt
+          );
+
+          if (sessionIdUpdate) {
+            finalSessionId = sessionIdUpdate;
+            this.keepNewSessionSettings(sessionId, sessionIdUpdate, settings);
+            trackActiveQuery(sessionIdUpdate);
+          }
 
-        if (typeof message === 'string') {
-          fullResponse += message;
-        } else if (message && typeof message === 'object') {
-          if (message.type === 'assistant' && message.message) {
-            if (message.message.content && Array.isArray(message.message.content)) {
-              const textContent = message.message.content
-                .filter((item) => item.type === 'text')
-                .map((item) => item.text)
-                .join('\n');
-              if (textContent && textContent.trim().length > 0) {
-                fullResponse += textContent;
+          turnUsage = MessageProcessor.extractUsage(message) || turnUsage;
+          costMeter.add(message);
+          if (message && message.type !== 'result') {
+            this.enforceBudget(activeQuery, finalSessionId, costMeter.costUsd);
+          }
+
+          if (typeof message === 'string') {
+            fullResponse += message;
+          } else if (message && typeof message === 'object') {
+            if (message.type === 'assistant' && message.message) {
+              if (
+                message.message.content &&
+                Array.isArray(message.message.content)
+              ) {
+                const textContent = message.message.content
+                  .filter((item) => item.type === 'text')
+                  .map((item) => item.text)
+                  .join('\n');
+                if (textContent && textContent.trim().length > 0) {
+                  fullResponse += textContent;
+                }
               }
+            } else if (message.type === 'result' && message.result) {
+              // Skip final result messages as they're redundant
+            } else if (message.content) {
+              fullResponse += message.content;
+            } else if (message.text) {
+              fullResponse += message.text;
             }
-          } else if (message.type === 'result' && message.result) {
-            // Skip final result messages as they're redundant
-          } else if (message.content) {
-            fullResponse += message.content;
-          } else if (message.text) {
-            fullResponse += message.text;
           }
         }
+      } catch (error) {
+        if (!activeQuery.abortController.signal.aborted) {
+          this.recordTurnUsage(
+            finalSessionId,
+            turnUsage || costMeter.toTurnUsage('error')
+          );
+          throw error;
+        }
       }
 
+      // A turn stopped by the budget or cancelled keeps the response it had so far
+      const { budgetCheck } = activeQuery;
+      const cancelled =
+        activeQuery.abortController.signal.aborted && !budgetCheck;
+      if (budgetCheck || cancelled) {
+        turnUsage =
+          turnUsage ||
+          costMeter.toTurnUsage(budgetCheck ? budgetCheck.code : 'cancelled');
+      }
+
+      const checkpoint = await this.checkpointTurn(
+        sessionWorkspaceDir,
+        prompt,
+        finalSessionId,
+        budgetCheck
+          ? budgetCheck.code
+          : cancelled
+            ? 'cancelled'
+            : turnUsage && turnUsage.subtype === 'error_max_turns'
+              ? 'max_turns_reached'
+              : 'complete'
+      );
+
       const responseData = {
         response: fullResponse,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        checkpointId: checkpoint && checkpoint.id
       };
 
       if (finalSessionId) {
@@ -161,12 +551,40 @@ class ChatProcessor {
         console.log('📤 Sending session_id to frontend:', finalSessionId);
       }
 
-      return responseData;
+      if (turnUsage) {
+        responseData.usage = {
+          turn: turnUsage,
+          session: this.recordTurnUsage(finalSessionId, turnUsage)
+        };
+        if (turnUsage.subtype === 'error_max_turns') {
+          responseData.limitReached = 'max_turns_reached';
+        }
+      }
+      if (budgetCheck) {
+        responseData.limitReached = budgetCheck.code;
+        responseData.error = budgetCheck.reason;
+      }
+      if (cancelled) {
+        console.log(
+          `🛑 Claude SDK query cancelled: ${activeQuery.cancelReason}`
+        );
+        this.transcriptStore.append(sessionWorkspaceDir, {
+          kind: 'cancelled',
+          reason: activeQuery.cancelReason
+        });
+        responseData.cancelled = activeQuery.cancelReason;
+      }
 
+      return responseData;
     } finally {
+      for (const key of activeQueryKeys) {
+        if (this.activeQueries.get(key) === activeQuery) {
+          this.activeQueries.delete(key);
+        }
+      }
       envManager.restore();
     }
   }
 }
 
-module.exports = ChatProcessor;
\ No newline at end of file
+module.exports = ChatProcessor;
@@ -0,0 +1,440 @@
+/**
+ * Checkpoint Module
+ * Git-backed snapshots of a session workspace after every agent turn, to list, diff and
+ * restore earlier states of the files
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Under the base workspace directory, where the agent of a session can't plant hooks or config
+const REPOSITORIES_DIR = path.join('.open-builder', 'checkpoints');
+const EXCLUDES = ['/.open-builder/', 'node_modules/'];
+const AUTHOR_NAME = 'Open Builder';
+const AUTHOR_EMAIL = 'open-builder@localhost';
+const CHECKPOINT_ID_PATTERN = /^[0-9a-f]{4,40}$/;
+const MAX_SUBJECT_LENGTH = 72;
+// Diffs of a single file above this size are summarized instead of shown
+const MAX_FILE_DIFF_BYTES = 256 * 1024;
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+class CheckpointStore {
+  constructor() {
+    this.queues = new Map();
+    this.gitAvailable = null;
+    this.baseWorkspaceDir = null;
+  }
+
+  initialize(baseWorkspaceDir) {
+    this.baseWorkspaceDir = path.resolve(baseWorkspaceDir);
+  }
+
+  // Git directory and work tree of the checkpoints of a session workspace
+  getRepository(workspaceDir) {
+    const workTree = path.resolve(workspaceDir);
+    const relativePath = path.relative(this.baseWorkspaceDir, workTree);
+    if (
+      !relativePath ||
+      relativePath.startsWith('..') ||
+      path.isAbsolute(relativePath)
+    ) {
+      throw new Error(
+        `Workspace ${workspaceDir} is not inside ${this.baseWorkspaceDir}`
+      );
+    }
+    return {
+      workTree,
+      gitDir: path.join(
+        this.baseWorkspaceDir,
+        REPOSITORIES_DIR,
+        `${relativePath}.git`
+      )
+    };
+  }
+
+  static error(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  async isAvailable() {
+    if (this.gitAvailable === null) {
+      this.gitAvailable = await new Promise((resolve) =>
+        execFile('git', ['--version'], (error) => resolve(!error))
+      );
+      if (!this.gitAvailable) {
+        console.warn(
+          '⚠️ git is not installed, session checkpoints are disabled'
+        );
+      }
+    }
+    return this.gitAvailable;
+  }
+
+  // Operations on one workspace run one after another, git doesn't allow concurrent index writes
+  run(workspaceDir, operation) {
+    const key = path.resolve(workspaceDir);
+    const next = (this.queues.get(key) || Promise.resolve())
+      .catch(() => {})
+      .then(operation);
+    this.queues.set(key, next);
+    next
+      .finally(() => {
+        if (this.queues.get(key) === next) {
+          this.queues.delete(key);
+        }
+      })
+      .catch(() => {});
+    return next;
+  }
+
+  static git(repository, args, env = {}) {
+    const options = {
+      cwd: repository.workTree,
+      maxBuffer: GIT_MAX_BUFFER,
+      env: {
+        ...process.env,
+        GIT_DIR: repository.gitDir,
+        GIT_WORK_TREE: repository.workTree,
+        GIT_AUTHOR_NAME: AUTHOR_NAME,
+        GIT_AUTHOR_EMAIL: AUTHOR_EMAIL,
+        GIT_COMMITTER_NAME: AUTHOR_NAME,
+        GIT_COMMITTER_EMAIL: AUTHOR_EMAIL,
+        // Hooks, signing or pagers from the server's git configuration have no business here
+        GIT_CONFIG_NOSYSTEM: '1',
+        GIT_CONFIG_GLOBAL: '/dev/null',
+        GIT_TERMINAL_PROMPT: '0',
+        ...env
+      }
+    };
+
+    return new Promise((resolve, reject) => {
+      execFile(
+        'git',
+        ['-c', 'core.quotePath=false', '-c', 'commit.gpgSign=false', ...args],
+        options,
+        (error, stdout, stderr) => {
+          if (error) {
+            reject(
+              new Error(
+                `git ${args[0]} failed: ${(stderr || error.message).trim()}`
+              )
+            );
+          } else {
+            resolve(stdout);
+          }
+        }
+      );
+    });
+  }
+
+  static async hasRepository(repository) {
+    return fs.pathExists(path.join(repository.gitDir, 'HEAD'));
+  }
+
+  static async ensureRepository(repository) {
+    if (await CheckpointStore.hasRepository(repository)) {
+      return;
+    }
+    await fs.ensureDir(repository.gitDir);
+    await CheckpointStore.git(repository, ['init', '--quiet']);
+    await fs.outputFile(
+      path.join(repository.gitDir, 'info', 'exclude'),
+      `${EXCLUDES.join('\n')}\n`
+    );
+  }
+
+  /**
+   * Snapshot the workspace. Returns the checkpoint, or null when git is missing or, with
+   * allowEmpty off, nothing changed since the last one.
+   */
+  async create(
+    workspaceDir,
+    message,
+    trailers = {},
+    { allowEmpty = true } = {}
+  ) {
+    if (!(await this.isAvailable())) {
+      return null;
+    }
+    const repository = this.getRepository(workspaceDir);
+    return this.run(workspaceDir, async () => {
+      await CheckpointStore.ensureRepository(repository);
+      return CheckpointStore.commit(repository, message, trailers, allowEmpty);
+    });
+  }
+
+  static async commit(repository, message, trailers, allowEmpty) {
+    await CheckpointStore.git(repository, ['add', '--all']);
+    if (
+      !allowEmpty &&
+      !(await CheckpointStore.git(repository, ['status', '--porcelain'])).trim()
+    ) {
+      return null;
+    }
+
+    const firstLine =
+      String(message || '')
+        .trim()
+        .split('\n')[0] || 'Checkpoint';
+    const subject =
+      firstLine.length > MAX_SUBJECT_LENGTH
+        ? `${firstLine.substring(0, MAX_SUBJECT_LENGTH - 3)}...`
+        : firstLine;
+    const body = Object.entries(trailers)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}: ${value}`)
+      .join('\n');
+
+    await CheckpointStore.git(repository, [
+      'commit',
+      '--quiet',
+      '--no-verify',
+      '--allow-empty',
+      '-m',
+      subject,
+      ...(body ? ['-m', body] : [])
+    ]);
+    const [checkpoint] = await CheckpointStore.log(repository, ['-1']);
+    return checkpoint;
+  }
+
+  // Checkpoints, newest first, as [{ id, createdAt, message, kind, sessionId, restoredFrom, filesChanged, additions, deletions }]
+  async list(workspaceDir) {
+    const repository = this.getRepository(workspaceDir);
+    if (
+      !(await this.isAvailable()) ||
+      !(await CheckpointStore.hasRepository(repository))
+    ) {
+      return [];
+    }
+    return this.run(workspaceDir, () => CheckpointStore.log(repository, []));
+  }
+
+  static async log(repository, extraArgs) {
+    let output;
+    try {
+      output = await CheckpointStore.git(repository, [
+        'log',
+        '--format=%x1e%H%x1f%aI%x1f%s%x1f%b%x1f',
+        '--shortstat',
+        ...extraArgs
+      ]);
+    } catch (error) {
+      // A repository without commits has no log
+      return [];
+    }
+
+    return output
+      .split('\x1e')
+      .slice(1)
+      .map((record) => {
+        const [id, createdAt, message, body, stats] = record.split('\x1f');
+        const trailers = Object.fromEntries(
+          body
+            .split('\n')
+            .map((line) => line.match(/^([A-Za-z-]+): (.*)$/))
+            .filter(Boolean)
+            .map((match) => [match[1], match[2]])
+        );
+        const stat = (pattern) => {
+          const match = (stats || '').match(pattern);
+          return match ? parseInt(match[1], 10) : 0;
+        };
+
+        return {
+          id,
+          createdAt,
+          message,
+          kind: trailers['Checkpoint-Kind'] || 'turn',
+          sessionId: trailers.Session || null,
+          restoredFrom: trailers['Restored-From'] || null,
+          filesChanged: stat(/(\d+) files? changed/),
+          additions: stat(/(\d+) insertions?/),
+          deletions: stat(/(\d+) deletions?/)
+        };
+      });
+  }
+
+  // Full commit ID of a checkpoint, 404 for anything that isn't one
+  static async resolveId(repository, checkpointId) {
+    if (
+      typeof checkpointId !== 'string' ||
+      !CHECKPOINT_ID_PATTERN.test(checkpointId)
+    ) {
+      throw CheckpointStore.error(
+        400,
+        `Invalid checkpoint ID: ${checkpointId}`
+      );
+    }
+    try {
+      return (
+        await CheckpointStore.git(repository, [
+          'rev-parse',
+          '--verify',
+          '--quiet',
+          `${checkpointId}^{commit}`
+        ])
+      ).trim();
+    } catch (error) {
+      throw CheckpointStore.error(404, `Checkpoint ${checkpointId} not found`);
+    }
+  }
+
+  async requireRepository(workspaceDir) {
+    const repository = this.getRepository(workspaceDir);
+    if (!(await this.isAvailable())) {
+      throw CheckpointStore.error(
+        501,
+        'Checkpoints need git, which is not installed on the server'
+      );
+    }
+    if (!(await CheckpointStore.hasRepository(repository))) {
+      throw CheckpointStore.error(404, 'This session has no checkpoints yet');
+    }
+    return repository;
+  }
+
+  /**
+   * Changes between two checkpoints as [{ path, isNewFile, isDeleted, unified, additions,
+   * deletions, error? }], in the format the permission dialog shows diffs in.
+   */
+  async diff(workspaceDir, fromId, toId) {
+    const repository = await this.requireRepository(workspaceDir);
+    return this.run(workspaceDir, async () => {
+      const from = await CheckpointStore.resolveId(repository, fromId);
+      const to = await CheckpointStore.resolveId(repository, toId);
+      const output = await CheckpointStore.git(repository, [
+        'diff',
+        '--no-color',
+        '--no-ext-diff',
+        '--no-renames',
+        from,
+        to
+      ]);
+      return { from, to, files: CheckpointStore.parseDiff(output) };
+    });
+  }
+
+  static parseDiff(output) {
+    return output
+      .split(/^diff --git /m)
+      .slice(1)
+      .map((section) => {
+        const lines = section.replace(/\n$/, '').split('\n');
+        // Without renames the header is "a/<path> b/<path>" with the same path twice
+        const header = lines[0];
+        const file = {
+          path: header.substring(2, 2 + (header.length - 5) / 2),
+          isNewFile: false,
+          isDeleted: false,
+          additions: 0,
+          deletions: 0
+        };
+
+        const hunkStart = lines.findIndex((line) => line.startsWith('@@'));
+        for (const line of hunkStart === -1
+          ? lines
+          : lines.slice(0, hunkStart)) {
+          if (line.startsWith('new file mode')) file.isNewFile = true;
+          if (line.startsWith('deleted file mode')) file.isDeleted = true;
+          // Paths with spaces get a trailing tab in these lines
+          if (line.startsWith('+++ b/'))
+            file.path = line.substring(6).replace(/\t$/, '');
+          if (line.startsWith('Binary files'))
+            file.error = 'Binary file changed';
+        }
+
+        if (hunkStart !== -1) {
+          const hunks = lines.slice(hunkStart);
+          for (const line of hunks) {
+            if (line.startsWith('+')) file.additions++;
+            if (line.startsWith('-')) file.deletions++;
+          }
+          const unified = hunks.join('\n');
+          if (Buffer.byteLength(unified) > MAX_FILE_DIFF_BYTES) {
+            file.error = 'The diff of this file is too large to show';
+          } else {
+            file.unified = unified;
+          }
+        }
+        return file;
+      });
+  }
+
+  /**
+   * Put the workspace files back to how they were at a checkpoint. The current state is saved
+   * as a checkpoint first, so a restore can be undone by restoring that one.
+   */
+  async restore(workspaceDir, checkpointId) {
+    const repository = await this.requireRepository(workspaceDir);
+    return this.run(workspaceDir, async () => {
+      const target = await CheckpointStore.resolveId(repository, checkpointId);
+      const shortId = target.substring(0, 7);
+
+      const saved = await CheckpointStore.commit(
+        repository,
+        `Before restoring ${shortId}`,
+        { 'Checkpoint-Kind': 'before-restore' },
+        false
+      );
+      // Updates the files to the checkpoint and removes the ones it didn't have
+      await CheckpointStore.git(repository, [
+        'read-tree',
+        '-u',
+        '--reset',
+        target
+      ]);
+      const restored = await CheckpointStore.commit(
+        repository,
+        `Restored checkpoint ${shortId}`,
+        { 'Checkpoint-Kind': 'restore', 'Restored-From': target },
+        true
+      );
+      return { saved, restored, target };
+    });
+  }
+
+  // Write the files of a checkpoint into another directory, e.g. the workspace of a fork
+  async copyTo(workspaceDir, checkpointId, targetDir) {
+    const repository = await this.requireRepository(workspaceDir);
+    return this.run(workspaceDir, async () => {
+      const target = await CheckpointStore.resolveId(repository, checkpointId);
+      // A separate index leaves the one of the source workspace alone
+      const indexFile = path.join(
+        repository.gitDir,
+        `fork-index-${Date.now()}`
+      );
+      try {
+        await CheckpointStore.git(repository, ['read-tree', target], {
+          GIT_INDEX_FILE: indexFile
+        });
+        await CheckpointStore.git(
+          repository,
+          [
+            'checkout-index',
+            '--all',
+            '--force',
+            `--prefix=${targetDir}${path.sep}`
+          ],
+          {
+            GIT_INDEX_FILE: indexFile
+          }
+        );
+      } finally {
+        await fs.remove(indexFile);
+      }
+      return target;
+    });
+  }
+
+  // Drop the checkpoints of a workspace that is being deleted
+  async remove(workspaceDir) {
+    const repository = this.getRepository(workspaceDir);
+    return this.run(workspaceDir, () => fs.remove(repository.gitDir));
+  }
+}
+
+module.exports = CheckpointStore;
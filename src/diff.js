@@ -0,0 +1,291 @@
+/**
+ * Diff Module
+ * Unified diffs of proposed file changes for previewing Write/Edit permission requests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const CONTEXT_LINES = 3;
+const MAX_FILE_SIZE = 1024 * 1024;
+// Above this many line pairs the changed block is shown as a full replacement instead of an LCS diff
+const MAX_LCS_CELLS = 4000000;
+const PREVIEW_TOOLS = ['Write', 'Edit', 'MultiEdit'];
+
+class DiffUtils {
+  static canPreview(tool) {
+    return PREVIEW_TOOLS.includes(tool);
+  }
+
+  /**
+   * Build the diff preview for a Write/Edit/MultiEdit tool use against the current file
+   * in the session workspace. Returns null for other tools and files outside the workspace.
+   */
+  static async previewToolChange(tool, input, workspaceDir) {
+    if (
+      !DiffUtils.canPreview(tool) ||
+      !input ||
+      !input.file_path ||
+      !workspaceDir
+    ) {
+      return null;
+    }
+
+    const filePath = path.resolve(workspaceDir, input.file_path);
+    const relativePath = path.relative(workspaceDir, filePath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return null;
+    }
+
+    try {
+      const exists = await fs.pathExists(filePath);
+      let current = '';
+      if (exists) {
+        const stats = await fs.stat(filePath);
+        if (!stats.isFile()) {
+          return { path: relativePath, error: 'Target is not a regular file' };
+        }
+        if (stats.size > MAX_FILE_SIZE) {
+          return {
+            path: relativePath,
+            error: 'File is too large for a diff preview'
+          };
+        }
+        current = await fs.readFile(filePath, 'utf8');
+        if (current.includes('\0')) {
+          return { path: relativePath, error: 'Binary file, no diff preview' };
+        }
+      }
+
+      const proposed = DiffUtils.applyToolChange(tool, input, current);
+      const unified = DiffUtils.createUnifiedDiff(current, proposed, {
+        oldName: exists ? `a/${relativePath}` : '/dev/null',
+        newName: `b/${relativePath}`
+      });
+
+      return {
+        path: relativePath,
+        isNewFile: !exists,
+        unified,
+        ...DiffUtils.countChanges(unified)
+      };
+    } catch (error) {
+      return { path: relativePath, error: error.message };
+    }
+  }
+
+  // Content of the file after the tool ran, mirroring how Edit and MultiEdit apply replacements
+  static applyToolChange(tool, input, current) {
+    if (tool === 'Write') {
+      return input.content || '';
+    }
+
+    const edits = tool === 'MultiEdit' ? input.edits || [] : [input];
+    let content = current;
+    for (const edit of edits) {
+      if (
+        typeof edit.old_string !== 'string' ||
+        typeof edit.new_string !== 'string'
+      ) {
+        throw new Error('Edit is missing old_string or new_string');
+      }
+      if (edit.old_string === '') {
+        // An empty old_string creates the file with new_string
+        content = edit.new_string;
+        continue;
+      }
+      if (!content.includes(edit.old_string)) {
+        throw new Error('old_string was not found in the current file');
+      }
+      content = edit.replace_all
+        ? content.split(edit.old_string).join(edit.new_string)
+        : content.replace(edit.old_string, () => edit.new_string);
+    }
+    return content;
+  }
+
+  static createUnifiedDiff(
+    oldText,
+    newText,
+    { oldName = 'a', newName = 'b', context = CONTEXT_LINES } = {}
+  ) {
+    if (oldText === newText) {
+      return '';
+    }
+
+    const oldLines = DiffUtils.splitLines(oldText);
+    const newLines = DiffUtils.splitLines(newText);
+    const operations = DiffUtils.diffLines(oldLines, newLines);
+    const hunks = DiffUtils.groupHunks(operations, context);
+    if (hunks.length === 0) {
+      // Only the final newline differs
+      return '';
+    }
+
+    const output = [`--- ${oldName}`, `+++ ${newName}`];
+    for (const hunk of hunks) {
+      output.push(
+        `@@ -${DiffUtils.formatRange(hunk.oldStart, hunk.oldCount)} +${DiffUtils.formatRange(hunk.newStart, hunk.newCount)} @@`
+      );
+      for (const operation of hunk.operations) {
+        output.push(`${operation.type}${operation.line}`);
+      }
+    }
+    return output.join('\n') + '\n';
+  }
+
+  static splitLines(text) {
+    if (!text) {
+      return [];
+    }
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    return lines;
+  }
+
+  /**
+   * Line diff as a list of { type: ' ' | '-' | '+', line } operations. The common prefix
+   * and suffix are stripped first so typical edits only run the LCS on a few lines.
+   */
+  static diffLines(oldLines, newLines) {
+    let prefix = 0;
+    while (
+      prefix < oldLines.length &&
+      prefix < newLines.length &&
+      oldLines[prefix] === newLines[prefix]
+    ) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    while (
+      suffix < oldLines.length - prefix &&
+      suffix < newLines.length - prefix &&
+      oldLines[oldLines.length - 1 - suffix] ===
+        newLines[newLines.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+
+    return [
+      ...oldLines.slice(0, prefix).map((line) => ({ type: ' ', line })),
+      ...DiffUtils.diffMiddle(oldMiddle, newMiddle),
+      ...oldLines
+        .slice(oldLines.length - suffix)
+        .map((line) => ({ type: ' ', line }))
+    ];
+  }
+
+  static diffMiddle(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+
+    if (n === 0 || m === 0 || n * m > MAX_LCS_CELLS) {
+      return [
+        ...oldLines.map((line) => ({ type: '-', line })),
+        ...newLines.map((line) => ({ type: '+', line }))
+      ];
+    }
+
+    // lengths[i * (m + 1) + j] is the LCS length of oldLines[i..] and newLines[j..]
+    const lengths = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * (m + 1) + j] =
+          oldLines[i] === newLines[j]
+            ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+            : Math.max(
+                lengths[(i + 1) * (m + 1) + j],
+                lengths[i * (m + 1) + j + 1]
+              );
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (oldLines[i] === newLines[j]) {
+        operations.push({ type: ' ', line: oldLines[i] });
+        i++;
+        j++;
+      } else if (
+        lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]
+      ) {
+        operations.push({ type: '-', line: oldLines[i++] });
+      } else {
+        operations.push({ type: '+', line: newLines[j++] });
+      }
+    }
+    while (i < n) operations.push({ type: '-', line: oldLines[i++] });
+    while (j < m) operations.push({ type: '+', line: newLines[j++] });
+
+    return operations;
+  }
+
+  static groupHunks(operations, context) {
+    const hunks = [];
+    let oldLine = 1;
+    let newLine = 1;
+    let current = null;
+    let trailingContext = 0;
+
+    operations.forEach((operation, index) => {
+      const isChange = operation.type !== ' ';
+      const nearChange = operations
+        .slice(index + 1, index + 1 + context)
+        .some((next) => next.type !== ' ');
+
+      if (isChange || nearChange || (current && trailingContext < context)) {
+        if (!current) {
+          current = {
+            oldStart: oldLine,
+            newStart: newLine,
+            oldCount: 0,
+            newCount: 0,
+            operations: []
+          };
+          hunks.push(current);
+        }
+        current.operations.push(operation);
+        if (operation.type !== '+') current.oldCount++;
+        if (operation.type !== '-') current.newCount++;
+        trailingContext = isChange ? 0 : trailingContext + 1;
+      } else {
+        current = null;
+        trailingContext = 0;
+      }
+
+      if (operation.type !== '+') oldLine++;
+      if (operation.type !== '-') newLine++;
+    });
+
+    return hunks;
+  }
+
+  // Unified diff ranges point at the line before an empty range
+  static formatRange(start, count) {
+    if (count === 0) {
+      return `${start - 1},0`;
+    }
+    return count === 1 ? `${start}` : `${start},${count}`;
+  }
+
+  static countChanges(unified) {
+    let additions = 0;
+    let deletions = 0;
+    // Skip the ---/+++ header, every other line belongs to a hunk
+    for (const line of unified.split('\n').slice(2)) {
+      if (line.startsWith('+')) additions++;
+      if (line.startsWith('-')) deletions++;
+    }
+    return { additions, deletions };
+  }
+}
+
+module.exports = DiffUtils;
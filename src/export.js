@@ -0,0 +1,469 @@
+/**
+ * Workspace Export Module
+ * Streams a session workspace as a zip or tar.gz archive, leaving out files that match
+ * .gitignore-style exclude patterns
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const PermissionRules = require('./rules');
+
+const FORMATS = ['zip', 'tar.gz'];
+// Never exported: Open Builder's own data in the workspace
+const INTERNAL_EXCLUDES = ['/.open-builder/'];
+// Dependencies and history can be restored from the project files and only bloat the download
+const DEFAULT_EXCLUDES = ['node_modules/', '.git/'];
+// Zip files without the zip64 extension are limited to this many entries
+const MAX_ZIP_ENTRIES = 0xffff;
+const MAX_ZIP_BYTES = 0xffffffff;
+const TAR_BLOCK_SIZE = 512;
+// Already compressed formats are stored as they are, deflating them again only costs time
+const STORED_EXTENSIONS = [
+  '.png',
+  '.jpg',
+  '.jpeg',
+  '.gif',
+  '.webp',
+  '.zip',
+  '.gz',
+  '.tgz',
+  '.mp4',
+  '.mp3',
+  '.woff',
+  '.woff2'
+];
+
+let crcTable = null;
+
+class WorkspaceArchive {
+  static isSupportedFormat(format) {
+    return FORMATS.includes(format);
+  }
+
+  /**
+   * Exclude rules for a workspace: the defaults, the patterns in its .gitignore and any
+   * extra patterns, in that order so later patterns can re-include files with "!".
+   */
+  static async loadExcludeRules(workspaceDir, extraPatterns = []) {
+    const gitignoreFile = path.join(workspaceDir, '.gitignore');
+    const gitignore = (await fs.pathExists(gitignoreFile))
+      ? (await fs.readFile(gitignoreFile, 'utf8')).split(/\r?\n/)
+      : [];
+
+    const rules = [...DEFAULT_EXCLUDES, ...gitignore, ...extraPatterns]
+      .map((pattern) => WorkspaceArchive.compilePattern(pattern))
+      .filter(Boolean);
+    // Internal data goes last so no "!" pattern can bring it back
+    return [
+      ...rules,
+      ...INTERNAL_EXCLUDES.map((pattern) =>
+        WorkspaceArchive.compilePattern(pattern)
+      )
+    ];
+  }
+
+  // Turn one .gitignore line into { regex, negate, directoryOnly }, or null for blanks and comments
+  static compilePattern(line) {
+    let pattern = String(line).trim();
+    if (!pattern || pattern.startsWith('#')) {
+      return null;
+    }
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    const directoryOnly = pattern.endsWith('/');
+    if (directoryOnly) pattern = pattern.replace(/\/+$/, '');
+    // A slash at the start or in the middle anchors the pattern to the workspace root
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    if (!pattern) {
+      return null;
+    }
+
+    const source = PermissionRules.globToSource(pattern, { classes: true });
+    return {
+      regex: new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`),
+      negate,
+      directoryOnly
+    };
+  }
+
+  // The last matching rule wins, like in git
+  static isExcluded(rules, relativePath, isDirectory) {
+    let excluded = false;
+    for (const rule of rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.regex.test(relativePath)) {
+        excluded = !rule.negate;
+      }
+    }
+    return excluded;
+  }
+
+  /**
+   * Regular files of the workspace that are not excluded, as [{ path, size, mode, mtime }].
+   * Excluded directories are not walked and symlinks are left out, they could point anywhere.
+   */
+  static async collectFiles(workspaceDir, rules, relativeDir = '', files = []) {
+    const entries = await fs.readdir(path.join(workspaceDir, relativeDir), {
+      withFileTypes: true
+    });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+      if (entry.isDirectory()) {
+        if (!WorkspaceArchive.isExcluded(rules, relativePath, true)) {
+          await WorkspaceArchive.collectFiles(
+            workspaceDir,
+            rules,
+            relativePath,
+            files
+          );
+        }
+      } else if (
+        entry.isFile() &&
+        !WorkspaceArchive.isExcluded(rules, relativePath, false)
+      ) {
+        const stats = await fs.stat(path.join(workspaceDir, relativePath));
+        files.push({
+          path: relativePath,
+          size: stats.size,
+          mode: stats.mode & 0o777,
+          mtime: stats.mtime
+        });
+      }
+    }
+    return files;
+  }
+
+  // Throws for workspaces that don't fit the format, before anything has been sent
+  static checkLimits(format, files) {
+    if (format !== 'zip') {
+      return;
+    }
+    if (files.length > MAX_ZIP_ENTRIES) {
+      throw new Error(
+        `The workspace has more than ${MAX_ZIP_ENTRIES} files, download it as tar.gz instead`
+      );
+    }
+    // Offsets in the zip are 32 bits as well, so this limits the whole archive
+    const totalBytes = files.reduce((total, file) => total + file.size, 0);
+    if (totalBytes > MAX_ZIP_BYTES) {
+      throw new Error(
+        'The workspace is larger than 4 GB, download it as tar.gz instead'
+      );
+    }
+  }
+
+  static async write(format, output, workspaceDir, files) {
+    if (format === 'zip') {
+      return WorkspaceArchive.writeZip(output, workspaceDir, files);
+    }
+    return WorkspaceArchive.writeTarGz(output, workspaceDir, files);
+  }
+
+  // Write to a stream and wait for it to drain when its buffer is full, or fail once it closes
+  static writeChunk(stream, chunk) {
+    return new Promise((resolve, reject) => {
+      if (stream.destroyed) {
+        reject(new Error('Output stream closed'));
+        return;
+      }
+      if (stream.write(chunk)) {
+        resolve();
+        return;
+      }
+      const onDrain = () => {
+        stream.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        stream.off('drain', onDrain);
+        reject(new Error('Output stream closed'));
+      };
+      stream.once('drain', onDrain);
+      stream.once('close', onClose);
+    });
+  }
+
+  /**
+   * Zip files are streamed one file at a time. The CRC and sizes are only known once a file has
+   * been written, so they follow its data in a data descriptor and are repeated in the central
+   * directory at the end.
+   */
+  static async writeZip(output, workspaceDir, files) {
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const method = STORED_EXTENSIONS.includes(
+        path.extname(file.path).toLowerCase()
+      )
+        ? 0
+        : 8;
+      const name = Buffer.from(file.path, 'utf8');
+      const { time, date } = WorkspaceArchive.toDosDateTime(file.mtime);
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      // Bit 3: CRC and sizes are in the data descriptor, bit 11: file names are UTF-8
+      header.writeUInt16LE(0x808, 6);
+      header.writeUInt16LE(method, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      header.writeUInt16LE(name.length, 26);
+      await WorkspaceArchive.writeChunk(output, Buffer.concat([header, name]));
+
+      const { crc, size, compressedSize } = await WorkspaceArchive.writeZipData(
+        output,
+        path.join(workspaceDir, file.path),
+        file.size,
+        method
+      );
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(crc, 4);
+      descriptor.writeUInt32LE(compressedSize, 8);
+      descriptor.writeUInt32LE(size, 12);
+      await WorkspaceArchive.writeChunk(output, descriptor);
+
+      centralDirectory.push({
+        name,
+        method,
+        time,
+        date,
+        crc,
+        compressedSize,
+        size,
+        mode: file.mode,
+        offset
+      });
+      offset +=
+        header.length + name.length + compressedSize + descriptor.length;
+    }
+
+    const directoryOffset = offset;
+    let directorySize = 0;
+    for (const entry of centralDirectory) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      // Made by Unix (3), so the permissions in the external attributes are used
+      record.writeUInt16LE((3 << 8) | 20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(0x808, 8);
+      record.writeUInt16LE(entry.method, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.name.length, 28);
+      record.writeUInt32LE(((0o100000 | entry.mode) << 16) >>> 0, 38);
+      record.writeUInt32LE(entry.offset, 42);
+      await WorkspaceArchive.writeChunk(
+        output,
+        Buffer.concat([record, entry.name])
+      );
+      directorySize += record.length + entry.name.length;
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centralDirectory.length, 8);
+    end.writeUInt16LE(centralDirectory.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await WorkspaceArchive.writeChunk(output, end);
+    output.end();
+  }
+
+  // Stream at most `size` bytes of a file into the zip, deflated for method 8
+  static async writeZipData(output, filePath, size, method) {
+    const result = { crc: 0, size: 0, compressedSize: 0 };
+    const read = async function* () {
+      if (size === 0) {
+        return;
+      }
+      const source = fs.createReadStream(filePath, { start: 0, end: size - 1 });
+      for await (const chunk of source) {
+        result.crc = WorkspaceArchive.crc32(chunk, result.crc);
+        result.size += chunk.length;
+        yield chunk;
+      }
+    };
+    const body =
+      method === 8 ? pipeline(read, zlib.createDeflateRaw(), () => {}) : read();
+
+    for await (const chunk of body) {
+      await WorkspaceArchive.writeChunk(output, chunk);
+      result.compressedSize += chunk.length;
+    }
+    return result;
+  }
+
+  static async writeTarGz(output, workspaceDir, files) {
+    const gzip = zlib.createGzip();
+    const finished = new Promise((resolve, reject) => {
+      gzip.on('error', reject);
+      output.on('error', reject);
+      output.on('finish', resolve);
+      // A client that goes away stops the export
+      output.on('close', () => {
+        gzip.destroy();
+        resolve();
+      });
+    });
+    gzip.pipe(output);
+
+    for (const file of files) {
+      await WorkspaceArchive.writeChunk(
+        gzip,
+        WorkspaceArchive.createTarHeader(file)
+      );
+
+      // Write exactly the size in the header, even if the file changes while it is read
+      let written = 0;
+      if (file.size > 0) {
+        const stream = fs.createReadStream(path.join(workspaceDir, file.path), {
+          start: 0,
+          end: file.size - 1
+        });
+        for await (const chunk of stream) {
+          await WorkspaceArchive.writeChunk(gzip, chunk);
+          written += chunk.length;
+        }
+      }
+      const padding =
+        file.size -
+        written +
+        ((TAR_BLOCK_SIZE - (file.size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE);
+      if (padding > 0) {
+        await WorkspaceArchive.writeChunk(gzip, Buffer.alloc(padding));
+      }
+    }
+
+    // Two empty blocks end the archive
+    gzip.end(Buffer.alloc(TAR_BLOCK_SIZE * 2));
+    await finished;
+  }
+
+  // Paths longer than the 100 bytes of a ustar header get a pax extended header in front
+  static createTarHeader(file) {
+    const name = Buffer.from(file.path, 'utf8');
+    if (name.length <= 100) {
+      return WorkspaceArchive.createUstarHeader(
+        file.path,
+        file.size,
+        file.mode,
+        file.mtime,
+        '0'
+      );
+    }
+
+    const record = (length) => `${length} path=${file.path}\n`;
+    let length = Buffer.byteLength(record(0));
+    while (Buffer.byteLength(record(length)) !== length) {
+      length = Buffer.byteLength(record(length));
+    }
+    const paxData = Buffer.from(record(length), 'utf8');
+    const paxPadding = Buffer.alloc(
+      (TAR_BLOCK_SIZE - (paxData.length % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE
+    );
+    const shortName = path.posix.basename(file.path).slice(0, 100);
+
+    return Buffer.concat([
+      WorkspaceArchive.createUstarHeader(
+        `PaxHeader/${shortName}`.slice(0, 100),
+        paxData.length,
+        0o644,
+        file.mtime,
+        'x'
+      ),
+      paxData,
+      paxPadding,
+      WorkspaceArchive.createUstarHeader(
+        shortName,
+        file.size,
+        file.mode,
+        file.mtime,
+        '0'
+      )
+    ]);
+  }
+
+  static createUstarHeader(name, size, mode, mtime, type) {
+    const header = Buffer.alloc(TAR_BLOCK_SIZE);
+    const writeOctal = (value, offset, length) => {
+      header.write(
+        value.toString(8).padStart(length - 1, '0'),
+        offset,
+        length - 1,
+        'ascii'
+      );
+    };
+
+    header.write(name, 0, 100, 'utf8');
+    writeOctal(mode, 100, 8);
+    writeOctal(0, 108, 8);
+    writeOctal(0, 116, 8);
+    writeOctal(size, 124, 12);
+    writeOctal(Math.floor(mtime.getTime() / 1000), 136, 12);
+    header.write(type, 156, 1, 'ascii');
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+
+    // The checksum is computed with its own field filled with spaces
+    header.fill(' ', 148, 156);
+    const checksum = header.reduce((total, byte) => total + byte, 0);
+    header.write(
+      `${checksum.toString(8).padStart(6, '0')}\0 `,
+      148,
+      8,
+      'ascii'
+    );
+    return header;
+  }
+
+  static toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time:
+        (date.getHours() << 11) |
+        (date.getMinutes() << 5) |
+        Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  // Pass the CRC of the previous chunks to continue it over the next one
+  static crc32(buffer, previous = 0) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = (previous ^ 0xffffffff) >>> 0;
+    for (let i = 0; i < buffer.length; i++) {
+      crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+WorkspaceArchive.FORMATS = FORMATS;
+WorkspaceArchive.DEFAULT_EXCLUDES = DEFAULT_EXCLUDES;
+
+module.exports = WorkspaceArchive;
@@ -0,0 +1,217 @@
+/**
+ * Workspace Files Module
+ * Lists, reads and changes files inside a session workspace for the file browser
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const SandboxPolicy = require('./sandbox');
+
+// Open Builder's own data (transcripts) lives here and is not part of the project
+const { INTERNAL_DIRS } = SandboxPolicy;
+// Listed, but their contents are not walked
+const COLLAPSED_DIRS = ['node_modules', '.git'];
+const MAX_TREE_ENTRIES = 5000;
+const MAX_TEXT_FILE_BYTES = 2 * 1024 * 1024;
+
+class WorkspaceFiles {
+  /**
+   * Resolve a workspace-relative path to an absolute one. Throws a 400 error for the workspace
+   * root, paths that leave the workspace, also through symlinks, and Open Builder's own data.
+   */
+  static async resolve(workspaceDir, relativePath) {
+    const cleaned =
+      typeof relativePath === 'string'
+        ? relativePath.replace(/^[/\\]+/, '')
+        : '';
+
+    const root = await SandboxPolicy.resolveRealPath(workspaceDir);
+    const absolutePath = path.resolve(root, cleaned);
+    if (!(await SandboxPolicy.isInside(root, absolutePath))) {
+      throw WorkspaceFiles.error(
+        400,
+        `${relativePath} is outside the session workspace`
+      );
+    }
+
+    // The workspace itself can't be written, renamed or deleted through a file path
+    const normalized = path.relative(root, absolutePath);
+    if (!normalized) {
+      throw WorkspaceFiles.error(400, 'Path is required');
+    }
+    if (INTERNAL_DIRS.includes(normalized.split(path.sep)[0])) {
+      throw WorkspaceFiles.error(
+        400,
+        `${relativePath} is reserved for Open Builder`
+      );
+    }
+
+    return {
+      root,
+      absolutePath,
+      relativePath: normalized.split(path.sep).join('/')
+    };
+  }
+
+  static error(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Directory tree of the workspace, directories first, with at most MAX_TREE_ENTRIES entries
+  static async listTree(workspaceDir) {
+    const root = await SandboxPolicy.resolveRealPath(workspaceDir);
+    const state = { count: 0, truncated: false };
+    const children = await WorkspaceFiles.listDirectory(root, '', state);
+    return { tree: children, truncated: state.truncated };
+  }
+
+  static async listDirectory(root, relativeDir, state) {
+    const entries = await fs.readdir(path.join(root, relativeDir), {
+      withFileTypes: true
+    });
+    entries.sort((a, b) => {
+      if (a.isDirectory() !== b.isDirectory()) {
+        return a.isDirectory() ? -1 : 1;
+      }
+      return a.name.localeCompare(b.name);
+    });
+
+    const nodes = [];
+    for (const entry of entries) {
+      if (!relativeDir && INTERNAL_DIRS.includes(entry.name)) continue;
+      if (state.count >= MAX_TREE_ENTRIES) {
+        state.truncated = true;
+        break;
+      }
+      state.count++;
+
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+      const stats = await fs.lstat(path.join(root, relativePath));
+      const node = {
+        name: entry.name,
+        path: relativePath,
+        type: entry.isDirectory()
+          ? 'directory'
+          : entry.isSymbolicLink()
+            ? 'symlink'
+            : 'file',
+        size: entry.isFile() ? stats.size : 0,
+        modifiedAt: stats.mtime.toISOString()
+      };
+
+      if (entry.isDirectory()) {
+        if (COLLAPSED_DIRS.includes(entry.name)) {
+          node.collapsed = true;
+        } else {
+          node.children = await WorkspaceFiles.listDirectory(
+            root,
+            relativePath,
+            state
+          );
+        }
+      }
+      nodes.push(node);
+    }
+    return nodes;
+  }
+
+  static async readFile(workspaceDir, relativePath) {
+    const { absolutePath, relativePath: normalized } =
+      await WorkspaceFiles.resolve(workspaceDir, relativePath);
+    const stats = await WorkspaceFiles.statFile(absolutePath, relativePath);
+
+    const result = {
+      path: normalized,
+      size: stats.size,
+      modifiedAt: stats.mtime.toISOString(),
+      binary: false
+    };
+    if (stats.size > MAX_TEXT_FILE_BYTES) {
+      return { ...result, tooLarge: true, content: null };
+    }
+
+    const buffer = await fs.readFile(absolutePath);
+    // A NUL byte in the first 8 KB is how git tells binary files apart as well
+    if (buffer.subarray(0, 8192).includes(0)) {
+      return { ...result, binary: true, content: null };
+    }
+    return { ...result, content: buffer.toString('utf8') };
+  }
+
+  static async statFile(absolutePath, relativePath) {
+    const stats = await fs.stat(absolutePath).catch(() => null);
+    if (!stats) {
+      throw WorkspaceFiles.error(404, `${relativePath} not found`);
+    }
+    if (!stats.isFile()) {
+      throw WorkspaceFiles.error(400, `${relativePath} is not a file`);
+    }
+    return stats;
+  }
+
+  // Absolute path of an existing file, for streaming it as a download
+  static async getFilePath(workspaceDir, relativePath) {
+    const { absolutePath } = await WorkspaceFiles.resolve(
+      workspaceDir,
+      relativePath
+    );
+    await WorkspaceFiles.statFile(absolutePath, relativePath);
+    return absolutePath;
+  }
+
+  static async writeFile(workspaceDir, relativePath, content) {
+    const { absolutePath, relativePath: normalized } =
+      await WorkspaceFiles.resolve(workspaceDir, relativePath);
+    const existing = await fs.stat(absolutePath).catch(() => null);
+    if (existing && !existing.isFile()) {
+      throw WorkspaceFiles.error(400, `${relativePath} is not a file`);
+    }
+
+    await fs.ensureDir(path.dirname(absolutePath));
+    await fs.writeFile(absolutePath, content);
+    const stats = await fs.stat(absolutePath);
+    return {
+      path: normalized,
+      size: stats.size,
+      modifiedAt: stats.mtime.toISOString(),
+      created: !existing
+    };
+  }
+
+  static async rename(workspaceDir, fromPath, toPath) {
+    const from = await WorkspaceFiles.resolve(workspaceDir, fromPath);
+    const to = await WorkspaceFiles.resolve(workspaceDir, toPath);
+
+    if (!(await fs.pathExists(from.absolutePath))) {
+      throw WorkspaceFiles.error(404, `${fromPath} not found`);
+    }
+    if (await fs.pathExists(to.absolutePath)) {
+      throw WorkspaceFiles.error(409, `${toPath} already exists`);
+    }
+    if (to.absolutePath.startsWith(from.absolutePath + path.sep)) {
+      throw WorkspaceFiles.error(400, `Cannot move ${fromPath} into itself`);
+    }
+
+    await fs.move(from.absolutePath, to.absolutePath);
+    return { from: from.relativePath, to: to.relativePath };
+  }
+
+  static async remove(workspaceDir, relativePath) {
+    const { absolutePath, relativePath: normalized } =
+      await WorkspaceFiles.resolve(workspaceDir, relativePath);
+    if (!(await fs.pathExists(absolutePath))) {
+      throw WorkspaceFiles.error(404, `${relativePath} not found`);
+    }
+
+    await fs.remove(absolutePath);
+    return { path: normalized };
+  }
+}
+
+WorkspaceFiles.MAX_TEXT_FILE_BYTES = MAX_TEXT_FILE_BYTES;
+
+module.exports = WorkspaceFiles;
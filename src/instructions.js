@@ -0,0 +1,135 @@
+/**
+ * Instructions Module
+ * The instance-wide instructions for the agent, set through SYSTEM_PROMPT_APPEND or by an
+ * admin, and the system prompt they make up together with the instructions of a session
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const INSTRUCTIONS_DIR = '.open-builder';
+const INSTRUCTIONS_FILE = 'instructions.json';
+const MAX_INSTRUCTIONS_LENGTH = 20000;
+
+class InstructionStore {
+  constructor() {
+    // null falls back to SYSTEM_PROMPT_APPEND, a string (even an empty one) overrides it
+    this.instanceInstructions = null;
+    this.updatedAt = null;
+    this.updatedBy = null;
+    this.instructionsFile = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize(baseWorkspaceDir) {
+    this.instructionsFile = path.join(
+      baseWorkspaceDir,
+      INSTRUCTIONS_DIR,
+      INSTRUCTIONS_FILE
+    );
+    await fs.ensureDir(path.dirname(this.instructionsFile));
+
+    if (await fs.pathExists(this.instructionsFile)) {
+      try {
+        const data = await fs.readJson(this.instructionsFile);
+        this.instanceInstructions =
+          typeof data.instructions === 'string' ? data.instructions : null;
+        this.updatedAt = data.updatedAt || null;
+        this.updatedBy = data.updatedBy || null;
+      } catch (error) {
+        console.error(
+          `Failed to read instructions ${this.instructionsFile}, using the configured ones:`,
+          error
+        );
+      }
+    }
+  }
+
+  static getConfiguredInstructions() {
+    return (process.env.SYSTEM_PROMPT_APPEND || '')
+      .replace(/\\n/g, '\n')
+      .trim();
+  }
+
+  // Trimmed instructions, throws a status 400 error for anything that isn't usable text
+  static normalize(instructions, name = 'Instructions') {
+    if (typeof instructions !== 'string') {
+      const error = new Error(`${name} must be a string`);
+      error.status = 400;
+      throw error;
+    }
+    if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      const error = new Error(
+        `${name} can be at most ${MAX_INSTRUCTIONS_LENGTH} characters`
+      );
+      error.status = 400;
+      throw error;
+    }
+    return instructions.trim();
+  }
+
+  getInstanceInstructions() {
+    return this.instanceInstructions !== null
+      ? this.instanceInstructions
+      : InstructionStore.getConfiguredInstructions();
+  }
+
+  getStatus() {
+    return {
+      instructions: this.getInstanceInstructions(),
+      configured: InstructionStore.getConfiguredInstructions(),
+      isDefault: this.instanceInstructions === null,
+      updatedAt: this.updatedAt,
+      updatedBy: this.updatedBy
+    };
+  }
+
+  // null goes back to the instructions from the configuration
+  setInstanceInstructions(instructions, userId) {
+    this.instanceInstructions =
+      instructions === null ? null : InstructionStore.normalize(instructions);
+    this.updatedAt = new Date().toISOString();
+    this.updatedBy = userId || null;
+    this.save();
+    return this.getStatus();
+  }
+
+  /**
+   * The system prompt of a turn: the instance-wide instructions followed by the ones of the
+   * session. Undefined when there are none, which keeps the SDK default.
+   */
+  buildSystemPrompt(sessionInstructions) {
+    const parts = [this.getInstanceInstructions(), sessionInstructions].filter(
+      (part) => typeof part === 'string' && part.trim()
+    );
+    return parts.length > 0
+      ? parts.map((part) => part.trim()).join('\n\n')
+      : undefined;
+  }
+
+  save() {
+    if (!this.instructionsFile) {
+      return this.writeQueue;
+    }
+
+    const data = {
+      instructions: this.instanceInstructions,
+      updatedAt: this.updatedAt,
+      updatedBy: this.updatedBy
+    };
+    this.writeQueue = this.writeQueue
+      .then(() => fs.writeJson(this.instructionsFile, data, { spaces: 2 }))
+      .catch((error) => {
+        console.error(
+          `Failed to write instructions ${this.instructionsFile}:`,
+          error
+        );
+      });
+
+    return this.writeQueue;
+  }
+}
+
+InstructionStore.MAX_INSTRUCTIONS_LENGTH = MAX_INSTRUCTIONS_LENGTH;
+
+module.exports = InstructionStore;
@@ -4,16 +4,52 @@
  */
 
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const PermissionRules = require('./rules');
+const DiffUtils = require('./diff');
+const SandboxPolicy = require('./sandbox');
+const { ConfigUtils } = require('./utils');
+
+// Tools that only look at the workspace and may run when `allow-read-only` applies on timeout
+const READ_ONLY_TOOLS = [
+  'Read',
+  'Glob',
+  'Grep',
+  'LS',
+  'NotebookRead',
+  'WebFetch',
+  'WebSearch',
+  'BashOutput'
+];
 
 class PermissionManager extends EventEmitter {
-  constructor() {
+  constructor(permissionRules, auditLog, quotaManager) {
     super();
     this.pendingPermissions = new Map();
     this.permissionClients = new Map();
+    // Client ID -> ID of the user who connected
+    this.clientUsers = new Map();
+    // Client ID -> session IDs the client is attached to
+    this.clientSessions = new Map();
+    this.permissionRules = permissionRules;
+    this.auditLog = auditLog;
+    this.quotaManager = quotaManager;
+  }
+
+  getPendingPermissions(sessionId) {
+    const pending = Array.from(this.pendingPermissions.values());
+    return sessionId === undefined
+      ? pending
+      : pending.filter(
+          (permission) =>
+            !permission.sessionId || permission.sessionId === sessionId
+        );
   }
 
-  getPendingPermissions() {
-    return Array.from(this.pendingPermissions.values());
+  getPendingPermissionsForClient(clientId) {
+    return this.getPendingPermissions().filter((permission) =>
+      this.isClientAttached(clientId, permission.sessionId, permission.ownerId)
+    );
   }
 
   addPermissionRequest(permissionRequest) {
@@ -21,102 +57,483 @@ class PermissionManager extends EventEmitter {
     this.emit('permission-request', permissionRequest);
   }
 
-  respondToPermission(permissionId, approved, reason) {
+  respondToPermission(
+    permissionId,
+    approved,
+    reason,
+    remember,
+    clientId,
+    updatedInput
+  ) {
     const permission = this.pendingPermissions.get(permissionId);
     if (!permission) {
-      return { success: false, error: 'Permission request not found or already processed' };
+      return {
+        success: false,
+        status: 404,
+        error: 'Permission request not found or already processed'
+      };
+    }
+
+    if (
+      !this.isClientAttached(clientId, permission.sessionId, permission.ownerId)
+    ) {
+      return {
+        success: false,
+        status: 403,
+        error: 'Client is not attached to the session that raised this request'
+      };
+    }
+
+    if (updatedInput !== undefined && updatedInput !== null) {
+      if (!approved) {
+        return {
+          success: false,
+          status: 400,
+          error: 'Modified input can only be sent with an approval'
+        };
+      }
+      if (typeof updatedInput !== 'object' || Array.isArray(updatedInput)) {
+        return {
+          success: false,
+          status: 400,
+          error: 'Modified input must be an object of tool parameters'
+        };
+      }
+    }
+
+    // "Always allow/deny this" turns the answer into a rule for future requests
+    let rule = null;
+    if (remember) {
+      try {
+        rule = this.permissionRules.add({
+          tool: permission.action,
+          pattern: remember.pattern || permission.suggestedPattern,
+          decision: approved ? 'allow' : 'deny',
+          scope: remember.scope || 'session',
+          sessionId: permission.sessionId
+        });
+      } catch (error) {
+        return { success: false, status: 400, error: error.message };
+      }
     }
 
     const response = {
       id: permissionId,
+      sessionId: permission.sessionId,
+      ownerId: permission.ownerId,
       approved,
       reason: reason || (approved ? 'Approved by user' : 'Denied by user'),
+      decidedBy: 'user',
+      clientId,
+      ...(approved && updatedInput && { updatedInput }),
       timestamp: new Date().toISOString()
     };
 
     this.emit('permission-response', response);
 
+    if (rule) {
+      this.applyRulesToPending();
+    }
+
     return {
       success: true,
       message: `Permission ${approved ? 'approved' : 'denied'}`,
       permissionId,
-      approved
+      approved,
+      inputEdited: !!(approved && updatedInput),
+      ...(rule && { rule })
     };
   }
 
-  async requestMcpPermission(action, description, resource, details) {
+  // Input edited by the approver has to stay inside the sandbox and the disk quota as well
+  async checkUpdatedInput(permissionId, updatedInput) {
+    const permission = this.pendingPermissions.get(permissionId);
+    if (!permission || !updatedInput || typeof updatedInput !== 'object') {
+      return null;
+    }
+    return (
+      (await SandboxPolicy.check(
+        permission.action,
+        updatedInput,
+        permission.workspaceDir
+      )) ||
+      (await this.checkQuota(
+        permission.action,
+        updatedInput,
+        permission.ownerId
+      ))
+    );
+  }
+
+  checkQuota(action, details, ownerId) {
+    return this.quotaManager
+      ? this.quotaManager.checkToolUse(ownerId, action, details)
+      : null;
+  }
+
+  evaluateRules(action, details, context) {
+    const rule = this.permissionRules.evaluate(action, details, context);
+    if (!rule || rule.decision === 'ask') {
+      return null;
+    }
+    return {
+      approved: rule.decision === 'allow',
+      reason: `${rule.decision === 'allow' ? 'Allowed' : 'Denied'} by ${rule.scope} rule ${rule.tool}(${rule.pattern})`,
+      ruleId: rule.id
+    };
+  }
+
+  // Settle requests that are still waiting but are now covered by a rule
+  applyRulesToPending() {
+    for (const permission of this.getPendingPermissions()) {
+      const decision = this.evaluateRules(
+        permission.action,
+        permission.details,
+        {
+          sessionId: permission.sessionId,
+          workspaceDir: permission.workspaceDir
+        }
+      );
+      if (decision) {
+        this.emit('permission-response', {
+          id: permission.id,
+          sessionId: permission.sessionId,
+          ownerId: permission.ownerId,
+          approved: decision.approved,
+          reason: decision.reason,
+          decidedBy: 'rule',
+          ruleId: decision.ruleId,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  async requestMcpPermission(
+    action,
+    description,
+    resource,
+    requestedInput,
+    context = {}
+  ) {
     if (!action || !description) {
       throw new Error('Action and description are required');
     }
 
     const permissionId = `mcp_perm_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const requestedAt = new Date();
 
     console.log(`🔐 MCP Permission requested: ${action} - ${description}`);
 
+    // Rewrite /tmp paths first so the sandbox, rules and the user all see the path that will be used
+    const redirectedInput = SandboxPolicy.redirectTmpPaths(
+      action,
+      requestedInput,
+      context.workspaceDir
+    );
+    const details = redirectedInput || requestedInput;
+    if (redirectedInput) {
+      console.log(
+        `🔐 Redirected /tmp path of ${action} into the session workspace`
+      );
+    }
+
+    const sandboxViolation = await SandboxPolicy.check(
+      action,
+      details,
+      context.workspaceDir
+    );
+    if (sandboxViolation) {
+      console.log(
+        `🛡️ MCP Permission ${permissionId} denied: ${sandboxViolation.reason}`
+      );
+      const sandboxDecision = {
+        approved: false,
+        reason: sandboxViolation.reason
+      };
+      this.recordDecision(
+        {
+          id: permissionId,
+          action,
+          description,
+          details,
+          sessionId: context.sessionId
+        },
+        { ...sandboxDecision, decidedBy: 'sandbox' },
+        requestedAt
+      );
+      return sandboxDecision;
+    }
+
+    const quotaViolation = await this.checkQuota(
+      action,
+      details,
+      context.ownerId
+    );
+    if (quotaViolation) {
+      console.log(
+        `💾 MCP Permission ${permissionId} denied: ${quotaViolation.reason}`
+      );
+      const quotaDecision = { approved: false, reason: quotaViolation.reason };
+      this.recordDecision(
+        {
+          id: permissionId,
+          action,
+          description,
+          details,
+          sessionId: context.sessionId
+        },
+        { ...quotaDecision, decidedBy: 'quota' },
+        requestedAt
+      );
+      return quotaDecision;
+    }
+
+    const ruleDecision = this.evaluateRules(action, details, context);
+    if (ruleDecision) {
+      console.log(
+        `📏 MCP Permission ${permissionId} ${ruleDecision.approved ? 'approved' : 'denied'}: ${ruleDecision.reason}`
+      );
+      this.recordDecision(
+        {
+          id: permissionId,
+          action,
+          description,
+          details,
+          sessionId: context.sessionId
+        },
+        { ...ruleDecision, decidedBy: 'rule' },
+        requestedAt
+      );
+      return {
+        ...ruleDecision,
+        ...(ruleDecision.approved &&
+          redirectedInput && { updatedInput: redirectedInput })
+      };
+    }
+
+    const { timeoutSeconds, timeoutDecision } =
+      context.timeout || ConfigUtils.getPermissionTimeoutConfig();
+    // Show file changes against the session workspace so Write/Edit are not approved blind
+    const diff = await DiffUtils.previewToolChange(
+      action,
+      details,
+      context.workspaceDir
+    );
     const permissionRequest = {
       id: permissionId,
       action,
       description,
       resource,
       details,
+      sessionId: context.sessionId || null,
+      workspaceDir: context.workspaceDir || null,
+      ownerId: context.ownerId || null,
+      suggestedPattern:
+        PermissionRules.getResource(action, details, context.workspaceDir) ||
+        '**',
+      diff,
       timestamp: new Date().toISOString(),
+      timeoutDecision,
+      expiresAt:
+        timeoutDecision === 'wait'
+          ? null
+          : new Date(Date.now() + timeoutSeconds * 1000).toISOString(),
       status: 'pending'
     };
 
     this.addPermissionRequest(permissionRequest);
 
-    console.log(`🔐 Broadcasting MCP permission to ${this.permissionClients.size} connected clients`);
+    console.log(
+      `🔐 Sending MCP permission to ${this.getAttachedClientCount(permissionRequest.sessionId, permissionRequest.ownerId)} clients attached to session ${permissionRequest.sessionId || '(none)'}`
+    );
 
     const response = await new Promise((resolve) => {
-      const timeout = setTimeout(() => {
-        this.pendingPermissions.delete(permissionId);
-        console.log(`⏰ MCP Permission ${permissionId} timed out - denying`);
-        resolve({
-          approved: false,
-          reason: 'Request timed out after 60 seconds'
-        });
-      }, 60000);
+      let timeout = null;
 
       const responseHandler = (response) => {
         if (response.id === permissionId) {
           clearTimeout(timeout);
           this.pendingPermissions.delete(permissionId);
           this.removeListener('permission-response', responseHandler);
+          if (context.signal) {
+            context.signal.removeEventListener('abort', cancelRequest);
+          }
           console.log(
             `${response.approved ? '✅' : '❌'} MCP Permission ${permissionId} ${response.approved ? 'approved' : 'denied'}`
           );
-          resolve({ approved: response.approved, reason: response.reason });
+          this.recordDecision(permissionRequest, response, requestedAt);
+          const updatedInput = response.updatedInput || redirectedInput;
+          resolve({
+            approved: response.approved,
+            reason: response.reason,
+            ...(response.approved && updatedInput && { updatedInput })
+          });
         }
       };
 
       this.on('permission-response', responseHandler);
+
+      // Nobody is waiting for the answer anymore, drop the request from every client
+      const cancelRequest = () => {
+        console.log(
+          `🛑 MCP Permission ${permissionId} cancelled, the agent stopped waiting`
+        );
+        this.emit('permission-response', {
+          id: permissionId,
+          sessionId: permissionRequest.sessionId,
+          ownerId: permissionRequest.ownerId,
+          approved: false,
+          reason: 'The agent stopped waiting for an answer',
+          decidedBy: 'cancelled',
+          timestamp: new Date().toISOString()
+        });
+      };
+      if (context.signal) {
+        if (context.signal.aborted) {
+          cancelRequest();
+          return;
+        }
+        context.signal.addEventListener('abort', cancelRequest, { once: true });
+      }
+
+      if (timeoutDecision !== 'wait') {
+        timeout = setTimeout(() => {
+          const approved =
+            timeoutDecision === 'allow-read-only' &&
+            READ_ONLY_TOOLS.includes(action);
+          const reason = approved
+            ? `Read-only ${action} allowed after ${timeoutSeconds} seconds without a response`
+            : `Request timed out after ${timeoutSeconds} seconds`;
+          console.log(
+            `⏰ MCP Permission ${permissionId} timed out - ${approved ? 'allowing read-only tool' : 'denying'}`
+          );
+          // Goes through the regular response path so clients drop the expired request
+          this.emit('permission-response', {
+            id: permissionId,
+            sessionId: permissionRequest.sessionId,
+            ownerId: permissionRequest.ownerId,
+            approved,
+            reason,
+            decidedBy: 'timeout',
+            timestamp: new Date().toISOString()
+          });
+        }, timeoutSeconds * 1000);
+      }
     });
 
     return response;
   }
 
+  recordDecision(permission, decision, requestedAt) {
+    if (!this.auditLog) {
+      return;
+    }
+    this.auditLog.record({
+      permission,
+      // Client IDs answer requests, so the log only keeps a prefix that identifies the connection
+      decision: {
+        ...decision,
+        clientId: decision.clientId ? decision.clientId.slice(0, 15) : null
+      },
+      requestedAt
+    });
+  }
+
+  // The client ID doubles as the credential for answering requests, so it must not be guessable
   generateClientId() {
-    return `client_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `client_${crypto.randomBytes(16).toString('hex')}`;
   }
 
-  addClient(clientId, ws) {
+  addClient(clientId, ws, user = null) {
     this.permissionClients.set(clientId, ws);
-    console.log(`🔗 Added client to permission stream. Total clients: ${this.permissionClients.size}`);
+    this.clientSessions.set(clientId, new Set());
+    this.clientUsers.set(clientId, user ? user.id : null);
+    console.log(
+      `🔗 Added client to permission stream. Total clients: ${this.permissionClients.size}`
+    );
   }
 
   removeClient(clientId) {
     this.permissionClients.delete(clientId);
-    console.log(`🔗 WebSocket client disconnected: ${clientId}. Total clients: ${this.permissionClients.size}`);
+    this.clientSessions.delete(clientId);
+    this.clientUsers.delete(clientId);
+    console.log(
+      `🔗 WebSocket client disconnected: ${clientId}. Total clients: ${this.permissionClients.size}`
+    );
   }
 
   getClientCount() {
     return this.permissionClients.size;
   }
 
+  subscribeClient(clientId, sessionId) {
+    const sessions = this.clientSessions.get(clientId);
+    if (!sessions || !sessionId) {
+      return false;
+    }
+    sessions.add(sessionId);
+    console.log(`🔗 Client ${clientId} attached to session ${sessionId}`);
+    return true;
+  }
+
+  unsubscribeClient(clientId, sessionId) {
+    const sessions = this.clientSessions.get(clientId);
+    return sessions ? sessions.delete(sessionId) : false;
+  }
+
+  // ID of the user who opened a client's connection, undefined for unknown clients
+  getClientUser(clientId) {
+    return this.clientUsers.get(clientId);
+  }
+
+  // Detach every client of a user from sessions the user can no longer access
+  unsubscribeUser(userId, sessionIds) {
+    for (const [clientId, sessions] of this.clientSessions) {
+      if (this.clientUsers.get(clientId) !== userId) continue;
+      const removed = sessionIds.filter((sessionId) =>
+        sessions.delete(sessionId)
+      );
+      if (removed.length > 0) {
+        console.log(
+          `🔗 Client ${clientId} detached from sessions ${removed.join(', ')}`
+        );
+        this.emit('subscriptions-changed', clientId);
+      }
+    }
+  }
+
+  getClientSessions(clientId) {
+    return Array.from(this.clientSessions.get(clientId) || []);
+  }
+
+  /**
+   * Whether a connected client may see and answer requests of a session. Requests that
+   * could not be traced back to a session only go to clients of the workspace owner.
+   */
+  isClientAttached(clientId, sessionId, ownerId = null) {
+    const sessions = clientId ? this.clientSessions.get(clientId) : null;
+    if (!sessions) {
+      return false;
+    }
+    if (sessionId) {
+      return sessions.has(sessionId);
+    }
+    return Boolean(ownerId) && this.clientUsers.get(clientId) === ownerId;
+  }
+
+  getAttachedClientCount(sessionId, ownerId = null) {
+    const clientIds = Array.from(this.clientSessions.keys());
+    return clientIds.filter((clientId) =>
+      this.isClientAttached(clientId, sessionId, ownerId)
+    ).length;
+  }
+
   broadcastToClients(message) {
     this.permissionClients.forEach((ws, clientId) => {
       try {
-        if (ws.readyState === 1) { // WebSocket.OPEN
+        if (ws.readyState === 1) {
+          // WebSocket.OPEN
           ws.send(JSON.stringify(message));
         }
       } catch (error) {
@@ -127,4 +544,4 @@ class PermissionManager extends EventEmitter {
   }
 }
 
-module.exports = PermissionManager;
\ No newline at end of file
+module.exports = PermissionManager;
@@ -0,0 +1,194 @@
+/**
+ * Disk Quota Module
+ * Per-user disk quotas for the workspaces under users/<userId>/, checked before writes
+ */
+
+const fs = require('fs-extra');
+
+const MB = 1024 * 1024;
+// Tools that can grow the workspace; Bash is only stopped once the quota is already used up
+const WRITE_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit', 'Bash'];
+// Walking a large workspace for every tool use is slow, usage is reused for a few seconds
+const USAGE_CACHE_MS = 5000;
+
+class QuotaManager {
+  constructor(workspaceManager, authManager) {
+    this.workspaceManager = workspaceManager;
+    this.authManager = authManager;
+    this.usageCache = new Map();
+  }
+
+  static getDefaultQuotaMb() {
+    const value = parseFloat(process.env.DEFAULT_DISK_QUOTA_MB);
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+
+  // Quota in bytes for a user, null when unlimited
+  getQuotaBytes(userId) {
+    const user = userId ? this.authManager.getUser(userId) : null;
+    if (!user) {
+      return null;
+    }
+    const quotaMb =
+      typeof user.diskQuotaMb === 'number'
+        ? user.diskQuotaMb
+        : QuotaManager.getDefaultQuotaMb();
+    return quotaMb === null ? null : Math.round(quotaMb * MB);
+  }
+
+  async getUsage(userId) {
+    const cached = this.usageCache.get(userId);
+    if (cached && Date.now() - cached.measuredAt < USAGE_CACHE_MS) {
+      return cached.bytes;
+    }
+
+    const userDir = this.workspaceManager.getUserWorkspaceDir(userId);
+    const bytes = (await fs.pathExists(userDir))
+      ? await this.workspaceManager.calculateDirectorySize(userDir)
+      : 0;
+    this.usageCache.set(userId, { bytes, measuredAt: Date.now() });
+    return bytes;
+  }
+
+  invalidate(userId) {
+    this.usageCache.delete(userId);
+  }
+
+  async getStatus(userId) {
+    return {
+      usedBytes: await this.getUsage(userId),
+      quotaBytes: this.getQuotaBytes(userId)
+    };
+  }
+
+  /**
+   * Refuse new turns in sessions whose owner has used up their quota. Sessions without
+   * an owner are not limited.
+   */
+  async checkQuery(ownerId) {
+    const quotaBytes = this.getQuotaBytes(ownerId);
+    if (quotaBytes === null) {
+      return { allowed: true };
+    }
+
+    const usedBytes = await this.getUsage(ownerId);
+    if (usedBytes >= quotaBytes) {
+      return {
+        allowed: false,
+        code: 'disk_quota_exceeded',
+        reason: `Disk quota exceeded: ${this.describeUsage(ownerId, usedBytes, quotaBytes)}. Delete files or sessions, or ask an admin to raise the quota.`
+      };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Check a tool use against the quota of the workspace owner. Returns null when it fits,
+   * otherwise { reason }.
+   */
+  async checkToolUse(ownerId, tool, input) {
+    if (!WRITE_TOOLS.includes(tool)) {
+      return null;
+    }
+    const quotaBytes = this.getQuotaBytes(ownerId);
+    if (quotaBytes === null) {
+      return null;
+    }
+
+    this.invalidate(ownerId);
+    const usedBytes = await this.getUsage(ownerId);
+    const addedBytes = await QuotaManager.estimateGrowth(tool, input || {});
+
+    if (
+      usedBytes + addedBytes > quotaBytes ||
+      (tool === 'Bash' && usedBytes >= quotaBytes)
+    ) {
+      return {
+        reason: `${tool} denied by disk quota: ${this.describeUsage(ownerId, usedBytes, quotaBytes)}${
+          addedBytes > 0
+            ? ` and this change would add ${QuotaManager.formatSize(addedBytes)}`
+            : ''
+        }. Delete files in the workspace or ask an admin to raise the quota.`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Check writing newBytes to filePath, e.g. from the file browser or an upload. Returns
+   * null when it fits, otherwise { reason }. The description names what is written in the reason.
+   */
+  async checkWrite(ownerId, filePath, newBytes, description = 'this file') {
+    const quotaBytes = this.getQuotaBytes(ownerId);
+    if (quotaBytes === null) {
+      return null;
+    }
+
+    this.invalidate(ownerId);
+    const usedBytes = await this.getUsage(ownerId);
+    const addedBytes = await QuotaManager.growthOfWrite(filePath, newBytes);
+    if (usedBytes + addedBytes > quotaBytes) {
+      return {
+        reason: `Disk quota exceeded: ${this.describeUsage(ownerId, usedBytes, quotaBytes)} and ${description} would add ${QuotaManager.formatSize(
+          addedBytes
+        )}. Delete files or sessions, or ask an admin to raise the quota.`
+      };
+    }
+    return null;
+  }
+
+  // Replacing a file only adds the difference to its current size
+  static async growthOfWrite(filePath, newBytes) {
+    const existing =
+      typeof filePath === 'string'
+        ? await fs.stat(filePath).catch(() => null)
+        : null;
+    return Math.max(
+      0,
+      newBytes - (existing && existing.isFile() ? existing.size : 0)
+    );
+  }
+
+  // Bytes a tool use adds to the workspace, as far as it can be told from the input
+  static async estimateGrowth(tool, input) {
+    if (tool === 'Write' && typeof input.content === 'string') {
+      return QuotaManager.growthOfWrite(
+        input.file_path,
+        Buffer.byteLength(input.content)
+      );
+    }
+
+    const edits =
+      tool === 'MultiEdit' ? input.edits || [] : tool === 'Edit' ? [input] : [];
+    // replace_all changes every occurrence of old_string in the file, not just one
+    const content = edits.some((edit) => edit.replace_all)
+      ? await fs.readFile(input.file_path, 'utf8').catch(() => '')
+      : '';
+    return edits.reduce((total, edit) => {
+      const oldString = String(edit.old_string || '');
+      const added =
+        Buffer.byteLength(String(edit.new_string || '')) -
+        Buffer.byteLength(oldString);
+      const occurrences =
+        edit.replace_all && oldString ? content.split(oldString).length - 1 : 1;
+      return total + Math.max(0, added) * Math.max(1, occurrences);
+    }, 0);
+  }
+
+  describeUsage(userId, usedBytes, quotaBytes) {
+    const user = this.authManager.getUser(userId);
+    const name = user ? user.username : userId;
+    return `${name} uses ${QuotaManager.formatSize(usedBytes)} of ${QuotaManager.formatSize(quotaBytes)}`;
+  }
+
+  static formatSize(bytes) {
+    return bytes < MB
+      ? `${(bytes / 1024).toFixed(1)} KB`
+      : `${(bytes / MB).toFixed(1)} MB`;
+  }
+}
+
+QuotaManager.WRITE_TOOLS = WRITE_TOOLS;
+QuotaManager.MB = MB;
+
+module.exports = QuotaManager;
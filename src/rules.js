@@ -0,0 +1,279 @@
+/**
+ * Permission Rules Module
+ * Allow/deny/ask policies matched by tool name and resource glob, scoped per session or globally
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const RULES_DIR = '.open-builder';
+const RULES_FILE = 'permission-rules.json';
+const DECISIONS = ['allow', 'deny', 'ask'];
+const SCOPES = ['session', 'global'];
+const DECISION_PRIORITY = { deny: 0, ask: 1, allow: 2 };
+// Command lists, pipes, background jobs, substitutions and redirections run more than the
+// command a rule was made for, e.g. `npm test; rm -rf ~` for `npm test*`
+const COMPOUND_COMMAND = /[;&|`\n\r>]|\$\(|<\(/;
+
+const FILE_TOOLS = [
+  'Read',
+  'Write',
+  'Edit',
+  'MultiEdit',
+  'NotebookEdit',
+  'NotebookRead'
+];
+
+class PermissionRules {
+  constructor() {
+    this.rules = [];
+    this.rulesFile = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load(baseWorkspaceDir) {
+    this.rulesFile = path.join(baseWorkspaceDir, RULES_DIR, RULES_FILE);
+    await fs.ensureDir(path.dirname(this.rulesFile));
+
+    if (await fs.pathExists(this.rulesFile)) {
+      try {
+        const data = await fs.readJson(this.rulesFile);
+        this.rules = Array.isArray(data.rules) ? data.rules : [];
+        console.log(
+          `Loaded ${this.rules.length} permission rules from ${this.rulesFile}`
+        );
+      } catch (error) {
+        console.error(
+          `Failed to read permission rules ${this.rulesFile}:`,
+          error
+        );
+        this.rules = [];
+      }
+    }
+  }
+
+  list(sessionId) {
+    return this.rules.filter(
+      (rule) =>
+        rule.scope === 'global' || !sessionId || rule.sessionId === sessionId
+    );
+  }
+
+  get(ruleId) {
+    return this.rules.find((rule) => rule.id === ruleId) || null;
+  }
+
+  add({ tool, pattern, decision, scope, sessionId }) {
+    if (!tool || typeof tool !== 'string') {
+      throw new Error('Tool is required');
+    }
+    if (!DECISIONS.includes(decision)) {
+      throw new Error(`Decision must be one of: ${DECISIONS.join(', ')}`);
+    }
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Scope must be one of: ${SCOPES.join(', ')}`);
+    }
+    if (scope === 'session' && !sessionId) {
+      throw new Error('Session ID is required for session-scoped rules');
+    }
+
+    const rule = {
+      id: `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      tool,
+      pattern: pattern || '**',
+      decision,
+      scope,
+      sessionId: scope === 'session' ? sessionId : null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.rules.push(rule);
+    this.save();
+    console.log(
+      `📏 Added permission rule: ${decision} ${tool}(${rule.pattern}) [${scope}]`
+    );
+    return rule;
+  }
+
+  remove(ruleId) {
+    const index = this.rules.findIndex((rule) => rule.id === ruleId);
+    if (index === -1) {
+      return false;
+    }
+    this.rules.splice(index, 1);
+    this.save();
+    return true;
+  }
+
+  removeSessionRules(sessionId) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter((rule) => rule.sessionId !== sessionId);
+    if (this.rules.length !== before) {
+      this.save();
+    }
+  }
+
+  /**
+   * Find the rule that decides a tool use. Session rules win over global ones,
+   * and within a scope deny wins over ask, which wins over allow.
+   */
+  evaluate(tool, input, context = {}) {
+    const resource = PermissionRules.getResource(
+      tool,
+      input,
+      context.workspaceDir
+    );
+    const matches = this.rules.filter(
+      (rule) =>
+        (rule.scope === 'global' ||
+          (context.sessionId && rule.sessionId === context.sessionId)) &&
+        PermissionRules.matchesTool(rule.tool, tool) &&
+        PermissionRules.matchesResource(rule.pattern, resource, tool) &&
+        !(
+          rule.decision === 'allow' &&
+          tool === 'Bash' &&
+          PermissionRules.isCompoundCommand(resource)
+        )
+    );
+
+    if (matches.length === 0) {
+      return null;
+    }
+
+    matches.sort((a, b) => {
+      if (a.scope !== b.scope) {
+        return a.scope === 'session' ? -1 : 1;
+      }
+      return DECISION_PRIORITY[a.decision] - DECISION_PRIORITY[b.decision];
+    });
+
+    return matches[0];
+  }
+
+  static isFileTool(tool) {
+    return FILE_TOOLS.includes(tool);
+  }
+
+  /**
+   * The string a rule pattern is matched against: workspace-relative paths for file tools,
+   * the command line for Bash and the most descriptive input field for everything else.
+   */
+  static getResource(tool, input, workspaceDir) {
+    if (!input || typeof input !== 'object') {
+      return '';
+    }
+
+    if (
+      PermissionRules.isFileTool(tool) ||
+      tool === 'Glob' ||
+      tool === 'Grep' ||
+      tool === 'LS'
+    ) {
+      const filePath =
+        input.file_path || input.notebook_path || input.path || '';
+      const target =
+        tool === 'Glob' || tool === 'Grep'
+          ? filePath || input.pattern || ''
+          : filePath;
+      if (target && workspaceDir && path.isAbsolute(target)) {
+        const relativePath = path.relative(workspaceDir, target);
+        if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+          return relativePath || '.';
+        }
+      }
+      return target;
+    }
+
+    if (tool === 'Bash') {
+      return input.command || '';
+    }
+
+    return input.url || input.query || input.command || input.file_path || '';
+  }
+
+  // Allow rules never match these, they are always asked about unless a rule denies them
+  static isCompoundCommand(command) {
+    return COMPOUND_COMMAND.test(command);
+  }
+
+  static matchesTool(ruleTool, tool) {
+    return (
+      ruleTool === '*' ||
+      ruleTool === tool ||
+      PermissionRules.globToRegExp(ruleTool, false).test(tool)
+    );
+  }
+
+  static matchesResource(pattern, resource, tool) {
+    if (!pattern || pattern === '*' || pattern === '**') {
+      return true;
+    }
+    const pathMode = tool !== 'Bash' && !tool.startsWith('mcp__');
+    return PermissionRules.globToRegExp(pattern, pathMode).test(resource);
+  }
+
+  /**
+   * Convert a glob into a RegExp. In path mode `*` stays within one path segment and
+   * `**` crosses directories; otherwise `*` matches anything, e.g. `npm test*`.
+   */
+  static globToRegExp(glob, pathMode = true) {
+    return new RegExp(`^${PermissionRules.globToSource(glob, { pathMode })}$`);
+  }
+
+  /**
+   * The RegExp source of a glob, also used for .gitignore patterns. With `classes`,
+   * `[abc]` and `[!abc]` are character classes like in git; rules keep brackets literal.
+   */
+  static globToSource(glob, { pathMode = true, classes = false } = {}) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '*') {
+        if (glob[i + 1] === '*') {
+          // `**/` also matches zero directories
+          if (glob[i + 2] === '/') {
+            source += '(?:.*/)?';
+            i += 2;
+          } else {
+            source += '.*';
+            i += 1;
+          }
+        } else {
+          source += pathMode ? '[^/]*' : '.*';
+        }
+      } else if (char === '?') {
+        source += pathMode ? '[^/]' : '.';
+      } else if (classes && char === '[' && glob.indexOf(']', i + 1) > i + 1) {
+        const end = glob.indexOf(']', i + 1);
+        source += `[${glob
+          .slice(i + 1, end)
+          .replace(/^!/, '^')
+          .replace(/\\/g, '\\\\')}]`;
+        i = end;
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    return source;
+  }
+
+  save() {
+    if (!this.rulesFile) {
+      return this.writeQueue;
+    }
+
+    const data = { version: 1, rules: [...this.rules] };
+    this.writeQueue = this.writeQueue
+      .then(() => fs.writeJson(this.rulesFile, data, { spaces: 2 }))
+      .catch((error) => {
+        console.error(
+          `Failed to write permission rules ${this.rulesFile}:`,
+          error
+        );
+      });
+
+    return this.writeQueue;
+  }
+}
+
+module.exports = PermissionRules;
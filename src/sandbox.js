@@ -0,0 +1,272 @@
+/**
+ * Sandbox Policy Module
+ * Keeps file and shell tools inside the session workspace, following `..` and symlinks
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const PATH_TOOLS = {
+  Read: ['file_path'],
+  Write: ['file_path'],
+  Edit: ['file_path'],
+  MultiEdit: ['file_path'],
+  NotebookRead: ['notebook_path'],
+  NotebookEdit: ['notebook_path'],
+  Glob: ['path'],
+  Grep: ['path'],
+  LS: ['path']
+};
+const TMP_PREFIX = /^\/tmp[/\\]/;
+// Open Builder's own data in a workspace (transcript, instructions), off limits to the agent
+const INTERNAL_DIRS = ['.open-builder'];
+// Splits a shell command into the words that could be paths
+const WORD_SEPARATOR = /[\s;&|()<>`=:]+/;
+// Splits a shell command into the simple commands that could change directory, also the ones
+// in subshells, groups and command substitutions like `(cd /; ls)`, `{ cd /; }` or `$(cd /)`
+const COMMAND_SEPARATOR = /&&|\|\||[;|&\n(){}`]/;
+// Keywords and variable assignments that can come before a command without changing it
+const COMMAND_PREFIX =
+  /^\s*(?:!|(?:then|do|else|elif|if|while|until|time|command|builtin|exec)(?=\s|$)|[A-Za-z_][A-Za-z0-9_]*=\S*(?=\s|$))\s*/;
+const DIRECTORY_COMMAND = /^\s*(cd|pushd)(?:\s+(.*?))?\s*$/;
+
+class SandboxPolicy {
+  static isSandboxedTool(tool) {
+    return (
+      tool === 'Bash' || Object.prototype.hasOwnProperty.call(PATH_TOOLS, tool)
+    );
+  }
+
+  /**
+   * Check a tool use against the session workspace. Returns null when it stays inside,
+   * otherwise { reason } describing the path that escapes.
+   */
+  static async check(tool, input, workspaceDir) {
+    if (
+      !workspaceDir ||
+      !input ||
+      typeof input !== 'object' ||
+      !SandboxPolicy.isSandboxedTool(tool)
+    ) {
+      return null;
+    }
+
+    const root = await SandboxPolicy.resolveRealPath(workspaceDir);
+
+    if (tool === 'Bash') {
+      return SandboxPolicy.checkBashCommand(input.command || '', root);
+    }
+
+    const targets = PATH_TOOLS[tool]
+      .map((field) => input[field])
+      .filter((value) => typeof value === 'string' && value);
+    // The part of a Glob pattern before the first wildcard is the directory searched
+    if (tool === 'Glob' && typeof input.pattern === 'string' && input.pattern) {
+      const searchDir = path.resolve(root, input.path || '.');
+      const base = SandboxPolicy.getGlobBase(
+        path.isAbsolute(input.pattern)
+          ? input.pattern
+          : `${searchDir}/${input.pattern}`
+      );
+      if (base === null) {
+        return {
+          reason: `Glob denied by sandbox: ${input.pattern} goes up with .. after a wildcard, which cannot be checked`
+        };
+      }
+      targets.push(base);
+    }
+
+    for (const target of targets) {
+      if (!(await SandboxPolicy.isInside(root, target))) {
+        return {
+          reason: `${tool} denied by sandbox: ${target} is outside the session workspace`
+        };
+      }
+      if (await SandboxPolicy.isInternal(root, target)) {
+        return {
+          reason: `${tool} denied by sandbox: ${target} is reserved for Open Builder`
+        };
+      }
+    }
+    if (
+      tool === 'Glob' &&
+      SandboxPolicy.mentionsInternalDir(String(input.pattern || ''))
+    ) {
+      return {
+        reason: `Glob denied by sandbox: ${input.pattern} can match data reserved for Open Builder`
+      };
+    }
+    return null;
+  }
+
+  static async checkBashCommand(command, root) {
+    // Quotes and escapes don't change which file a word names, e.g. ".open"-builder
+    const internalWord = command
+      .replace(/['"\\]/g, '')
+      .split(WORD_SEPARATOR)
+      .find((word) => SandboxPolicy.mentionsInternalDir(word));
+    if (internalWord) {
+      return {
+        reason: `Bash denied by sandbox: ${internalWord} can name data reserved for Open Builder`
+      };
+    }
+
+    for (const piece of command.split(COMMAND_SEPARATOR)) {
+      let part = piece;
+      while (COMMAND_PREFIX.test(part)) {
+        part = part.replace(COMMAND_PREFIX, '');
+      }
+      const match = part.match(DIRECTORY_COMMAND);
+      if (!match) continue;
+
+      const target = SandboxPolicy.unquote(match[2] || '');
+      if (
+        !target ||
+        target === '~' ||
+        target.startsWith('~/') ||
+        target === '-'
+      ) {
+        return {
+          reason: `Bash denied by sandbox: \`${part.trim()}\` leaves the session workspace`
+        };
+      }
+      // Options like `cd -P /`, variables, globs and leftover quotes or escapes
+      if (target.startsWith('-') || /[$`*?'"\\[\]{}]/.test(target)) {
+        return {
+          reason: `Bash denied by sandbox: the target of \`${part.trim()}\` cannot be checked, use a plain path inside the workspace`
+        };
+      }
+      if (!(await SandboxPolicy.isInside(root, target))) {
+        return {
+          reason: `Bash denied by sandbox: ${target} is outside the session workspace`
+        };
+      }
+    }
+    return null;
+  }
+
+  static async isInside(root, target) {
+    const resolved = await SandboxPolicy.resolveRealPath(
+      path.resolve(root, target)
+    );
+    const relativePath = path.relative(root, resolved);
+    return (
+      relativePath === '' ||
+      (!relativePath.startsWith('..') && !path.isAbsolute(relativePath))
+    );
+  }
+
+  static async isInternal(root, target) {
+    const resolved = await SandboxPolicy.resolveRealPath(
+      path.resolve(root, target)
+    );
+    return INTERNAL_DIRS.includes(
+      path.relative(root, resolved).split(path.sep)[0]
+    );
+  }
+
+  /**
+   * Whether a path or glob has a segment that is, or could match, an internal directory. Shell
+   * globs only match dotfiles when the segment starts with a dot, like `.*` or `.o?en-builder`.
+   */
+  static mentionsInternalDir(value) {
+    return value.split('/').some((segment) => {
+      const wildcard = segment.search(/[*?[{$]/);
+      if (wildcard === -1) {
+        return INTERNAL_DIRS.includes(segment);
+      }
+      const prefix = segment.substring(0, wildcard);
+      return (
+        prefix.startsWith('.') &&
+        INTERNAL_DIRS.some((dir) => dir.startsWith(prefix))
+      );
+    });
+  }
+
+  /**
+   * Resolve symlinks in the longest existing part of a path. Parts that do not exist yet,
+   * like a file about to be written, are appended to the resolved parent.
+   */
+  static async resolveRealPath(target) {
+    let existing = path.resolve(target);
+    const missing = [];
+
+    while (true) {
+      try {
+        const realPath = await fs.realpath(existing);
+        return path.join(realPath, ...missing);
+      } catch (error) {
+        const parent = path.dirname(existing);
+        if (parent === existing) {
+          return path.join(existing, ...missing);
+        }
+        missing.unshift(path.basename(existing));
+        existing = parent;
+      }
+    }
+  }
+
+  /**
+   * The directory a glob searches: the part before the first wildcard. Null when the pattern
+   * goes up with `..` after a wildcard, since `**\/..` can end up anywhere above it.
+   */
+  static getGlobBase(pattern) {
+    const segments = pattern.split('/');
+    const wildcard = segments.findIndex((segment) => /[*?[{]/.test(segment));
+    if (wildcard === -1) {
+      return pattern || '/';
+    }
+    if (segments.slice(wildcard).includes('..')) {
+      return null;
+    }
+    return segments.slice(0, wildcard).join('/') || '/';
+  }
+
+  static unquote(value) {
+    const trimmed = value.trim();
+    const quoted = trimmed.match(/^(['"])(.*)\1$/);
+    return quoted ? quoted[2] : trimmed;
+  }
+
+  /**
+   * The agent likes scratch files in /tmp, which is outside the sandbox. Map them into the
+   * session workspace instead so they are kept and can be checked like any other path.
+   */
+  static redirectTmpPaths(tool, input, workspaceDir) {
+    if (
+      !workspaceDir ||
+      !input ||
+      typeof input !== 'object' ||
+      !PATH_TOOLS[tool]
+    ) {
+      return null;
+    }
+
+    let redirected = null;
+    for (const field of PATH_TOOLS[tool]) {
+      const value = input[field];
+      // Workspaces may live under /tmp themselves, their paths are left alone
+      const relativePath =
+        typeof value === 'string' ? path.relative(workspaceDir, value) : '';
+      const insideWorkspace =
+        !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+      if (
+        typeof value === 'string' &&
+        !insideWorkspace &&
+        TMP_PREFIX.test(value) &&
+        value.replace(TMP_PREFIX, '')
+      ) {
+        redirected = redirected || { ...input };
+        redirected[field] = path.join(
+          workspaceDir,
+          value.replace(TMP_PREFIX, '')
+        );
+      }
+    }
+    return redirected;
+  }
+}
+
+SandboxPolicy.INTERNAL_DIRS = INTERNAL_DIRS;
+
+module.exports = SandboxPolicy;
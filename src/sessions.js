@@ -0,0 +1,210 @@
+/**
+ * Session Registry Module
+ * Persists Claude session to workspace mappings and session metadata on disk
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const REGISTRY_DIR = '.open-builder';
+const REGISTRY_FILE = 'sessions.json';
+
+class SessionRegistry {
+  constructor() {
+    this.sessions = new Map();
+    this.baseWorkspaceDir = null;
+    this.registryFile = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load(baseWorkspaceDir) {
+    this.baseWorkspaceDir = baseWorkspaceDir;
+    this.registryFile = path.join(
+      baseWorkspaceDir,
+      REGISTRY_DIR,
+      REGISTRY_FILE
+    );
+    this.sessions.clear();
+
+    await fs.ensureDir(path.dirname(this.registryFile));
+
+    if (!(await fs.pathExists(this.registryFile))) {
+      return 0;
+    }
+
+    try {
+      const data = await fs.readJson(this.registryFile);
+      for (const session of data.sessions || []) {
+        if (session && session.sessionId && session.workspace) {
+          this.sessions.set(session.sessionId, session);
+        }
+      }
+      console.log(
+        `Loaded ${this.sessions.size} sessions from ${this.registryFile}`
+      );
+    } catch (error) {
+      // Keep the unreadable file around for inspection instead of overwriting it on the next save
+      const backupFile = `${this.registryFile}.corrupt-${Date.now()}`;
+      console.error(
+        `Failed to read session registry ${this.registryFile}, moving it to ${backupFile}:`,
+        error
+      );
+      await fs.move(this.registryFile, backupFile, { overwrite: true });
+    }
+
+    return this.sessions.size;
+  }
+
+  has(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  getAll() {
+    return Array.from(this.sessions.values());
+  }
+
+  size() {
+    return this.sessions.size;
+  }
+
+  resolveWorkspaceDir(session) {
+    return path.resolve(this.baseWorkspaceDir, session.workspace);
+  }
+
+  register(sessionId, workspaceDir, prompt, ownership = {}) {
+    const now = new Date().toISOString();
+    const existing = this.sessions.get(sessionId);
+    const session = {
+      ...existing,
+      sessionId,
+      workspace: path.relative(this.baseWorkspaceDir, workspaceDir),
+      ownerId: existing ? existing.ownerId || null : ownership.ownerId || null,
+      members: existing ? existing.members || [] : ownership.members || [],
+      createdAt: existing ? existing.createdAt : now,
+      lastUsedAt: now,
+      prompt: existing ? existing.prompt : prompt || null
+    };
+
+    this.sessions.set(sessionId, session);
+    this.save();
+    return session;
+  }
+
+  update(sessionId, changes) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const updated = { ...session, ...changes, sessionId };
+    this.sessions.set(sessionId, updated);
+    this.save();
+    return updated;
+  }
+
+  touch(sessionId) {
+    return this.update(sessionId, { lastUsedAt: new Date().toISOString() });
+  }
+
+  updateSettings(sessionId, changes) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const settings = { ...session.settings };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete settings[key];
+      } else {
+        settings[key] = value;
+      }
+    }
+
+    this.update(sessionId, { settings });
+    return settings;
+  }
+
+  recordUsage(sessionId, turnUsage) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const usage = session.usage || SessionRegistry.createEmptyUsage();
+    const updatedUsage = {
+      queries: usage.queries + 1,
+      numTurns: usage.numTurns + turnUsage.numTurns,
+      costUsd: usage.costUsd + turnUsage.costUsd,
+      durationMs: usage.durationMs + turnUsage.durationMs,
+      inputTokens: usage.inputTokens + turnUsage.inputTokens,
+      outputTokens: usage.outputTokens + turnUsage.outputTokens,
+      cacheCreationInputTokens:
+        usage.cacheCreationInputTokens + turnUsage.cacheCreationInputTokens,
+      cacheReadInputTokens:
+        usage.cacheReadInputTokens + turnUsage.cacheReadInputTokens,
+      lastQueryAt: new Date().toISOString()
+    };
+
+    this.update(sessionId, { usage: updatedUsage });
+    return updatedUsage;
+  }
+
+  static createEmptyUsage() {
+    return {
+      queries: 0,
+      numTurns: 0,
+      costUsd: 0,
+      durationMs: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreationInputTokens: 0,
+      cacheReadInputTokens: 0,
+      lastQueryAt: null
+    };
+  }
+
+  remove(sessionId) {
+    const removed = this.sessions.delete(sessionId);
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  save() {
+    if (!this.registryFile) {
+      return this.writeQueue;
+    }
+
+    const data = {
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      sessions: this.getAll()
+    };
+
+    // Serialize writes and replace the file atomically so a crash never leaves half a registry behind
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const tmpFile = `${this.registryFile}.tmp`;
+        await fs.writeJson(tmpFile, data, { spaces: 2 });
+        await fs.move(tmpFile, this.registryFile, { overwrite: true });
+      })
+      .catch((error) => {
+        console.error(
+          `Failed to write session registry ${this.registryFile}:`,
+          error
+        );
+      });
+
+    return this.writeQueue;
+  }
+}
+
+SessionRegistry.REGISTRY_DIR = REGISTRY_DIR;
+
+module.exports = SessionRegistry;
@@ -0,0 +1,99 @@
+/**
+ * Template Module
+ * Starter projects for new sessions. A template is a directory under the templates path with a
+ * template.json manifest ({ name, description, systemPrompt }) next to the files it starts with
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const MANIFEST_FILE = 'template.json';
+// Template IDs are directory names, never paths
+const TEMPLATE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+class TemplateLibrary {
+  constructor() {
+    this.templatesDir = null;
+  }
+
+  initialize(templatesDir) {
+    this.templatesDir = path.resolve(templatesDir);
+    console.log(`📐 Project templates are read from ${this.templatesDir}`);
+  }
+
+  // Templates are read on every call, so they can be added or edited without a restart
+  async list() {
+    if (!this.templatesDir || !(await fs.pathExists(this.templatesDir))) {
+      return [];
+    }
+
+    const entries = await fs.readdir(this.templatesDir, {
+      withFileTypes: true
+    });
+    const templates = await Promise.all(
+      entries
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => this.get(entry.name))
+    );
+    return templates
+      .filter(Boolean)
+      .map(({ id, name, description }) => ({ id, name, description }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * A template with its manifest as { id, name, description, systemPrompt, dir }, or null when
+   * there is no such template or its manifest is unusable.
+   */
+  async get(templateId) {
+    if (
+      !this.templatesDir ||
+      typeof templateId !== 'string' ||
+      !TEMPLATE_ID_PATTERN.test(templateId)
+    ) {
+      return null;
+    }
+
+    const dir = path.join(this.templatesDir, templateId);
+    const manifestFile = path.join(dir, MANIFEST_FILE);
+    if (!(await fs.pathExists(manifestFile))) {
+      return null;
+    }
+
+    try {
+      const manifest = await fs.readJson(manifestFile);
+      return {
+        id: templateId,
+        name:
+          typeof manifest.name === 'string' && manifest.name.trim()
+            ? manifest.name.trim()
+            : templateId,
+        description:
+          typeof manifest.description === 'string' ? manifest.description : '',
+        systemPrompt:
+          typeof manifest.systemPrompt === 'string'
+            ? manifest.systemPrompt.trim()
+            : '',
+        dir
+      };
+    } catch (error) {
+      console.warn(
+        `⚠️ Ignoring template ${templateId}, its ${MANIFEST_FILE} can't be read: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  // Copy the files of a template, without its manifest, into a session workspace
+  static async copyInto(template, workspaceDir) {
+    const manifestFile = path.join(template.dir, MANIFEST_FILE);
+    await fs.copy(template.dir, workspaceDir, {
+      overwrite: true,
+      filter: (src) => src !== manifestFile
+    });
+  }
+}
+
+TemplateLibrary.MANIFEST_FILE = MANIFEST_FILE;
+
+module.exports = TemplateLibrary;
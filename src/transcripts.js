@@ -0,0 +1,84 @@
+/**
+ * Transcript Storage Module
+ * Stores the full message stream of each session as JSONL inside the session workspace
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const TRANSCRIPT_DIR = '.open-builder';
+const TRANSCRIPT_FILE = 'transcript.jsonl';
+
+class TranscriptStore {
+  constructor() {
+    this.writeQueues = new Map();
+  }
+
+  getTranscriptFile(workspaceDir) {
+    return path.join(workspaceDir, TRANSCRIPT_DIR, TRANSCRIPT_FILE);
+  }
+
+  appendPrompt(workspaceDir, prompt) {
+    return this.append(workspaceDir, { kind: 'prompt', prompt });
+  }
+
+  appendMessage(workspaceDir, message) {
+    return this.append(workspaceDir, { kind: 'sdk', message });
+  }
+
+  append(workspaceDir, entry) {
+    const transcriptFile = this.getTranscriptFile(workspaceDir);
+    const line =
+      JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+
+    // Appends to the same file are chained so lines never interleave
+    const previous = this.writeQueues.get(transcriptFile) || Promise.resolve();
+    const next = previous
+      .then(async () => {
+        await fs.ensureDir(path.dirname(transcriptFile));
+        await fs.appendFile(transcriptFile, line);
+      })
+      .catch((error) => {
+        console.error(
+          `Failed to append to transcript ${transcriptFile}:`,
+          error
+        );
+      });
+
+    this.writeQueues.set(transcriptFile, next);
+    next.then(() => {
+      if (this.writeQueues.get(transcriptFile) === next) {
+        this.writeQueues.delete(transcriptFile);
+      }
+    });
+
+    return next;
+  }
+
+  async read(workspaceDir) {
+    const transcriptFile = this.getTranscriptFile(workspaceDir);
+    await this.writeQueues.get(transcriptFile);
+
+    if (!(await fs.pathExists(transcriptFile))) {
+      return [];
+    }
+
+    const content = await fs.readFile(transcriptFile, 'utf8');
+    const entries = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(
+          `Skipping unreadable transcript line in ${transcriptFile}`
+        );
+      }
+    }
+
+    return entries;
+  }
+}
+
+module.exports = TranscriptStore;
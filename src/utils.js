@@ -27,6 +27,46 @@ class EnvironmentManager {
   }
 }
 
+const MAX_TOOL_OUTPUT_LENGTH = 10000;
+const DEFAULT_PERMISSION_TIMEOUT_SECONDS = 60;
+const PERMISSION_TIMEOUT_DECISIONS = ['deny', 'allow-read-only', 'wait'];
+// Extra time the permission MCP server waits for the web app to answer after the decision is due
+const PERMISSION_TIMEOUT_GRACE_MS = 5000;
+const DEFAULT_MODELS = ['sonnet', 'opus', 'haiku'];
+const MODEL_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+// Both keep every tool use going through the permission prompt, which enforces the sandbox,
+// the disk quota and the audit log; acceptEdits and bypassPermissions would skip it
+const PERMISSION_MODES = ['default', 'plan'];
+const MAX_THINKING_TOKENS = { min: 1024, max: 64000 };
+const MAX_TURNS = { min: 1, max: 1000 };
+// Tools the settings panel offers to switch off, other tool names can still be disabled through the API
+const AGENT_TOOLS = [
+  'Bash',
+  'Edit',
+  'Glob',
+  'Grep',
+  'MultiEdit',
+  'NotebookEdit',
+  'Read',
+  'Task',
+  'TodoWrite',
+  'WebFetch',
+  'WebSearch',
+  'Write',
+  'mcp__deploy'
+];
+// Tools a session can let run without a permission request. They don't touch workspace files,
+// so skipping the request skips no sandbox or disk quota check, only the audit log entry
+const AUTO_ALLOWABLE_TOOLS = [
+  'TodoWrite',
+  'WebFetch',
+  'WebSearch',
+  'mcp__deploy'
+];
+const DEFAULT_ALLOWED_TOOLS = ['mcp__deploy'];
+const TOOL_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+const MAX_DISALLOWED_TOOLS = 100;
+
 class MessageProcessor {
   static processClaudeMessage(message, isDebugMode = false, messageCount = 0) {
     let content = '';
@@ -34,7 +74,10 @@ class MessageProcessor {
 
     if (typeof message === 'string') {
       if (isDebugMode) {
-        console.log('📝 Processing string message:', message.substring(0, 100) + '...');
+        console.log(
+          '📝 Processing string message:',
+          message.substring(0, 100) + '...'
+        );
       }
       content = message;
       shouldSend = true;
@@ -43,20 +86,27 @@ class MessageProcessor {
         if (isDebugMode) {
           console.log('🤖 Assistant message detected:', {
             hasContent: !!message.message.content,
-            contentType: Array.isArray(message.message.content) ? 'array' : typeof message.message.content,
+            contentType: Array.isArray(message.message.content)
+              ? 'array'
+              : typeof message.message.content,
             contentLength: message.message.content?.length
           });
         }
-        
+
         if (message.message.content && Array.isArray(message.message.content)) {
-          const textItems = message.message.content.filter(item => item.type === 'text');
-          if (isDebugMode) console.log('🔤 Text items found:', textItems.length);
-          content = textItems.map(item => item.text).join('\n');
+          const textItems = message.message.content.filter(
+            (item) => item.type === 'text'
+          );
+          if (isDebugMode)
+            console.log('🔤 Text items found:', textItems.length);
+          content = textItems.map((item) => item.text).join('\n');
           shouldSend = content.length > 0;
-          if (isDebugMode) console.log('📄 Extracted content length:', content.length);
+          if (isDebugMode)
+            console.log('📄 Extracted content length:', content.length);
         }
       } else if (message.type === 'result' && message.result) {
-        if (isDebugMode) console.log('🏁 Result message detected, skipping (redundant)');
+        if (isDebugMode)
+          console.log('🏁 Result message detected, skipping (redundant)');
         content = '';
         shouldSend = false;
       } else if (message.content) {
@@ -86,7 +136,89 @@ class MessageProcessor {
     };
   }
 
-  static handleSessionInit(message, sessionId, workspaceManager, sessionWorkspaceDir, isDebugMode = false) {
+  static extractToolEvents(message) {
+    const events = [];
+    if (
+      !message ||
+      typeof message !== 'object' ||
+      !message.message ||
+      !Array.isArray(message.message.content)
+    ) {
+      return events;
+    }
+
+    for (const item of message.message.content) {
+      if (message.type === 'assistant' && item.type === 'tool_use') {
+        events.push({
+          type: 'tool_use',
+          toolUseId: item.id,
+          name: item.name,
+          input: item.input || {}
+        });
+      } else if (message.type === 'user' && item.type === 'tool_result') {
+        const output = MessageProcessor.formatToolResultContent(item.content);
+        events.push({
+          type: 'tool_result',
+          toolUseId: item.tool_use_id,
+          output:
+            output.length > MAX_TOOL_OUTPUT_LENGTH
+              ? output.substring(0, MAX_TOOL_OUTPUT_LENGTH)
+              : output,
+          truncated: output.length > MAX_TOOL_OUTPUT_LENGTH,
+          isError: !!item.is_error
+        });
+      }
+    }
+
+    return events;
+  }
+
+  static formatToolResultContent(content) {
+    if (typeof content === 'string') {
+      return content;
+    }
+    if (Array.isArray(content)) {
+      return content
+        .map((block) => {
+          if (block.type === 'text') return block.text;
+          if (block.type === 'image') return '[image]';
+          return JSON.stringify(block);
+        })
+        .join('\n');
+    }
+    return content === undefined || content === null
+      ? ''
+      : JSON.stringify(content);
+  }
+
+  static extractUsage(message) {
+    if (!message || typeof message !== 'object' || message.type !== 'result') {
+      return null;
+    }
+
+    const usage = message.usage || {};
+    return {
+      subtype: message.subtype,
+      isError: !!message.is_error,
+      costUsd: message.total_cost_usd || 0,
+      durationMs: message.duration_ms || 0,
+      durationApiMs: message.duration_api_ms || 0,
+      numTurns: message.num_turns || 0,
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+      cacheReadInputTokens: usage.cache_read_input_tokens || 0
+    };
+  }
+
+  static handleSessionInit(
+    message,
+    sessionId,
+    workspaceManager,
+    sessionWorkspaceDir,
+    prompt,
+    isDebugMode = false
+  ) {
     if (
       message &&
       typeof message === 'object' &&
@@ -98,15 +230,35 @@ class MessageProcessor {
       let finalSessionId = claudeSessionId;
 
       if (!sessionId) {
-        workspaceManager.sessionWorkspaces.set(claudeSessionId, sessionWorkspaceDir);
+        workspaceManager.registerSession(
+          claudeSessionId,
+          sessionWorkspaceDir,
+          prompt
+        );
         finalSessionId = claudeSessionId;
         if (isDebugMode) {
-          console.log('🆔 New Claude SDK session initialized with ID:', claudeSessionId, 'workspace:', sessionWorkspaceDir);
+          console.log(
+            '🆔 New Claude SDK session initialized with ID:',
+            claudeSessionId,
+            'workspace:',
+            sessionWorkspaceDir
+          );
         }
       } else {
         finalSessionId = claudeSessionId;
+        if (claudeSessionId !== sessionId) {
+          // The SDK handed out a new ID for the resumed conversation, keep it pointing at the same workspace
+          workspaceManager.registerSession(
+            claudeSessionId,
+            sessionWorkspaceDir,
+            prompt
+          );
+        }
         if (isDebugMode) {
-          console.log('🔄 Claude SDK session resumed with ID:', claudeSessionId);
+          console.log(
+            '🔄 Claude SDK session resumed with ID:',
+            claudeSessionId
+          );
         }
       }
 
@@ -125,22 +277,59 @@ class MessageProcessor {
       hasMessage: !!message?.message,
       hasResult: !!message?.result,
       keys: message && typeof message === 'object' ? Object.keys(message) : [],
-      preview: typeof message === 'string'
-        ? message.substring(0, 100) + '...'
-        : JSON.stringify(message).substring(0, 200) + '...'
+      preview:
+        typeof message === 'string'
+          ? message.substring(0, 100) + '...'
+          : JSON.stringify(message).substring(0, 200) + '...'
     });
   }
 }
 
 class ConfigUtils {
-  static createQueryOptions(sessionWorkspaceDir, mcpServers, sessionId, isDebugMode = false) {
+  static createQueryOptions(
+    sessionWorkspaceDir,
+    mcpServers,
+    sessionId,
+    isDebugMode = false,
+    sessionSettings = {},
+    forkSession = false
+  ) {
     const options = {
-      mcpServers,
+      mcpServers: ConfigUtils.createSessionMcpServers(
+        mcpServers,
+        sessionWorkspaceDir,
+        ConfigUtils.getPermissionTimeoutConfig(sessionSettings)
+      ),
       permissionPromptToolName: 'mcp__permission-prompt__permission_prompt',
-      permissionMode: 'default',
-      allowedTools: ['mcp__permission-prompt', 'mcp__deploy']
+      permissionMode: sessionSettings.permissionMode || 'default'
     };
-    
+
+    const {
+      model,
+      maxThinkingTokens,
+      maxTurns,
+      allowedTools,
+      disallowedTools
+    } = ConfigUtils.getAgentSettings(sessionSettings);
+    // The permission prompt itself always runs without asking
+    options.allowedTools = ['mcp__permission-prompt', ...allowedTools];
+    if (model) {
+      options.model = model;
+    }
+    if (maxThinkingTokens !== null) {
+      options.maxThinkingTokens = maxThinkingTokens;
+    }
+    if (maxTurns !== null) {
+      options.maxTurns = maxTurns;
+    }
+    if (disallowedTools.length > 0) {
+      options.disallowedTools = disallowedTools;
+      // A disabled tool is not pre-approved either
+      options.allowedTools = options.allowedTools.filter(
+        (tool) => !disallowedTools.includes(tool)
+      );
+    }
+
     // Set working directory to session workspace but don't change process cwd
     if (sessionWorkspaceDir) {
       options.cwd = sessionWorkspaceDir;
@@ -149,22 +338,277 @@ class ConfigUtils {
 
     if (sessionId) {
       options.resume = sessionId;
+      // A fork continues from the history of the conversation under a new session ID
+      if (forkSession) {
+        options.forkSession = true;
+      }
       if (isDebugMode) {
-        console.log('🔄 Resuming Claude SDK session with ID:', sessionId);
+        console.log(
+          forkSession
+            ? '🍴 Forking Claude SDK session with ID:'
+            : '🔄 Resuming Claude SDK session with ID:',
+          sessionId
+        );
       }
     } else {
       if (isDebugMode) {
-        console.log('🆕 Starting new Claude SDK session with workspace:', sessionWorkspaceDir);
+        console.log(
+          '🆕 Starting new Claude SDK session with workspace:',
+          sessionWorkspaceDir
+        );
       }
     }
 
     return options;
   }
 
+  // The permission server runs once per query, so it can tell the web app which session workspace is asking
+  static createSessionMcpServers(
+    mcpServers,
+    sessionWorkspaceDir,
+    permissionTimeout
+  ) {
+    if (!sessionWorkspaceDir || !mcpServers['permission-prompt']) {
+      return mcpServers;
+    }
+
+    const permissionServer = mcpServers['permission-prompt'];
+    const { timeoutSeconds, timeoutDecision } =
+      permissionTimeout || ConfigUtils.getPermissionTimeoutConfig();
+    return {
+      ...mcpServers,
+      'permission-prompt': {
+        ...permissionServer,
+        env: {
+          ...permissionServer.env,
+          OPEN_BUILDER_WORKSPACE_DIR: sessionWorkspaceDir,
+          // Sent back with every request, so both sides use the timeout the query started with
+          OPEN_BUILDER_PERMISSION_TIMEOUT_SECONDS: String(timeoutSeconds),
+          OPEN_BUILDER_PERMISSION_TIMEOUT_DECISION: timeoutDecision,
+          // 0 disables the request timeout while the web app keeps waiting for the user
+          PERMISSION_TIMEOUT_MS: String(
+            timeoutDecision === 'wait'
+              ? 0
+              : timeoutSeconds * 1000 + PERMISSION_TIMEOUT_GRACE_MS
+          )
+        }
+      }
+    };
+  }
+
+  static getPermissionTimeoutConfig(sessionSettings = {}) {
+    const envDecision = process.env.PERMISSION_TIMEOUT_DECISION;
+    return {
+      timeoutSeconds:
+        sessionSettings.permissionTimeoutSeconds ||
+        ConfigUtils.parseLimit(process.env.PERMISSION_TIMEOUT_SECONDS, true) ||
+        DEFAULT_PERMISSION_TIMEOUT_SECONDS,
+      timeoutDecision:
+        sessionSettings.permissionTimeoutDecision ||
+        (PERMISSION_TIMEOUT_DECISIONS.includes(envDecision)
+          ? envDecision
+          : 'deny')
+    };
+  }
+
+  /**
+   * The agent settings a session runs with. The session's max turns can only lower
+   * MAX_TURNS_PER_QUERY, never raise it.
+   */
+  static getAgentSettings(sessionSettings = {}) {
+    const { maxTurnsPerQuery } = ConfigUtils.getBudgetLimits();
+    const maxTurns = sessionSettings.maxTurns || null;
+    return {
+      model: sessionSettings.model || null,
+      maxThinkingTokens: sessionSettings.maxThinkingTokens || null,
+      maxTurns:
+        maxTurns !== null && maxTurnsPerQuery !== null
+          ? Math.min(maxTurns, maxTurnsPerQuery)
+          : maxTurns || maxTurnsPerQuery,
+      permissionMode: sessionSettings.permissionMode || 'default',
+      allowedTools: sessionSettings.allowedTools || DEFAULT_ALLOWED_TOOLS,
+      disallowedTools: sessionSettings.disallowedTools || []
+    };
+  }
+
+  static getEffectiveSettings(sessionSettings = {}) {
+    return {
+      ...ConfigUtils.getPermissionTimeoutConfig(sessionSettings),
+      ...ConfigUtils.getAgentSettings(sessionSettings)
+    };
+  }
+
+  // The choices the settings panel offers
+  static getSettingsOptions() {
+    return {
+      models: ConfigUtils.getAvailableModels(),
+      permissionModes: PERMISSION_MODES,
+      permissionTimeoutDecisions: PERMISSION_TIMEOUT_DECISIONS,
+      tools: AGENT_TOOLS,
+      allowedTools: AUTO_ALLOWABLE_TOOLS,
+      maxThinkingTokens: MAX_THINKING_TOKENS,
+      maxTurns: {
+        min: MAX_TURNS.min,
+        max: ConfigUtils.getBudgetLimits().maxTurnsPerQuery || MAX_TURNS.max
+      }
+    };
+  }
+
+  static getAvailableModels() {
+    const models = (process.env.AVAILABLE_MODELS || '')
+      .split(',')
+      .map((model) => model.trim())
+      .filter((model) => MODEL_PATTERN.test(model));
+    return models.length > 0 ? models : DEFAULT_MODELS;
+  }
+
+  /**
+   * Validate a partial settings update for a session. A null value resets the
+   * setting to the instance default.
+   */
+  static normalizeSessionSettings(changes) {
+    const settings = {};
+
+    if ('permissionTimeoutSeconds' in changes) {
+      const value = changes.permissionTimeoutSeconds;
+      if (
+        value !== null &&
+        (!Number.isInteger(value) || value < 5 || value > 3600)
+      ) {
+        throw new Error(
+          'permissionTimeoutSeconds must be an integer between 5 and 3600'
+        );
+      }
+      settings.permissionTimeoutSeconds = value;
+    }
+
+    if ('permissionTimeoutDecision' in changes) {
+      const value = changes.permissionTimeoutDecision;
+      if (value !== null && !PERMISSION_TIMEOUT_DECISIONS.includes(value)) {
+        throw new Error(
+          `permissionTimeoutDecision must be one of: ${PERMISSION_TIMEOUT_DECISIONS.join(', ')}`
+        );
+      }
+      settings.permissionTimeoutDecision = value;
+    }
+
+    if ('model' in changes) {
+      const value = changes.model;
+      const models = ConfigUtils.getAvailableModels();
+      if (value !== null && !models.includes(value)) {
+        throw new Error(`model must be one of: ${models.join(', ')}`);
+      }
+      settings.model = value;
+    }
+
+    if ('maxThinkingTokens' in changes) {
+      const value = changes.maxThinkingTokens;
+      const { min, max } = MAX_THINKING_TOKENS;
+      if (
+        value !== null &&
+        (!Number.isInteger(value) || value < min || value > max)
+      ) {
+        throw new Error(
+          `maxThinkingTokens must be an integer between ${min} and ${max}`
+        );
+      }
+      settings.maxThinkingTokens = value;
+    }
+
+    if ('maxTurns' in changes) {
+      const value = changes.maxTurns;
+      const { min, max } = MAX_TURNS;
+      if (
+        value !== null &&
+        (!Number.isInteger(value) || value < min || value > max)
+      ) {
+        throw new Error(
+          `maxTurns must be an integer between ${min} and ${max}`
+        );
+      }
+      settings.maxTurns = value;
+    }
+
+    if ('permissionMode' in changes) {
+      const value = changes.permissionMode;
+      if (value !== null && !PERMISSION_MODES.includes(value)) {
+        throw new Error(
+          `permissionMode must be one of: ${PERMISSION_MODES.join(', ')}`
+        );
+      }
+      settings.permissionMode = value;
+    }
+
+    if ('allowedTools' in changes) {
+      const value = changes.allowedTools;
+      if (
+        value !== null &&
+        (!Array.isArray(value) ||
+          value.some((tool) => !AUTO_ALLOWABLE_TOOLS.includes(tool)))
+      ) {
+        throw new Error(
+          `allowedTools must be a list of: ${AUTO_ALLOWABLE_TOOLS.join(', ')}`
+        );
+      }
+      // Unlike disallowedTools an empty list is a choice, it allows none of the default tools
+      settings.allowedTools = value ? [...new Set(value)] : null;
+    }
+
+    if ('disallowedTools' in changes) {
+      const value = changes.disallowedTools;
+      if (
+        value !== null &&
+        (!Array.isArray(value) ||
+          value.length > MAX_DISALLOWED_TOOLS ||
+          value.some(
+            (tool) => typeof tool !== 'string' || !TOOL_NAME_PATTERN.test(tool)
+          ))
+      ) {
+        throw new Error(
+          `disallowedTools must be a list of at most ${MAX_DISALLOWED_TOOLS} tool names`
+        );
+      }
+      if (
+        value &&
+        value.some((tool) => tool.startsWith('mcp__permission-prompt'))
+      ) {
+        throw new Error('The permission prompt tool can not be disallowed');
+      }
+      // An empty list is the default, so it is stored as no setting
+      settings.disallowedTools =
+        value && value.length > 0 ? [...new Set(value)] : null;
+    }
+
+    return settings;
+  }
+
+  static getBudgetLimits() {
+    return {
+      maxTurnsPerQuery: ConfigUtils.parseLimit(
+        process.env.MAX_TURNS_PER_QUERY,
+        true
+      ),
+      maxSessionCostUsd: ConfigUtils.parseLimit(
+        process.env.MAX_SESSION_COST_USD
+      ),
+      maxDailyCostUsd: ConfigUtils.parseLimit(process.env.MAX_DAILY_COST_USD)
+    };
+  }
+
+  static parseLimit(value, integer = false) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const limit = integer ? parseInt(value, 10) : parseFloat(value);
+    return Number.isFinite(limit) && limit > 0 ? limit : null;
+  }
+
   static checkApiKey() {
-    return process.env.ANTHROPIC_API_KEY &&
-           process.env.ANTHROPIC_API_KEY !== 'your_api_key_here' &&
-           process.env.ANTHROPIC_API_KEY.startsWith('sk-ant-');
+    return (
+      process.env.ANTHROPIC_API_KEY &&
+      process.env.ANTHROPIC_API_KEY !== 'your_api_key_here' &&
+      process.env.ANTHROPIC_API_KEY.startsWith('sk-ant-')
+    );
   }
 
   static isDebugMode() {
@@ -176,4 +620,4 @@ module.exports = {
   EnvironmentManager,
   MessageProcessor,
   ConfigUtils
-};
\ No newline at end of file
+};
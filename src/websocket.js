@@ -6,79 +6,219 @@
 const WebSocket = require('ws');
 
 class WebSocketManager {
-  constructor(server, permissionManager) {
+  constructor(
+    server,
+    permissionManager,
+    authManager,
+    workspaceManager,
+    allowedOrigins = []
+  ) {
     this.permissionManager = permissionManager;
-    this.wss = new WebSocket.Server({ server, path: '/api/permissions/ws' });
+    this.authManager = authManager;
+    this.workspaceManager = workspaceManager;
+    this.allowedOrigins = allowedOrigins;
+    this.wss = new WebSocket.Server({
+      server,
+      path: '/api/permissions/ws',
+      verifyClient: (info, callback) => this.verifyClient(info, callback)
+    });
     this.setupWebSocketServer();
   }
 
+  // Upgrades need the same login as the HTTP API, and browsers may only connect from our own origin
+  verifyClient({ origin, req }, callback) {
+    if (origin && !this.isAllowedOrigin(origin, req.headers.host)) {
+      console.log(`🚫 WebSocket connection refused from origin ${origin}`);
+      return callback(false, 403, 'Origin not allowed');
+    }
+
+    req.user = this.authManager.authenticate(req);
+    if (!req.user) {
+      return callback(false, 401, 'Authentication required');
+    }
+    callback(true);
+  }
+
+  isAllowedOrigin(origin, host) {
+    if (this.allowedOrigins.includes(origin)) {
+      return true;
+    }
+    try {
+      return new URL(origin).host === host;
+    } catch (error) {
+      return false;
+    }
+  }
+
   setupWebSocketServer() {
     this.wss.on('connection', (ws, req) => {
       const clientId = this.permissionManager.generateClientId();
-      console.log(`🔗 WebSocket client connected: ${clientId}`);
+      console.log(
+        `🔗 WebSocket client connected: ${clientId} (${req.user.username})`
+      );
 
-      this.permissionManager.addClient(clientId, ws);
+      this.permissionManager.addClient(clientId, ws, req.user);
+
+      // Sessions can be attached right away with ?sessionId=... or later with subscribe messages
+      const { searchParams } = new URL(req.url, 'http://localhost');
+      for (const sessionId of searchParams.getAll('sessionId')) {
+        this.subscribe(clientId, req.user, sessionId);
+      }
 
       this.sendConnectionMessage(ws, clientId);
-      this.sendPendingPermissions(ws);
+      this.sendPendingPermissions(ws, clientId);
 
       const handlers = this.createEventHandlers(ws, clientId);
       this.addEventListeners(handlers);
-      this.setupWebSocketHandlers(ws, clientId, handlers);
+      this.setupWebSocketHandlers(ws, clientId, req.user, handlers);
     });
   }
 
+  // Clients can only attach to sessions their user may see
+  subscribe(clientId, user, sessionId) {
+    if (!this.workspaceManager.canAccessSession(sessionId, user)) {
+      console.log(
+        `🚫 ${user.username} may not subscribe to session ${sessionId}`
+      );
+      return false;
+    }
+    this.permissionManager.subscribeClient(clientId, sessionId);
+    return true;
+  }
+
   sendConnectionMessage(ws, clientId) {
-    ws.send(JSON.stringify({
-      type: 'connected',
-      message: 'Permission WebSocket connected',
-      clientId: clientId
-    }));
+    ws.send(
+      JSON.stringify({
+        type: 'connected',
+        message: 'Permission WebSocket connected',
+        clientId: clientId,
+        sessionIds: this.permissionManager.getClientSessions(clientId)
+      })
+    );
   }
 
-  sendPendingPermissions(ws) {
-    const pending = this.permissionManager.getPendingPermissions();
-    if (pending.length > 0) {
-      ws.send(JSON.stringify({ 
-        type: 'pending-permissions', 
-        permissions: pending 
-      }));
+  sendPendingPermissions(ws, clientId) {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
     }
+    ws.send(
+      JSON.stringify({
+        type: 'pending-permissions',
+        permissions:
+          this.permissionManager.getPendingPermissionsForClient(clientId)
+      })
+    );
   }
 
   createEventHandlers(ws, clientId) {
     const onPermissionRequest = (permission) => {
-      if (ws.readyState === WebSocket.OPEN) {
+      if (
+        ws.readyState === WebSocket.OPEN &&
+        this.permissionManager.isClientAttached(
+          clientId,
+          permission.sessionId,
+          permission.ownerId
+        )
+      ) {
         ws.send(JSON.stringify({ type: 'permission-request', permission }));
       }
     };
 
     const onPermissionResponse = (response) => {
-      if (ws.readyState === WebSocket.OPEN) {
+      if (
+        ws.readyState === WebSocket.OPEN &&
+        this.permissionManager.isClientAttached(
+          clientId,
+          response.sessionId,
+          response.ownerId
+        )
+      ) {
         ws.send(JSON.stringify({ type: 'permission-response', response }));
       }
     };
 
-    return { onPermissionRequest, onPermissionResponse };
+    const onSubscriptionsChanged = (changedClientId) => {
+      if (changedClientId === clientId) {
+        this.sendSubscriptions(ws, clientId);
+      }
+    };
+
+    return {
+      onPermissionRequest,
+      onPermissionResponse,
+      onSubscriptionsChanged
+    };
   }
 
   addEventListeners(handlers) {
-    this.permissionManager.on('permission-request', handlers.onPermissionRequest);
-    this.permissionManager.on('permission-response', handlers.onPermissionResponse);
+    this.permissionManager.on(
+      'permission-request',
+      handlers.onPermissionRequest
+    );
+    this.permissionManager.on(
+      'permission-response',
+      handlers.onPermissionResponse
+    );
+    this.permissionManager.on(
+      'subscriptions-changed',
+      handlers.onSubscriptionsChanged
+    );
   }
 
   removeEventListeners(handlers) {
-    this.permissionManager.removeListener('permission-request', handlers.onPermissionRequest);
-    this.permissionManager.removeListener('permission-response', handlers.onPermissionResponse);
+    this.permissionManager.removeListener(
+      'permission-request',
+      handlers.onPermissionRequest
+    );
+    this.permissionManager.removeListener(
+      'permission-response',
+      handlers.onPermissionResponse
+    );
+    this.permissionManager.removeListener(
+      'subscriptions-changed',
+      handlers.onSubscriptionsChanged
+    );
+  }
+
+  handleClientMessage(ws, clientId, user, data) {
+    switch (data.type) {
+      case 'subscribe':
+        this.subscribe(clientId, user, data.sessionId);
+        break;
+      case 'unsubscribe':
+        this.permissionManager.unsubscribeClient(clientId, data.sessionId);
+        break;
+      default:
+        return;
+    }
+    this.sendSubscriptions(ws, clientId);
+  }
+
+  sendSubscriptions(ws, clientId) {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    ws.send(
+      JSON.stringify({
+        type: 'subscriptions',
+        sessionIds: this.permissionManager.getClientSessions(clientId)
+      })
+    );
+    // Resend the pending list so the client drops or picks up requests of the changed session
+    this.sendPendingPermissions(ws, clientId);
   }
 
-  setupWebSocketHandlers(ws, clientId, handlers) {
+  setupWebSocketHandlers(ws, clientId, user, handlers) {
     ws.on('message', (message) => {
       try {
         const data = JSON.parse(message.toString());
         console.log(`📨 Received WebSocket message from ${clientId}:`, data);
+        this.handleClientMessage(ws, clientId, user, data);
       } catch (error) {
-        console.error(`❌ Error parsing WebSocket message from ${clientId}:`, error);
+        console.error(
+          `❌ Error parsing WebSocket message from ${clientId}:`,
+          error
+        );
       }
     });
 
@@ -95,4 +235,4 @@ class WebSocketManager {
   }
 }
 
-module.exports = WebSocketManager;
\ No newline at end of file
+module.exports = WebSocketManager;
@@ -4,12 +4,30 @@
  */
 
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
+const SessionRegistry = require('./sessions');
+const CheckpointStore = require('./checkpoints');
+const TemplateLibrary = require('./templates');
+
+// New session workspaces are grouped per owner under <base>/users/<userId>/
+const USERS_DIR = 'users';
+// Where the Claude CLI keeps its conversations, one directory per working directory
+const CLAUDE_PROJECTS_DIR = path.join(
+  process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude'),
+  'projects'
+);
+// Instructions for the agent that come with the workspace, e.g. from its template
+const INSTRUCTIONS_FILE = path.join('.open-builder', 'instructions.md');
+// The session list shows workspace sizes, walking every workspace on each request gets slow
+const SIZE_CACHE_MS = 60000;
 
 class WorkspaceManager {
   constructor() {
-    this.sessionWorkspaces = new Map();
+    this.sessionRegistry = new SessionRegistry();
+    this.checkpoints = new CheckpointStore();
     this.baseWorkspaceDir = null;
+    this.sizeCache = new Map();
   }
 
   async initializeWorkspace(workspaceDir = './usercontent') {
@@ -41,6 +59,8 @@ Created: ${new Date().toISOString()}
       console.log(`Workspace contains ${files.length} files`);
 
       this.baseWorkspaceDir = absoluteWorkspaceDir;
+      this.checkpoints.initialize(absoluteWorkspaceDir);
+      await this.sessionRegistry.load(absoluteWorkspaceDir);
       return absoluteWorkspaceDir;
     } catch (error) {
       console.error('Error initializing workspace:', error);
@@ -48,13 +68,19 @@ Created: ${new Date().toISOString()}
     }
   }
 
-  async createSessionWorkspace(baseWorkspaceDir) {
+  async createSessionWorkspace(
+    baseWorkspaceDir,
+    ownerId = null,
+    template = null
+  ) {
     try {
       const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const sessionWorkspaceDir = path.join(baseWorkspaceDir, sessionId);
-      
+      const sessionWorkspaceDir = ownerId
+        ? path.join(baseWorkspaceDir, USERS_DIR, ownerId, sessionId)
+        : path.join(baseWorkspaceDir, sessionId);
+
       await fs.ensureDir(sessionWorkspaceDir);
-      
+
       const readmeFile = path.join(sessionWorkspaceDir, 'README.md');
       const readmeContent = `# Claude Session Workspace
 
@@ -70,9 +96,31 @@ This is a session-specific workspace directory for Claude.
 - All files created by Claude will be stored here
 - The workspace persists until the session ends
 `;
-      await fs.writeFile(readmeFile, readmeContent);
-      
-      console.log(`Created session workspace: ${sessionWorkspaceDir}`);
+      if (template) {
+        await TemplateLibrary.copyInto(template, sessionWorkspaceDir);
+        if (template.systemPrompt) {
+          await this.writeInstructions(
+            sessionWorkspaceDir,
+            template.systemPrompt
+          );
+        }
+      } else {
+        await fs.writeFile(readmeFile, readmeContent);
+      }
+      await this.createCheckpoint(
+        sessionWorkspaceDir,
+        template
+          ? `Session workspace created from template ${template.name}`
+          : 'Session workspace created',
+        {
+          'Checkpoint-Kind': 'created',
+          Template: template ? template.id : null
+        }
+      );
+
+      console.log(
+        `Created session workspace: ${sessionWorkspaceDir}${template ? ` from template ${template.id}` : ''}`
+      );
       return { sessionId, workspaceDir: sessionWorkspaceDir };
     } catch (error) {
       console.error('Error creating session workspace:', error);
@@ -80,30 +128,617 @@ This is a session-specific workspace directory for Claude.
     }
   }
 
-  async getSessionWorkspace(sessionId, baseWorkspaceDir) {
-    if (sessionId && this.sessionWorkspaces.has(sessionId)) {
-      const workspaceDir = this.sessionWorkspaces.get(sessionId);
+  async getSessionWorkspace(
+    sessionId,
+    baseWorkspaceDir,
+    ownerId = null,
+    template = null
+  ) {
+    const session = sessionId ? this.sessionRegistry.get(sessionId) : null;
+
+    if (session) {
+      const workspaceDir = this.sessionRegistry.resolveWorkspaceDir(session);
+      if (!(await fs.pathExists(workspaceDir))) {
+        console.warn(
+          `Workspace for session ${sessionId} is missing, recreating: ${workspaceDir}`
+        );
+        await fs.ensureDir(workspaceDir);
+      }
+      this.sessionRegistry.touch(sessionId);
       console.log(`Using existing session workspace: ${workspaceDir}`);
       return { sessionId, workspaceDir };
     } else {
-      const { sessionId: newSessionId, workspaceDir } = await this.createSessionWorkspace(baseWorkspaceDir);
-      this.sessionWorkspaces.set(newSessionId, workspaceDir);
+      if (sessionId) {
+        console.warn(
+          `Session ${sessionId} not found in registry, creating a new workspace`
+        );
+      }
+      const { sessionId: newSessionId, workspaceDir } =
+        await this.createSessionWorkspace(baseWorkspaceDir, ownerId, template);
       console.log(`Created new session workspace: ${workspaceDir}`);
       return { sessionId: newSessionId, workspaceDir };
     }
   }
 
+  // Instructions stored in the workspace, null when it has none
+  async readInstructions(workspaceDir) {
+    const instructionsFile = path.join(workspaceDir, INSTRUCTIONS_FILE);
+    if (!(await fs.pathExists(instructionsFile))) {
+      return null;
+    }
+    const instructions = (await fs.readFile(instructionsFile, 'utf8')).trim();
+    return instructions || null;
+  }
+
+  // Empty instructions remove the file
+  async writeInstructions(workspaceDir, instructions) {
+    const instructionsFile = path.join(workspaceDir, INSTRUCTIONS_FILE);
+    if (!instructions.trim()) {
+      await fs.remove(instructionsFile);
+      return;
+    }
+    await fs.outputFile(instructionsFile, `${instructions.trim()}\n`);
+  }
+
+  async getSessionInstructions(sessionId) {
+    return (
+      (await this.readInstructions(this.getSessionWorkspaceDir(sessionId))) ||
+      ''
+    );
+  }
+
+  async setSessionInstructions(sessionId, instructions) {
+    await this.writeInstructions(
+      this.getSessionWorkspaceDir(sessionId),
+      instructions
+    );
+    return this.getSessionInstructions(sessionId);
+  }
+
+  getSessionWorkspaceDir(sessionId) {
+    const session = this.sessionRegistry.get(sessionId);
+    return session ? this.sessionRegistry.resolveWorkspaceDir(session) : null;
+  }
+
+  findSessionIdByWorkspaceDir(workspaceDir) {
+    const workspace = path.relative(
+      this.baseWorkspaceDir,
+      path.resolve(workspaceDir)
+    );
+    const matches = this.sessionRegistry
+      .getAll()
+      .filter((session) => session.workspace === workspace)
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+    return matches.length > 0 ? matches[0].sessionId : null;
+  }
+
+  registerSession(sessionId, workspaceDir, prompt) {
+    // A resumed conversation keeps the owner and members of the session it continues
+    const workspace = path.relative(
+      this.baseWorkspaceDir,
+      path.resolve(workspaceDir)
+    );
+    const previous = this.sessionRegistry
+      .getAll()
+      .filter(
+        (session) =>
+          session.workspace === workspace && session.sessionId !== sessionId
+      )
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))[0];
+    const isNew = !this.sessionRegistry.get(sessionId);
+
+    let session = this.sessionRegistry.register(
+      sessionId,
+      workspaceDir,
+      prompt,
+      {
+        ownerId: previous
+          ? previous.ownerId || null
+          : this.getWorkspaceOwner(workspaceDir),
+        members: previous ? previous.members || [] : []
+      }
+    );
+
+    // The SDK can hand out a new ID for a resumed conversation, it keeps the title, settings
+    // and cost history of the session it continues
+    if (isNew && previous) {
+      session = this.sessionRegistry.update(sessionId, {
+        title: previous.title,
+        settings: previous.settings,
+        usage: previous.usage,
+        forkedFrom: previous.forkedFrom,
+        createdAt: previous.createdAt,
+        prompt: previous.prompt || session.prompt
+      });
+    }
+
+    // A pending session is replaced by the conversation that its first turn started
+    const pending = this.sessionRegistry
+      .getAll()
+      .find(
+        (other) =>
+          other.pending &&
+          other.workspace === workspace &&
+          other.sessionId !== sessionId
+      );
+    if (!pending) {
+      return session;
+    }
+    this.sessionRegistry.remove(pending.sessionId);
+    return this.sessionRegistry.update(sessionId, {
+      title: pending.title,
+      settings: pending.settings,
+      forkedFrom: pending.forkedFrom,
+      createdAt: pending.createdAt
+    });
+  }
+
+  /**
+   * The conversation a turn continues, as { sessionId, forkSession }. Pending sessions have a
+   * workspace but no conversation of their own yet: forks of a checkpoint start a new one, forks
+   * of a session branch off the conversation of their parent.
+   */
+  getResumeOptions(sessionId) {
+    const session = sessionId ? this.sessionRegistry.get(sessionId) : null;
+    if (session && session.pending) {
+      return {
+        sessionId: session.resumeFrom || null,
+        forkSession: Boolean(session.resumeFrom)
+      };
+    }
+    return { sessionId: sessionId || null, forkSession: false };
+  }
+
+  getUserWorkspaceDir(userId) {
+    return path.join(this.baseWorkspaceDir, USERS_DIR, userId);
+  }
+
+  // The owner is part of the workspace path, workspaces from before user accounts have none
+  getWorkspaceOwner(workspaceDir) {
+    const parts = path
+      .relative(this.baseWorkspaceDir, path.resolve(workspaceDir))
+      .split(path.sep);
+    return parts.length >= 3 && parts[0] === USERS_DIR && parts[1] !== '..'
+      ? parts[1]
+      : null;
+  }
+
+  getSessionOwnerId(sessionId) {
+    const session = sessionId ? this.sessionRegistry.get(sessionId) : null;
+    return session ? session.ownerId || null : null;
+  }
+
+  /**
+   * Sessions are visible to their owner and the members they are shared with. Sessions
+   * without an owner, created before user accounts or left by a deleted user, belong to admins.
+   */
+  static canAccess(session, user) {
+    if (!session || !user) {
+      return false;
+    }
+    if (!session.ownerId) {
+      return user.role === 'admin';
+    }
+    return (
+      session.ownerId === user.id || (session.members || []).includes(user.id)
+    );
+  }
+
+  canAccessSession(sessionId, user) {
+    return WorkspaceManager.canAccess(
+      this.sessionRegistry.get(sessionId),
+      user
+    );
+  }
+
+  isSessionOwner(sessionId, user) {
+    const session = this.sessionRegistry.get(sessionId);
+    if (!session || !user) {
+      return false;
+    }
+    return session.ownerId
+      ? session.ownerId === user.id
+      : user.role === 'admin';
+  }
+
+  // Members are shared by all session IDs of a workspace, like its files
+  async setSessionMembers(sessionId, members) {
+    const session = this.sessionRegistry.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const uniqueMembers = [...new Set(members)].filter(
+      (userId) => userId !== session.ownerId
+    );
+    for (const other of this.sessionRegistry.getAll()) {
+      if (other.workspace === session.workspace) {
+        this.sessionRegistry.update(other.sessionId, {
+          members: uniqueMembers
+        });
+      }
+    }
+    return this.getSessionDetails(sessionId);
+  }
+
+  // IDs of a session and of the resumed conversations that share its workspace
+  getWorkspaceSessionIds(sessionId) {
+    const session = this.sessionRegistry.get(sessionId);
+    if (!session) {
+      return [];
+    }
+    return this.sessionRegistry
+      .getAll()
+      .filter((other) => other.workspace === session.workspace)
+      .map((other) => other.sessionId);
+  }
+
+  // Hand the sessions of a deleted user over to the admins and drop them from shared sessions
+  releaseUserSessions(userId) {
+    for (const session of this.sessionRegistry.getAll()) {
+      if (session.ownerId === userId) {
+        this.sessionRegistry.update(session.sessionId, { ownerId: null });
+      }
+      if ((session.members || []).includes(userId)) {
+        this.sessionRegistry.update(session.sessionId, {
+          members: session.members.filter((memberId) => memberId !== userId)
+        });
+      }
+    }
+  }
+
+  // Checkpoints never get in the way of the work itself, failures are only logged
+  async createCheckpoint(workspaceDir, message, trailers = {}, options = {}) {
+    try {
+      return await this.checkpoints.create(
+        workspaceDir,
+        message,
+        trailers,
+        options
+      );
+    } catch (error) {
+      console.error(`Failed to create checkpoint of ${workspaceDir}:`, error);
+      return null;
+    }
+  }
+
+  async listCheckpoints(sessionId) {
+    return this.checkpoints.list(this.getSessionWorkspaceDir(sessionId));
+  }
+
+  async diffCheckpoints(sessionId, fromId, toId) {
+    return this.checkpoints.diff(
+      this.getSessionWorkspaceDir(sessionId),
+      fromId,
+      toId
+    );
+  }
+
+  async restoreCheckpoint(sessionId, checkpointId) {
+    const session = this.sessionRegistry.get(sessionId);
+    const workspaceDir = this.getSessionWorkspaceDir(sessionId);
+    const result = await this.checkpoints.restore(workspaceDir, checkpointId);
+    this.invalidateWorkspaceSize(workspaceDir);
+
+    // The conversation still remembers the files as they were, its next turn is told about the restore
+    const restoredCheckpoint = {
+      id: result.target,
+      restoredAt: new Date().toISOString()
+    };
+    for (const other of this.sessionRegistry.getAll()) {
+      if (other.workspace === session.workspace) {
+        this.sessionRegistry.update(other.sessionId, { restoredCheckpoint });
+      }
+    }
+    console.log(
+      `⏪ Restored session ${sessionId} to checkpoint ${result.target}`
+    );
+    return result;
+  }
+
+  // Note for the prompt of the first turn after a restore, null when there was none
+  takeRestoreNote(sessionId) {
+    const session = sessionId ? this.sessionRegistry.get(sessionId) : null;
+    if (!session || !session.restoredCheckpoint) {
+      return null;
+    }
+    for (const other of this.sessionRegistry.getAll()) {
+      if (other.workspace === session.workspace && other.restoredCheckpoint) {
+        this.sessionRegistry.update(other.sessionId, {
+          restoredCheckpoint: null
+        });
+      }
+    }
+    return `Note: the user restored the workspace files to checkpoint ${session.restoredCheckpoint.id.substring(
+      0,
+      7
+    )} since your last turn, so files may differ from what you last saw. Check them again before relying on earlier changes.`;
+  }
+
+  /**
+   * Start a new session, owned by ownerId, whose workspace holds the files of a checkpoint. It
+   * stays pending until its first turn starts a fresh conversation.
+   */
+  async forkFromCheckpoint(sessionId, checkpointId, ownerId) {
+    const sourceDir = this.getSessionWorkspaceDir(sessionId);
+    const { sessionId: forkId, workspaceDir } =
+      await this.createSessionWorkspace(this.baseWorkspaceDir, ownerId);
+
+    try {
+      const target = await this.checkpoints.copyTo(
+        sourceDir,
+        checkpointId,
+        workspaceDir
+      );
+      await this.createCheckpoint(
+        workspaceDir,
+        `Forked from checkpoint ${target.substring(0, 7)}`,
+        {
+          'Checkpoint-Kind': 'fork',
+          'Forked-From': `${sessionId}@${target}`
+        }
+      );
+
+      this.sessionRegistry.register(forkId, workspaceDir, null, {
+        ownerId: ownerId || null,
+        members: []
+      });
+      const title = this.getSessionTitle(sessionId);
+      this.sessionRegistry.update(forkId, {
+        pending: true,
+        title: `${title} (fork)`,
+        forkedFrom: { sessionId, checkpointId: target }
+      });
+      console.log(
+        `🍴 Forked session ${sessionId} at checkpoint ${target} into ${workspaceDir}`
+      );
+      return this.getSessionDetails(forkId);
+    } catch (error) {
+      await fs.remove(workspaceDir);
+      await this.checkpoints.remove(workspaceDir);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a new session, owned by ownerId, with a copy of the workspace of another one. Its first
+   * turn forks the conversation of the parent, so both can go their own way from here.
+   */
+  async forkSession(sessionId, ownerId) {
+    const parent = this.sessionRegistry.get(sessionId);
+    const sourceDir = this.getSessionWorkspaceDir(sessionId);
+    const { sessionId: forkId, workspaceDir } =
+      await this.createSessionWorkspace(this.baseWorkspaceDir, ownerId);
+
+    try {
+      // The fork keeps the transcript but starts its own checkpoint history
+      await fs.copy(sourceDir, workspaceDir, { overwrite: true });
+      await this.createCheckpoint(
+        workspaceDir,
+        `Forked from session ${sessionId}`,
+        {
+          'Checkpoint-Kind': 'fork',
+          'Forked-From': sessionId
+        }
+      );
+
+      const { sessionId: conversationId } = this.getResumeOptions(sessionId);
+      const resumeFrom =
+        conversationId &&
+        (await this.copyConversation(conversationId, sourceDir, workspaceDir))
+          ? conversationId
+          : null;
+      if (conversationId && !resumeFrom) {
+        console.warn(
+          `Conversation ${conversationId} of session ${sessionId} not found, the fork starts a new conversation`
+        );
+      }
+
+      this.sessionRegistry.register(forkId, workspaceDir, null, {
+        ownerId: ownerId || null,
+        members: []
+      });
+      this.sessionRegistry.update(forkId, {
+        pending: true,
+        resumeFrom,
+        title: `${this.getSessionTitle(sessionId)} (fork)`,
+        settings: parent.settings,
+        forkedFrom: { sessionId }
+      });
+      console.log(`🍴 Forked session ${sessionId} into ${workspaceDir}`);
+      return this.getSessionDetails(forkId);
+    } catch (error) {
+      await fs.remove(workspaceDir);
+      await this.checkpoints.remove(workspaceDir);
+      throw error;
+    }
+  }
+
+  /**
+   * The CLI only resumes conversations stored for the current working directory, so a fork
+   * needs a copy of the parent's conversation under its own workspace. Returns whether it was found.
+   */
+  async copyConversation(conversationId, fromWorkspaceDir, toWorkspaceDir) {
+    // Directories are named after the working directory with everything but letters and digits as '-'
+    const projectDir = (workspaceDir) =>
+      path.join(
+        CLAUDE_PROJECTS_DIR,
+        path.resolve(workspaceDir).replace(/[^a-zA-Z0-9]/g, '-')
+      );
+    const source = path.join(
+      projectDir(fromWorkspaceDir),
+      `${conversationId}.jsonl`
+    );
+    if (!(await fs.pathExists(source))) {
+      return false;
+    }
+    await fs.copy(
+      source,
+      path.join(projectDir(toWorkspaceDir), `${conversationId}.jsonl`)
+    );
+    return true;
+  }
+
+  recordSessionUsage(sessionId, turnUsage) {
+    return this.sessionRegistry.recordUsage(sessionId, turnUsage);
+  }
+
+  getSessionUsage(sessionId) {
+    const session = this.sessionRegistry.get(sessionId);
+    if (!session) {
+      return null;
+    }
+    return session.usage || SessionRegistry.createEmptyUsage();
+  }
+
+  getSessionSettings(sessionId) {
+    const session = sessionId ? this.sessionRegistry.get(sessionId) : null;
+    return (session && session.settings) || {};
+  }
+
+  updateSessionSettings(sessionId, changes) {
+    return this.sessionRegistry.updateSettings(sessionId, changes);
+  }
+
   getBaseWorkspaceDir() {
     return this.baseWorkspaceDir;
   }
 
   getSessionCount() {
-    return this.sessionWorkspaces.size;
+    return this.sessionRegistry.size();
   }
 
   getAllSessions() {
-    return Array.from(this.sessionWorkspaces.entries());
+    return this.sessionRegistry.getAll().map((session) => ({
+      ...session,
+      workspaceDir: this.sessionRegistry.resolveWorkspaceDir(session)
+    }));
+  }
+
+  async describeSession(session) {
+    const workspaceDir = this.sessionRegistry.resolveWorkspaceDir(session);
+    const exists = await fs.pathExists(workspaceDir);
+
+    return {
+      sessionId: session.sessionId,
+      title: session.title || this.createDefaultTitle(session.prompt),
+      prompt: session.prompt,
+      workspace: session.workspace,
+      workspaceDir,
+      workspaceExists: exists,
+      ownerId: session.ownerId || null,
+      members: session.members || [],
+      pending: Boolean(session.pending),
+      forkedFrom: session.forkedFrom || null,
+      size: exists ? await this.getWorkspaceSize(workspaceDir) : 0,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      usage: session.usage || SessionRegistry.createEmptyUsage()
+    };
+  }
+
+  async listSessions(user) {
+    const sessions = this.sessionRegistry
+      .getAll()
+      .filter((session) => WorkspaceManager.canAccess(session, user))
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+    return Promise.all(
+      sessions.map((session) => this.describeSession(session))
+    );
+  }
+
+  getSessionTitle(sessionId) {
+    const session = this.sessionRegistry.get(sessionId);
+    return session
+      ? session.title || this.createDefaultTitle(session.prompt)
+      : null;
+  }
+
+  async getSessionDetails(sessionId) {
+    const session = this.sessionRegistry.get(sessionId);
+    return session ? this.describeSession(session) : null;
+  }
+
+  async renameSession(sessionId, title) {
+    const session = this.sessionRegistry.update(sessionId, { title });
+    return session ? this.describeSession(session) : null;
+  }
+
+  async deleteSession(sessionId) {
+    const session = this.sessionRegistry.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    const workspaceDir = this.sessionRegistry.resolveWorkspaceDir(session);
+    const relativePath = path.relative(this.baseWorkspaceDir, workspaceDir);
+    if (
+      !relativePath ||
+      relativePath.startsWith('..') ||
+      path.isAbsolute(relativePath)
+    ) {
+      throw new Error(
+        `Refusing to delete workspace outside of ${this.baseWorkspaceDir}: ${workspaceDir}`
+      );
+    }
+
+    // Resumed conversations can register several session IDs for the same workspace
+    for (const other of this.sessionRegistry.getAll()) {
+      if (other.workspace === session.workspace) {
+        this.sessionRegistry.remove(other.sessionId);
+      }
+    }
+
+    await fs.remove(workspaceDir);
+    await this.checkpoints.remove(workspaceDir);
+    this.invalidateWorkspaceSize(workspaceDir);
+    console.log(`Deleted session ${sessionId} and workspace: ${workspaceDir}`);
+    return true;
+  }
+
+  createDefaultTitle(prompt) {
+    if (!prompt) {
+      return 'Untitled session';
+    }
+    const firstLine = prompt.trim().split('\n')[0];
+    return firstLine.length > 60
+      ? `${firstLine.substring(0, 57)}...`
+      : firstLine;
+  }
+
+  async getWorkspaceSize(workspaceDir) {
+    const cached = this.sizeCache.get(workspaceDir);
+    if (cached && Date.now() - cached.measuredAt < SIZE_CACHE_MS) {
+      return cached.bytes;
+    }
+
+    const bytes = await this.calculateDirectorySize(workspaceDir);
+    this.sizeCache.set(workspaceDir, { bytes, measuredAt: Date.now() });
+    return bytes;
+  }
+
+  invalidateWorkspaceSize(workspaceDir) {
+    this.sizeCache.delete(workspaceDir);
+  }
+
+  async calculateDirectorySize(dir) {
+    let total = 0;
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        total += await this.calculateDirectorySize(entryPath);
+      } else if (entry.isFile()) {
+        const stats = await fs.stat(entryPath);
+        total += stats.size;
+      }
+    }
+
+    return total;
   }
 }
 
-module.exports = WorkspaceManager;
\ No newline at end of file
+WorkspaceManager.USERS_DIR = USERS_DIR;
+
+module.exports = WorkspaceManager;
@@ -0,0 +1,29 @@
+// The stream can be chosen with ?src=<url of an .m3u8 playlist>
+const DEFAULT_SOURCE = 'https://test-streams.mux.dev/x36xhzz/x36xhzz.m3u8';
+
+const video = document.getElementById('player');
+const status = document.getElementById('status');
+const source =
+  new URLSearchParams(window.location.search).get('src') || DEFAULT_SOURCE;
+
+const showError = (message) => {
+  status.textContent = message;
+  status.classList.add('error');
+};
+
+if (window.Hls && window.Hls.isSupported()) {
+  const hls = new window.Hls();
+  hls.on(window.Hls.Events.ERROR, (event, data) => {
+    if (data.fatal) {
+      showError(`Playback failed: ${data.details}`);
+    }
+  });
+  hls.loadSource(source);
+  hls.attachMedia(video);
+} else if (video.canPlayType('application/vnd.apple.mpegurl')) {
+  // Safari plays HLS natively
+  video.src = source;
+  video.addEventListener('error', () => showError('Playback failed'));
+} else {
+  showError('This browser cannot play HLS streams');
+}
@@ -0,0 +1,19 @@
+import { useState } from 'react';
+
+function App() {
+  const [count, setCount] = useState(0);
+
+  return (
+    <main className="app">
+      <h1>Vite + React</h1>
+      <button onClick={() => setCount((value) => value + 1)}>
+        Clicked {count} times
+      </button>
+      <p>
+        Describe what this app should do and the agent will build it from here.
+      </p>
+    </main>
+  );
+}
+
+export default App;
@@ -0,0 +1,76 @@
+/**
+ * Reading uploaded archives and the checks on chat attachments
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ArchiveReader = require('../src/archive');
+const ChatAttachments = require('../src/attachments');
+
+// Zip of site/index.html, 5000 times "a", deflated
+const SITE_ZIP =
+  'UEsDBBQAAAAIABx/U112WfRMFwAAAIgTAAAPAAAAc2l0ZS9pbmRleC5odG1s7cExAQAAAMKgrOtfwhR+QAEAAAAAbwNQSwECFAMUAAAACAAcf1Nddln0TBcAAACIEwAADwAAAAAAAAAAAAAAgAEAAAAAc2l0ZS9pbmRleC5odG1sUEsFBgAAAAABAAEAPQAAAEQAAAAAAA==';
+
+describe('ArchiveReader', () => {
+  it('refuses entries outside the target directory', () => {
+    assert.throws(
+      () => ArchiveReader.normalizeEntryPath('../evil.sh'),
+      /points outside the archive/
+    );
+    assert.throws(
+      () => ArchiveReader.normalizeEntryPath('/etc/passwd'),
+      /points outside the archive/
+    );
+    assert.equal(ArchiveReader.normalizeEntryPath('./a/../b/c.txt'), 'b/c.txt');
+  });
+
+  it('strips the directory that wraps all entries', () => {
+    const entries = [
+      { path: 'project-main/index.html', data: Buffer.alloc(0) },
+      { path: 'project-main/src/app.js', data: Buffer.alloc(0) }
+    ];
+    assert.deepEqual(
+      ArchiveReader.stripCommonRoot(entries).map((entry) => entry.path),
+      ['index.html', 'src/app.js']
+    );
+  });
+
+  it('reads deflated zip entries', async () => {
+    const entries = await ArchiveReader.read(
+      'site.zip',
+      Buffer.from(SITE_ZIP, 'base64')
+    );
+    assert.deepEqual(
+      entries.map((entry) => entry.path),
+      ['site/index.html']
+    );
+    assert.equal(entries[0].data.toString(), 'a'.repeat(5000));
+  });
+});
+
+describe('ChatAttachments', () => {
+  it('extracts archives only when asked to and counts their extracted size', async () => {
+    const decoded = ChatAttachments.decode([
+      { name: 'site.zip', content: SITE_ZIP }
+    ]);
+    assert.equal(decoded.totalBytes, Buffer.from(SITE_ZIP, 'base64').length);
+    assert.equal(decoded.files[0].entries, null);
+
+    const prepared = await ChatAttachments.extractArchives(decoded);
+    assert.equal(prepared.totalBytes, 5000);
+    assert.deepEqual(
+      prepared.files[0].entries.map((entry) => entry.path),
+      ['index.html']
+    );
+  });
+
+  it('refuses damaged archives with a 400 error', async () => {
+    const decoded = ChatAttachments.decode([
+      { name: 'broken.tar.gz', content: Buffer.from('nope').toString('base64') }
+    ]);
+    await assert.rejects(ChatAttachments.extractArchives(decoded), {
+      status: 400,
+      message: /Cannot extract broken\.tar\.gz/
+    });
+  });
+});
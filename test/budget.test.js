@@ -0,0 +1,79 @@
+/**
+ * Turn cost estimates and the session and daily budgets
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const BudgetManager = require('../src/budget');
+
+const { TurnCostMeter } = BudgetManager;
+
+describe('TurnCostMeter', () => {
+  it('prices tokens per model, with cache writes and reads', () => {
+    const usage = {
+      input_tokens: 1000000,
+      output_tokens: 1000000,
+      cache_creation_input_tokens: 1000000,
+      cache_read_input_tokens: 1000000
+    };
+    assert.equal(
+      TurnCostMeter.estimateCost('claude-sonnet-4-5', usage),
+      3 + 15 + 3 * 1.25 + 3 * 0.1
+    );
+    // Unknown models are priced like the most expensive one
+    assert.equal(
+      TurnCostMeter.estimateCost('unknown', { output_tokens: 1000000 }),
+      75
+    );
+  });
+
+  it('counts each response once and takes the cost of the result', () => {
+    const meter = new TurnCostMeter();
+    const response = {
+      type: 'assistant',
+      message: {
+        id: 'msg_1',
+        model: 'claude-haiku-4-5',
+        usage: { input_tokens: 1000000, output_tokens: 0 }
+      }
+    };
+    meter.add(response);
+    meter.add(response);
+    assert.equal(meter.costUsd, 1);
+    assert.equal(meter.numTurns, 1);
+
+    meter.add({ type: 'result', total_cost_usd: 0.5 });
+    assert.equal(meter.costUsd, 0.5);
+  });
+});
+
+describe('BudgetManager.checkQuery', () => {
+  const environment = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...environment };
+  });
+
+  it('counts the running cost of a turn towards the limits', () => {
+    process.env.MAX_SESSION_COST_USD = '1';
+    delete process.env.MAX_DAILY_COST_USD;
+    const budgetManager = new BudgetManager({
+      getSessionUsage: () => ({ costUsd: 0.75 })
+    });
+    assert.equal(budgetManager.checkQuery('session-1').allowed, true);
+    const check = budgetManager.checkQuery('session-1', 0.25);
+    assert.equal(check.allowed, false);
+    assert.equal(check.code, 'session_budget_exceeded');
+  });
+
+  it('adds up the spend of the day', () => {
+    process.env.MAX_DAILY_COST_USD = '2';
+    delete process.env.MAX_SESSION_COST_USD;
+    const budgetManager = new BudgetManager({ getSessionUsage: () => null });
+    budgetManager.save = () => {};
+    budgetManager.recordSpend(1.5);
+    assert.equal(budgetManager.checkQuery(null).allowed, true);
+    budgetManager.recordSpend(0.5);
+    assert.equal(budgetManager.checkQuery(null).code, 'daily_budget_exceeded');
+  });
+});
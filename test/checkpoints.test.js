@@ -0,0 +1,128 @@
+/**
+ * Parsing the git diff between two checkpoints into per-file changes, and where their
+ * repositories are kept
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const CheckpointStore = require('../src/checkpoints');
+
+// Output of `git diff` for a binary file, an edit, a deletion and a new file with a space in its name
+const DIFF = [
+  'diff --git a/bin.dat b/bin.dat',
+  'new file mode 100644',
+  'index 0000000..bdc955b',
+  'Binary files /dev/null and b/bin.dat differ',
+  'diff --git a/f.txt b/f.txt',
+  'index de98044..a7bc997 100644',
+  '--- a/f.txt',
+  '+++ b/f.txt',
+  '@@ -1,3 +1,4 @@',
+  ' a',
+  '-b',
+  '+B',
+  ' c',
+  '+d',
+  'diff --git a/gone.txt b/gone.txt',
+  'deleted file mode 100644',
+  'index 3367afd..0000000',
+  '--- a/gone.txt',
+  '+++ /dev/null',
+  '@@ -1 +0,0 @@',
+  '-old',
+  'diff --git a/with space.txt b/with space.txt',
+  'new file mode 100644',
+  'index 0000000..3e75765',
+  '--- /dev/null',
+  '+++ b/with space.txt\t',
+  '@@ -0,0 +1 @@',
+  '+new'
+].join('\n');
+
+describe('CheckpointStore.parseDiff', () => {
+  const files = CheckpointStore.parseDiff(`${DIFF}\n`);
+
+  it('lists every changed file with its path', () => {
+    assert.deepEqual(
+      files.map((file) => file.path),
+      ['bin.dat', 'f.txt', 'gone.txt', 'with space.txt']
+    );
+  });
+
+  it('counts additions and deletions and keeps the hunks', () => {
+    const edited = files[1];
+    assert.equal(edited.additions, 2);
+    assert.equal(edited.deletions, 1);
+    assert.equal(edited.unified, '@@ -1,3 +1,4 @@\n a\n-b\n+B\n c\n+d');
+    assert.equal(edited.isNewFile, false);
+    assert.equal(edited.isDeleted, false);
+  });
+
+  it('marks new, deleted and binary files', () => {
+    const [binary, , deleted, added] = files;
+    assert.equal(binary.isNewFile, true);
+    assert.equal(binary.error, 'Binary file changed');
+    assert.equal(binary.unified, undefined);
+    assert.equal(deleted.isDeleted, true);
+    assert.equal(deleted.deletions, 1);
+    assert.equal(added.isNewFile, true);
+    assert.equal(added.additions, 1);
+  });
+
+  it('returns no files for an empty diff', () => {
+    assert.deepEqual(CheckpointStore.parseDiff(''), []);
+  });
+});
+
+describe('CheckpointStore repositories', () => {
+  let baseDir;
+  let workspaceDir;
+  let store;
+
+  before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'open-builder-test-'));
+    workspaceDir = path.join(baseDir, 'users', 'user-1', 'session_1');
+    await fs.outputFile(path.join(workspaceDir, 'index.html'), 'v1');
+    store = new CheckpointStore();
+    store.initialize(baseDir);
+  });
+
+  after(async () => {
+    await fs.remove(baseDir);
+  });
+
+  it('keeps the git directory outside the session workspace', async (t) => {
+    if (!(await store.isAvailable())) {
+      t.skip('git is not installed');
+      return;
+    }
+    const checkpoint = await store.create(workspaceDir, 'First turn');
+    assert.ok(checkpoint.id);
+    assert.equal(
+      store.getRepository(workspaceDir).gitDir,
+      path.join(
+        baseDir,
+        '.open-builder',
+        'checkpoints',
+        'users',
+        'user-1',
+        'session_1.git'
+      )
+    );
+    assert.deepEqual(await fs.readdir(workspaceDir), ['index.html']);
+
+    await store.remove(workspaceDir);
+    assert.deepEqual(await store.list(workspaceDir), []);
+  });
+
+  it('refuses workspaces outside the base directory', () => {
+    assert.throws(() => store.getRepository(baseDir), /is not inside/);
+    assert.throws(
+      () => store.getRepository(path.join(baseDir, '..', 'other')),
+      /is not inside/
+    );
+  });
+});
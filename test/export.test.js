@@ -0,0 +1,154 @@
+/**
+ * Workspace exports: what goes in, reading them back, and extracting them with the system's
+ * unzip and tar
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { finished } = require('stream/promises');
+const WorkspaceArchive = require('../src/export');
+const ArchiveReader = require('../src/archive');
+
+// Export a workspace into memory
+const exportWorkspace = async (format, workspaceDir, files) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', (chunk) => chunks.push(chunk));
+  await WorkspaceArchive.write(format, output, workspaceDir, files);
+  return Buffer.concat(chunks);
+};
+
+// Resolves to null when the command is not installed, so its tests can be skipped
+const run = (command, args) =>
+  new Promise((resolve, reject) =>
+    execFile(command, args, (error, stdout) => {
+      if (error && error.code === 'ENOENT') {
+        resolve(null);
+      } else if (error) {
+        reject(error);
+      } else {
+        resolve(stdout);
+      }
+    })
+  );
+
+const EXTRACT_COMMANDS = {
+  zip: (archiveFile, targetDir) => [
+    'unzip',
+    ['-q', archiveFile, '-d', targetDir]
+  ],
+  'tar.gz': (archiveFile, targetDir) => [
+    'tar',
+    ['-xzf', archiveFile, '-C', targetDir]
+  ]
+};
+
+describe('WorkspaceArchive', () => {
+  let tempDir;
+  let workspaceDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'open-builder-test-'));
+    workspaceDir = path.join(tempDir, 'workspace');
+    const write = (file, content) =>
+      fs.outputFile(path.join(workspaceDir, file), content);
+    await write('index.html', '<h1>Hello</h1>\n'.repeat(1000));
+    await write('empty.txt', '');
+    await write('image.png', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2]));
+    await write(`src/${'long-name-'.repeat(12)}.js`, 'export {};\n');
+    await write('app/[id]/page.tsx', 'export default () => null;\n');
+    await write('node_modules/lib/index.js', 'module.exports = {};\n');
+    await write('dist/bundle.js', 'bundle');
+    await write('debug.log', 'log');
+    await write('.open-builder/instructions.md', 'internal');
+    await write('.gitignore', 'dist/\n*.lo[gx]\n');
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('leaves out defaults, .gitignore matches and internal data', async () => {
+    const rules = await WorkspaceArchive.loadExcludeRules(workspaceDir, [
+      '!debug.log',
+      '!.open-builder/'
+    ]);
+    const files = await WorkspaceArchive.collectFiles(workspaceDir, rules);
+    assert.deepEqual(
+      files.map((file) => file.path),
+      [
+        '.gitignore',
+        'app/[id]/page.tsx',
+        'debug.log',
+        'empty.txt',
+        'image.png',
+        'index.html',
+        `src/${'long-name-'.repeat(12)}.js`
+      ]
+    );
+  });
+
+  for (const format of WorkspaceArchive.FORMATS) {
+    it(`reads back every file of a ${format} export`, async () => {
+      const rules = await WorkspaceArchive.loadExcludeRules(workspaceDir);
+      const files = await WorkspaceArchive.collectFiles(workspaceDir, rules);
+      const archive = await exportWorkspace(format, workspaceDir, files);
+
+      const entries = await ArchiveReader.read(`export.${format}`, archive);
+      assert.deepEqual(
+        entries.map((entry) => entry.path),
+        files.map((file) => file.path)
+      );
+      for (const entry of entries) {
+        assert.ok(
+          entry.data.equals(
+            await fs.readFile(path.join(workspaceDir, entry.path))
+          ),
+          entry.path
+        );
+      }
+    });
+
+    it(`writes a ${format} export the system tools can extract`, async (t) => {
+      const rules = await WorkspaceArchive.loadExcludeRules(workspaceDir);
+      const files = await WorkspaceArchive.collectFiles(workspaceDir, rules);
+      const archiveFile = path.join(tempDir, `export.${format}`);
+      const targetDir = path.join(tempDir, `extracted-${format}`);
+      await fs.ensureDir(targetDir);
+      const output = fs.createWriteStream(archiveFile);
+      await WorkspaceArchive.write(format, output, workspaceDir, files);
+      await finished(output);
+
+      const [command, args] = EXTRACT_COMMANDS[format](archiveFile, targetDir);
+      if ((await run(command, args)) === null) {
+        t.skip(`${command} is not installed`);
+        return;
+      }
+      for (const file of files) {
+        assert.ok(
+          (await fs.readFile(path.join(targetDir, file.path))).equals(
+            await fs.readFile(path.join(workspaceDir, file.path))
+          ),
+          file.path
+        );
+      }
+    });
+  }
+
+  it('computes the CRC-32 across chunks', () => {
+    const data = Buffer.from('The quick brown fox jumps over the lazy dog');
+    assert.equal(WorkspaceArchive.crc32(data), 0x414fa339);
+    assert.equal(
+      WorkspaceArchive.crc32(
+        data.subarray(10),
+        WorkspaceArchive.crc32(data.subarray(0, 10))
+      ),
+      0x414fa339
+    );
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Disk quota math
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const QuotaManager = require('../src/quota');
+
+const { MB } = QuotaManager;
+
+const createQuotaManager = (usedBytes, diskQuotaMb) =>
+  new QuotaManager(
+    {
+      getUserWorkspaceDir: () => os.tmpdir(),
+      calculateDirectorySize: async () => usedBytes
+    },
+    {
+      getUser: (userId) =>
+        userId === 'user-1' ? { username: 'alice', diskQuotaMb } : null
+    }
+  );
+
+describe('QuotaManager', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'open-builder-test-'));
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('only counts the growth when a file is replaced', async () => {
+    const filePath = path.join(tempDir, 'file.txt');
+    await fs.writeFile(filePath, 'x'.repeat(100));
+    assert.equal(await QuotaManager.growthOfWrite(filePath, 150), 50);
+    assert.equal(await QuotaManager.growthOfWrite(filePath, 10), 0);
+    assert.equal(
+      await QuotaManager.growthOfWrite(path.join(tempDir, 'missing'), 10),
+      10
+    );
+  });
+
+  it('estimates the growth of edits from the strings they replace', async () => {
+    assert.equal(
+      await QuotaManager.estimateGrowth('Edit', {
+        old_string: 'a',
+        new_string: 'abcd'
+      }),
+      3
+    );
+    assert.equal(
+      await QuotaManager.estimateGrowth('MultiEdit', {
+        edits: [
+          { old_string: 'abc', new_string: '' },
+          { old_string: '', new_string: 'éé' }
+        ]
+      }),
+      4
+    );
+  });
+
+  it('counts every occurrence an edit with replace_all changes', async () => {
+    const filePath = path.join(tempDir, 'replace.txt');
+    await fs.writeFile(filePath, 'a-a-a');
+    assert.equal(
+      await QuotaManager.estimateGrowth('Edit', {
+        file_path: filePath,
+        old_string: 'a',
+        new_string: 'abc',
+        replace_all: true
+      }),
+      6
+    );
+    assert.equal(
+      await QuotaManager.estimateGrowth('MultiEdit', {
+        file_path: filePath,
+        edits: [
+          { old_string: 'a-', new_string: 'aa-' },
+          { old_string: '-', new_string: '--', replace_all: true }
+        ]
+      }),
+      3
+    );
+  });
+
+  it('refuses writes that would cross the quota', async () => {
+    const quotaManager = createQuotaManager(MB - 10, 1);
+    assert.equal(
+      await quotaManager.checkToolUse('user-1', 'Write', {
+        file_path: path.join(tempDir, 'small.txt'),
+        content: 'x'.repeat(10)
+      }),
+      null
+    );
+    const violation = await quotaManager.checkToolUse('user-1', 'Write', {
+      file_path: path.join(tempDir, 'large.txt'),
+      content: 'x'.repeat(11)
+    });
+    assert.match(violation.reason, /alice uses 1024\.0 KB of 1\.0 MB/);
+  });
+
+  it('stops Bash and new turns once the quota is used up', async () => {
+    const full = createQuotaManager(MB, 1);
+    assert.ok(await full.checkToolUse('user-1', 'Bash', { command: 'ls' }));
+    assert.equal((await full.checkQuery('user-1')).allowed, false);
+
+    const below = createQuotaManager(MB - 1, 1);
+    assert.equal(
+      await below.checkToolUse('user-1', 'Bash', { command: 'ls' }),
+      null
+    );
+    assert.equal((await below.checkQuery('user-1')).allowed, true);
+  });
+
+  it('does not limit users without a quota or sessions without an owner', async () => {
+    const quotaManager = createQuotaManager(10 * MB, null);
+    assert.equal(quotaManager.getQuotaBytes('user-1'), null);
+    assert.equal(quotaManager.getQuotaBytes(null), null);
+    assert.equal((await quotaManager.checkQuery(null)).allowed, true);
+  });
+});
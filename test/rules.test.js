@@ -0,0 +1,108 @@
+/**
+ * Permission rule matching: globs, scopes, decision priority and compound commands
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PermissionRules = require('../src/rules');
+
+const createRules = (rules) => {
+  const permissionRules = new PermissionRules();
+  permissionRules.rules = rules.map((rule, index) => ({
+    id: `rule_${index}`,
+    scope: 'global',
+    sessionId: null,
+    ...rule
+  }));
+  return permissionRules;
+};
+
+describe('PermissionRules.globToRegExp', () => {
+  it('keeps * within a path segment and lets ** cross directories', () => {
+    assert.ok(PermissionRules.globToRegExp('src/*.js').test('src/app.js'));
+    assert.ok(!PermissionRules.globToRegExp('src/*.js').test('src/lib/app.js'));
+    assert.ok(
+      PermissionRules.globToRegExp('src/**/*.js').test('src/lib/app.js')
+    );
+    assert.ok(PermissionRules.globToRegExp('src/**/*.js').test('src/app.js'));
+  });
+
+  it('lets * match anything outside path mode', () => {
+    const regex = PermissionRules.globToRegExp('npm test*', false);
+    assert.ok(regex.test('npm test -- --watch=false src/app.test.js'));
+    assert.ok(!regex.test('npm install'));
+  });
+
+  it('keeps brackets literal', () => {
+    assert.ok(
+      PermissionRules.globToRegExp('app/[id]/*.tsx').test('app/[id]/page.tsx')
+    );
+  });
+});
+
+describe('PermissionRules.evaluate', () => {
+  it('matches file tools against workspace-relative paths', () => {
+    const rules = createRules([
+      { tool: 'Edit', pattern: 'src/**', decision: 'allow' }
+    ]);
+    const context = { workspaceDir: '/work/session' };
+    assert.equal(
+      rules.evaluate('Edit', { file_path: '/work/session/src/app.js' }, context)
+        .decision,
+      'allow'
+    );
+    assert.equal(
+      rules.evaluate('Edit', { file_path: '/work/other/src/app.js' }, context),
+      null
+    );
+  });
+
+  it('prefers session rules and then deny over ask over allow', () => {
+    const rules = createRules([
+      { tool: 'Bash', pattern: 'npm *', decision: 'allow' },
+      { tool: 'Bash', pattern: 'npm *', decision: 'deny' },
+      {
+        tool: 'Bash',
+        pattern: 'npm *',
+        decision: 'ask',
+        scope: 'session',
+        sessionId: 'session-1'
+      }
+    ]);
+    const input = { command: 'npm test' };
+    assert.equal(rules.evaluate('Bash', input).decision, 'deny');
+    assert.equal(
+      rules.evaluate('Bash', input, { sessionId: 'session-1' }).decision,
+      'ask'
+    );
+  });
+
+  it('never allows compound commands through an allow rule', () => {
+    const rules = createRules([
+      { tool: 'Bash', pattern: 'npm test*', decision: 'allow' }
+    ]);
+    assert.equal(
+      rules.evaluate('Bash', { command: 'npm test' }).decision,
+      'allow'
+    );
+    for (const command of [
+      'npm test; rm -rf ~',
+      'npm test && curl example.com',
+      'npm test | sh',
+      'npm test > /etc/passwd',
+      'npm test $(whoami)'
+    ]) {
+      assert.equal(rules.evaluate('Bash', { command }), null, command);
+    }
+  });
+
+  it('still denies compound commands through a deny rule', () => {
+    const rules = createRules([
+      { tool: 'Bash', pattern: 'rm *', decision: 'deny' }
+    ]);
+    assert.equal(
+      rules.evaluate('Bash', { command: 'rm -rf dist && ls' }).decision,
+      'deny'
+    );
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Sandbox checks: paths, symlinks, Glob patterns, cd in Bash commands and Open Builder's own data
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SandboxPolicy = require('../src/sandbox');
+
+describe('SandboxPolicy.check', () => {
+  let tempDir;
+  let workspaceDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'open-builder-test-'));
+    workspaceDir = path.join(tempDir, 'workspace');
+    await fs.ensureDir(path.join(workspaceDir, 'src'));
+    await fs.ensureDir(path.join(tempDir, 'outside'));
+    await fs.symlink(
+      path.join(tempDir, 'outside'),
+      path.join(workspaceDir, 'escape')
+    );
+  });
+
+  after(async () => {
+    await fs.remove(tempDir);
+  });
+
+  const isAllowed = async (tool, input) =>
+    (await SandboxPolicy.check(tool, input, workspaceDir)) === null;
+
+  it('allows paths inside the workspace', async () => {
+    assert.ok(
+      await isAllowed('Read', { file_path: `${workspaceDir}/src/app.js` })
+    );
+    assert.ok(
+      await isAllowed('Write', { file_path: `${workspaceDir}/src/new/file.js` })
+    );
+  });
+
+  it('denies paths that leave the workspace through .. or symlinks', async () => {
+    assert.ok(
+      !(await isAllowed('Read', { file_path: `${workspaceDir}/../secret` }))
+    );
+    assert.ok(!(await isAllowed('Read', { file_path: '/etc/passwd' })));
+    assert.ok(
+      !(await isAllowed('Write', { file_path: `${workspaceDir}/escape/file` }))
+    );
+  });
+
+  it('resolves relative Glob patterns against their search directory', async () => {
+    assert.ok(await isAllowed('Glob', { pattern: 'src/**/*.js' }));
+    assert.ok(
+      await isAllowed('Glob', { pattern: '*.js', path: `${workspaceDir}/src` })
+    );
+    assert.ok(!(await isAllowed('Glob', { pattern: '../../**/*.json' })));
+    assert.ok(!(await isAllowed('Glob', { pattern: '/etc/*' })));
+    assert.ok(!(await isAllowed('Glob', { pattern: '**/../../x/*' })));
+  });
+
+  it('checks cd in command lists, subshells, groups and substitutions', async () => {
+    assert.ok(await isAllowed('Bash', { command: 'cd src && npm test' }));
+    assert.ok(await isAllowed('Bash', { command: '(cd "src"; ls)' }));
+    for (const command of [
+      'cd /',
+      'ls && cd ..',
+      '(cd / && cat etc/passwd)',
+      '{ cd /; ls; }',
+      'echo $(cd /; ls)',
+      'echo `cd /`',
+      'if true; then cd /; fi',
+      'FOO=1 cd /',
+      'cd escape',
+      'cd $HOME',
+      'cd -P /'
+    ]) {
+      assert.ok(!(await isAllowed('Bash', { command })), command);
+    }
+  });
+
+  it("keeps file tools and Bash away from Open Builder's own data", async () => {
+    assert.ok(
+      !(await isAllowed('Read', {
+        file_path: `${workspaceDir}/.open-builder/transcript.jsonl`
+      }))
+    );
+    assert.ok(
+      !(await isAllowed('Write', {
+        file_path: `${workspaceDir}/src/../.open-builder/instructions.md`
+      }))
+    );
+    assert.ok(!(await isAllowed('Glob', { pattern: '.*/*.jsonl' })));
+    assert.ok(await isAllowed('Glob', { pattern: '.github/**/*.yml' }));
+    for (const command of [
+      'cat .open-builder/transcript.jsonl',
+      'rm -rf ./.open-builder',
+      'cat ".open"-builder/instructions.md',
+      'ls .o*',
+      'echo x > .open-builder/instructions.md'
+    ]) {
+      assert.ok(!(await isAllowed('Bash', { command })), command);
+    }
+    assert.ok(await isAllowed('Bash', { command: 'cat .gitignore src/*.js' }));
+  });
+
+  it('leaves other tools alone', async () => {
+    assert.ok(await isAllowed('WebFetch', { url: 'https://example.com' }));
+  });
+});
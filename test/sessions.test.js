@@ -0,0 +1,61 @@
+/**
+ * Session registry: workspace mappings that survive a restart
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SessionRegistry = require('../src/sessions');
+
+describe('SessionRegistry', () => {
+  let baseDir;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'open-builder-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(baseDir);
+  });
+
+  it('stores workspaces relative to the base directory and loads them again', async () => {
+    const registry = new SessionRegistry();
+    await registry.load(baseDir);
+    registry.register('session-1', path.join(baseDir, 'session_1'), 'Hello');
+    registry.update('session-1', { title: 'Greeting' });
+    await registry.save();
+
+    const reloaded = new SessionRegistry();
+    assert.equal(await reloaded.load(baseDir), 1);
+    const session = reloaded.get('session-1');
+    assert.equal(session.workspace, 'session_1');
+    assert.equal(session.prompt, 'Hello');
+    assert.equal(session.title, 'Greeting');
+    assert.equal(
+      reloaded.resolveWorkspaceDir(session),
+      path.join(baseDir, 'session_1')
+    );
+  });
+
+  it('keeps the first prompt and creation time when a session is registered again', async () => {
+    const registry = new SessionRegistry();
+    await registry.load(baseDir);
+    const first = registry.register('session-1', baseDir, 'First');
+    const again = registry.register('session-1', baseDir, 'Second');
+    assert.equal(again.prompt, 'First');
+    assert.equal(again.createdAt, first.createdAt);
+    await registry.save();
+  });
+
+  it('moves an unreadable registry aside instead of overwriting it', async () => {
+    const registryDir = path.join(baseDir, SessionRegistry.REGISTRY_DIR);
+    await fs.outputFile(path.join(registryDir, 'sessions.json'), '{ broken');
+
+    const registry = new SessionRegistry();
+    assert.equal(await registry.load(baseDir), 0);
+    const files = await fs.readdir(registryDir);
+    assert.ok(files.some((file) => file.startsWith('sessions.json.corrupt-')));
+  });
+});